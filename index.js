@@ -6,6 +6,9 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 const serverless = require('serverless-http');
 require('dotenv').config();
+const { startWebhookRetries } = require('./utils/webhooks');
+const { failInterruptedImports, startImportWorker } = require('./utils/productImport');
+const { startNotificationWorker } = require('./utils/notifications');
 
 const app = express();
 
@@ -54,11 +57,19 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'X-Cart-Token']
 };
 
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are verified against the exact bytes the provider signed
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Rate limiting - more lenient for production
@@ -187,9 +198,24 @@ app.get('/api/test', (req, res) => {
 
 // Routes with database connection middleware
 app.use('/api/products', ensureDbConnection, require('./routes/products'));
+app.use('/api/categories', ensureDbConnection, require('./routes/categories'));
+app.use('/api/brands', ensureDbConnection, require('./routes/brands'));
+app.use('/api/currencies', ensureDbConnection, require('./routes/currencies'));
+app.use('/api/cart', ensureDbConnection, require('./routes/cart'));
 app.use('/api/orders', ensureDbConnection, require('./routes/orders'));
 app.use('/api/admin', ensureDbConnection, require('./routes/admin'));
 app.use('/api/auth', ensureDbConnection, require('./routes/auth'));
+app.use('/api/customers', ensureDbConnection, require('./routes/customers'));
+app.use('/api/coupons', ensureDbConnection, require('./routes/coupons'));
+app.use('/api/shipping', ensureDbConnection, require('./routes/shipping'));
+app.use('/api/taxes', ensureDbConnection, require('./routes/taxes'));
+app.use('/api/payments', ensureDbConnection, require('./routes/payments'));
+app.use('/api/webhooks', ensureDbConnection, require('./routes/webhooks'));
+app.use('/api/notifications', ensureDbConnection, require('./routes/notifications'));
+app.use('/api/returns', ensureDbConnection, require('./routes/returns'));
+app.use('/api/seo', ensureDbConnection, require('./routes/seo'));
+app.use('/api/product-imports', ensureDbConnection, require('./routes/productImports'));
+app.use('/api/product-bulk-operations', ensureDbConnection, require('./routes/productBulkOperations'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -245,6 +271,10 @@ if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
   app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
   });
+  startWebhookRetries();
+  failInterruptedImports();
+  startImportWorker();
+  startNotificationWorker();
 }
 
 // Export for Vercel
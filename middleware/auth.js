@@ -1,20 +1,29 @@
 const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+const { getPermissions } = require('../utils/permissions');
+
+// Customer tokens are signed with their own secret (falling back to the admin
+// secret) and always carry type: 'customer' so they can never pass as admin tokens
+const getCustomerSecret = () => process.env.CUSTOMER_JWT_SECRET || process.env.JWT_SECRET;
 
 // Verify token middleware
 const verifyToken = (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  
+
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
-  
+
   const JWT_SECRET = process.env.JWT_SECRET;
   if (!JWT_SECRET) {
     return res.status(500).json({ error: 'Server configuration error' });
   }
-  
+
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type === 'customer') {
+      return res.status(403).json({ error: 'Admin access required' });
+    }
     req.admin = decoded;
     next();
   } catch (error) {
@@ -28,4 +37,112 @@ const verifyToken = (req, res, next) => {
   }
 };
 
-module.exports = { verifyToken }; 
\ No newline at end of file
+// Let the request through only for admins whose role grants the permission; verifies the
+// token first when verifyToken has not run yet. The role is read from the account rather than
+// the token, so a role change or a deleted account takes effect straight away.
+const requirePermission = (permission) => async (req, res, next) => {
+  if (!req.admin) {
+    return verifyToken(req, res, () => requirePermission(permission)(req, res, next));
+  }
+
+  try {
+    if (!req.admin.permissions) {
+      const admin = await Admin.findById(req.admin.id).select('role').lean();
+      if (!admin) {
+        return res.status(401).json({ error: 'Admin account not found' });
+      }
+      req.admin.role = admin.role;
+      req.admin.permissions = getPermissions(admin.role);
+    }
+
+    if (!req.admin.permissions.includes(permission)) {
+      return res.status(403).json({ error: `Permission required: ${permission}` });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach the admin when a valid admin token is present, but never block the request
+const optionalAdmin = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  const JWT_SECRET = process.env.JWT_SECRET;
+  if (!token || !JWT_SECRET) return next();
+
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (decoded.type !== 'customer') {
+      req.admin = decoded;
+    }
+  } catch (error) {
+    // Not an admin token; the route decides what anonymous callers may do
+  }
+  next();
+};
+
+// For routes open to both staff and customers: an attached admin (see optionalAdmin) must hold
+// the permission, anyone else is left for the route to check
+const requirePermissionIfAdmin = (permission) => (req, res, next) => {
+  if (!req.admin) return next();
+  return requirePermission(permission)(req, res, next);
+};
+
+// Sign a customer session token
+const signCustomerToken = (customer) => {
+  return jwt.sign(
+    {
+      id: customer._id,
+      email: customer.email,
+      type: 'customer'
+    },
+    getCustomerSecret(),
+    { expiresIn: '7d' }
+  );
+};
+
+// Decode a customer token, returning null for anything that is not a valid customer token
+const decodeCustomerToken = (token) => {
+  const secret = getCustomerSecret();
+  if (!token || !secret) return null;
+
+  try {
+    const decoded = jwt.verify(token, secret);
+    return decoded.type === 'customer' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Verify customer token middleware
+const verifyCustomer = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Access token required' });
+  }
+
+  if (!getCustomerSecret()) {
+    return res.status(500).json({ success: false, message: 'Server configuration error' });
+  }
+
+  const decoded = decodeCustomerToken(token);
+  if (!decoded) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+  }
+
+  req.customer = decoded;
+  next();
+};
+
+// Attach the customer when a valid customer token is present, but never block the request
+const optionalCustomer = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  const decoded = decodeCustomerToken(token);
+  if (decoded) {
+    req.customer = decoded;
+  }
+  next();
+};
+
+module.exports = { verifyToken, requirePermission, requirePermissionIfAdmin, optionalAdmin, verifyCustomer, optionalCustomer, signCustomerToken };
@@ -0,0 +1,24 @@
+const { getCurrencyContext } = require('../utils/currency');
+
+// Resolve ?currency= (or a currency field in the body) into req.currency for price
+// conversion; req.currency stays null when none was asked for
+const resolveCurrency = async (req, res, next) => {
+  const code = req.query.currency || req.body?.currency;
+  req.currency = null;
+
+  if (!code) {
+    return next();
+  }
+
+  try {
+    req.currency = await getCurrencyContext(code);
+    next();
+  } catch (error) {
+    if (error.name === 'CurrencyError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+};
+
+module.exports = { resolveCurrency };
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { ADMIN_ROLES, LEGACY_ROLES } = require('../utils/permissions');
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -17,9 +18,11 @@ const adminSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Decides what the account may do; see utils/permissions
   role: {
     type: String,
-    default: 'admin',
+    enum: [...ADMIN_ROLES, ...Object.keys(LEGACY_ROLES)],
+    default: 'analyst',
   },
 }, {
   timestamps: true,
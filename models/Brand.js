@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slug');
+
+const brandSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  description: String,
+  logo: String,
+  // Cloudinary public_id of the logo, so it can be removed when replaced
+  logo_public_id: String,
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+// Generate a unique slug from the name, or make a supplied one URL-safe and unique
+brandSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew || this.isModified('slug') || !this.slug) {
+      this.slug = await generateUniqueSlug(this.constructor, this.slug || this.name, this._id, this.$session());
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Brand', brandSchema);
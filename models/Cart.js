@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const CART_STATUSES = ['active', 'merged', 'converted'];
+
+const cartItemSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+  // Legacy variant choice for products picked by size/colour rather than variant_id
+  selectedSize: String,
+  selectedColor: String,
+  quantity: { type: Number, required: true, min: 1 },
+  added_at: { type: Date, default: Date.now },
+});
+
+const cartSchema = new mongoose.Schema({
+  // Opaque token the storefront keeps for guest carts (sent as X-Cart-Token)
+  token: { type: String, required: true, unique: true },
+  customerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', default: null },
+  items: [cartItemSchema],
+  couponCode: { type: String, default: null },
+  status: { type: String, enum: CART_STATUSES, default: 'active', index: true },
+  // Set once the cart has been checked out
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+  merged_into: { type: mongoose.Schema.Types.ObjectId, ref: 'Cart', default: null },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+// A customer has at most one active cart
+cartSchema.index(
+  { customerId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active', customerId: { $type: 'objectId' } } }
+);
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
+module.exports.CART_STATUSES = CART_STATUSES;
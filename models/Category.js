@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slug');
+
+const categorySchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true, unique: true },
+  description: String,
+  image: String,
+  parent_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null, index: true },
+  // Ids from the root down to the direct parent, kept in sync with parent_id
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category', index: true }],
+  sort_order: { type: Number, default: 0 },
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+// Generate a unique slug from the name, and rebuild ancestors when the parent changes
+categorySchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew || this.isModified('slug') || !this.slug) {
+      this.slug = await generateUniqueSlug(this.constructor, this.slug || this.name, this._id, this.$session());
+    }
+
+    if (this.isNew || this.isModified('parent_id')) {
+      if (!this.parent_id) {
+        this.ancestors = [];
+      } else {
+        const parent = await this.constructor.findById(this.parent_id)
+          .select('ancestors')
+          .session(this.$session())
+          .lean();
+
+        if (!parent) {
+          return next(new Error('Parent category not found'));
+        }
+        if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+          return next(new Error('A category cannot be moved under itself or one of its descendants'));
+        }
+
+        this.ancestors = [...parent.ancestors, parent._id];
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Category', categorySchema);
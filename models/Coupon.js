@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const couponSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: String,
+  type: { type: String, enum: COUPON_TYPES, required: true },
+  // Percent off for 'percentage', currency amount off for 'fixed', unused for 'free_shipping'
+  value: { type: Number, default: 0, min: 0 },
+  // Upper bound on a percentage discount
+  max_discount: { type: Number, default: null },
+  min_subtotal: { type: Number, default: 0 },
+  usage_limit: { type: Number, default: null },
+  usage_limit_per_customer: { type: Number, default: null },
+  times_used: { type: Number, default: 0 },
+  starts_at: { type: Date, default: null },
+  ends_at: { type: Date, default: null },
+  // When either list is set the discount only applies to matching order lines
+  applies_to: {
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  },
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+couponSchema.path('value').validate(function(value) {
+  return this.type !== 'percentage' || value <= 100;
+}, 'Percentage discount cannot exceed 100');
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
+module.exports.COUPON_TYPES = COUPON_TYPES;
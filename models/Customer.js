@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const addressSchema = new mongoose.Schema({
+  label: String,
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  country: {
+    type: String,
+    default: 'United States',
+  },
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+const customerSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 6,
+  },
+  phone: {
+    type: String,
+    trim: true,
+  },
+  addresses: [addressSchema],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  lastLoginAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Hash password before saving
+customerSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare password
+customerSchema.methods.comparePassword = async function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Never leak the password hash in API responses
+customerSchema.methods.toJSON = function() {
+  const customer = this.toObject();
+  delete customer.password;
+  return customer;
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
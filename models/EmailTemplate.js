@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { TEMPLATE_KEYS } = require('../utils/emailTemplates');
+
+// An admin's override of one of the built-in email templates
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: TEMPLATE_KEYS,
+  },
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+  html: String,
+  // Inactive templates are not sent at all
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
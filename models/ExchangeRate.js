@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+// Rate for one currency against the store base currency (BASE_CURRENCY)
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO code'],
+  },
+  // Units of this currency per 1 unit of the base currency
+  rate: { type: Number, required: true, min: 0.000001 },
+  symbol: String,
+  // Converted prices are rounded to this many decimals (0 for JPY)...
+  decimals: { type: Number, default: 2, min: 0, max: 4 },
+  // ...or to a multiple of this increment when set, e.g. 0.05 for CHF
+  rounding_increment: { type: Number, default: null },
+  rounding_mode: { type: String, enum: ROUNDING_MODES, default: 'nearest' },
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
+module.exports.ROUNDING_MODES = ROUNDING_MODES;
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_STATUSES = ['queued', 'sent', 'failed'];
+
+// One email about an order: queued, then sent or, once its retries run out, failed
+const notificationLogSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    index: true,
+  },
+  template: { type: String, required: true, index: true },
+  to: [String],
+  subject: String,
+  status: { type: String, enum: NOTIFICATION_STATUSES, required: true, index: true },
+  // The rendered message while it waits to be sent; dropped once it is sent or has failed
+  text: { type: String, select: false },
+  html: { type: String, select: false },
+  attempt_count: { type: Number, default: 0 },
+  // When a queued email is next due to be tried
+  next_attempt_at: { type: Date, default: null, index: true },
+  transport: String,
+  message_id: String,
+  error: String,
+  sent_at: Date,
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false },
+});
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
+
+module.exports = NotificationLog;
+module.exports.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { ORDER_STATUSES } = require('../utils/orderStatus');
+const { getBaseCurrency } = require('../utils/currency');
+const { PAYMENT_STATUSES } = require('../utils/paymentStatus');
+
+const variantAttributeSchema = new mongoose.Schema({
+  attribute_name: String,
+  attribute_value: String,
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -10,10 +18,25 @@ const orderItemSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Unit price charged, resolved server-side from the product (sale price when lower)
   price: {
     type: Number,
     required: true,
   },
+  listPrice: {
+    type: Number,
+  },
+  lineTotal: {
+    type: Number,
+  },
+  // Concrete variant picked for fulfillment, with its attributes snapshotted at order time
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
+  variantAttributes: [variantAttributeSchema],
   selectedSize: {
     type: String,
   },
@@ -27,7 +50,125 @@ const orderItemSchema = new mongoose.Schema({
   },
 });
 
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+  },
+  from: {
+    type: String,
+    default: null,
+  },
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'customer', 'guest', 'system'],
+      default: 'system',
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+  },
+  note: {
+    type: String,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One tax rule applied to a line or to shipping
+const taxAmountSchema = new mongoose.Schema({
+  taxRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRule',
+  },
+  name: String,
+  rate: Number,
+  inclusive: Boolean,
+  amount: Number,
+}, { _id: false });
+
+const taxLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+  },
+  productName: String,
+  sku: String,
+  variant_id: mongoose.Schema.Types.ObjectId,
+  taxableAmount: Number,
+  taxes: [taxAmountSchema],
+  tax: Number,
+}, { _id: false });
+
+// Totals per tax rule and rate, for tax reporting
+const taxRateTotalSchema = new mongoose.Schema({
+  taxRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRule',
+  },
+  name: String,
+  country: String,
+  state: String,
+  rate: Number,
+  inclusive: Boolean,
+  taxableAmount: Number,
+  amount: Number,
+}, { _id: false });
+
+// A refund issued through the payment provider
+const paymentRefundSchema = new mongoose.Schema({
+  refundId: String,
+  amount: {
+    type: Number,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending',
+  },
+  reason: String,
+  failureReason: String,
+  actor: {
+    type: {
+      type: String,
+      enum: ['admin', 'customer', 'guest', 'system'],
+      default: 'system',
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+  },
+  refundedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Provider webhook received for the payment, kept so each event is applied only once
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: String,
+  applied: Boolean,
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
+  // Set when the order was placed by a logged-in customer; null for guest checkout
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true,
+  },
   customer: {
     name: {
       type: String,
@@ -66,20 +207,80 @@ const orderSchema = new mongoose.Schema({
     },
   },
   items: [orderItemSchema],
+  // Currency every amount on the order is in, with the rate against the base currency used
+  currency: {
+    type: String,
+    default: getBaseCurrency,
+  },
+  baseCurrency: {
+    type: String,
+    default: getBaseCurrency,
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1,
+  },
   subtotal: {
     type: Number,
     required: true,
   },
+  // Discount from an applied coupon, taken off the subtotal
+  discount: {
+    type: Number,
+    default: 0,
+  },
+  coupon: {
+    coupon_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+    },
+    code: {
+      type: String,
+      index: true,
+    },
+    type: {
+      type: String,
+    },
+    value: Number,
+    discount: Number,
+    freeShipping: Boolean,
+  },
   shippingCost: {
     type: Number,
     required: true,
     default: 0,
   },
+  // Shipping method chosen at checkout, as quoted from the shipping zones
+  shippingMethod: {
+    code: String,
+    name: String,
+    zoneId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingZone',
+    },
+    zoneName: String,
+    minDays: Number,
+    maxDays: Number,
+  },
   tax: {
     type: Number,
     required: true,
     default: 0,
   },
+  // Tax already contained in tax-inclusive prices; reported but not added to the total
+  taxIncluded: {
+    type: Number,
+    default: 0,
+  },
+  taxBreakdown: {
+    lines: [taxLineSchema],
+    shipping: {
+      taxableAmount: Number,
+      taxes: [taxAmountSchema],
+      tax: Number,
+    },
+    rates: [taxRateTotalSchema],
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -90,26 +291,91 @@ const orderSchema = new mongoose.Schema({
     enum: ['cod', 'card', 'paypal'],
     default: 'cod',
   },
+  paymentStatus: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'pending',
+    index: true,
+  },
+  // Payment intent with the provider, for card and PayPal orders
+  payment: {
+    provider: String,
+    intentId: {
+      type: String,
+      index: true,
+    },
+    clientSecret: {
+      type: String,
+      select: false,
+    },
+    amount: Number,
+    currency: String,
+    captureMethod: {
+      type: String,
+      enum: ['automatic', 'manual'],
+    },
+    authorizedAt: Date,
+    capturedAmount: {
+      type: Number,
+      default: 0,
+    },
+    capturedAt: Date,
+    failureReason: String,
+    refunds: [paymentRefundSchema],
+    events: [paymentEventSchema],
+  },
   orderNotes: {
     type: String,
   },
   status: {
     type: String,
-    enum: ['Pending', 'Dispatched', 'Delivered', 'Cancelled'],
+    enum: ORDER_STATUSES,
     default: 'Pending',
   },
+  statusHistory: [statusHistorySchema],
   orderNumber: {
     type: String,
     unique: true,
   },
+  // Assigned from its own sequence when an invoice is issued (never for cancelled orders)
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  invoicedAt: {
+    type: Date,
+  },
+  // Summary of return requests (RMAs) raised against this order
+  returnStatus: {
+    type: String,
+    enum: ['none', 'requested', 'partially_returned', 'returned'],
+    default: 'none',
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  // True while the order holds stock taken from Product.quantity_in_stock
+  stockReserved: {
+    type: Boolean,
+    default: false,
+  },
 }, {
   timestamps: true,
 });
 
+// Return requests raised against this order
+orderSchema.virtual('returns', {
+  ref: 'ReturnRequest',
+  localField: '_id',
+  foreignField: 'order',
+});
+
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
   if (!this.orderNumber) {
-    const count = await mongoose.model('Order').countDocuments();
+    const count = await mongoose.model('Order').countDocuments().session(this.$session());
     this.orderNumber = `ORD-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
   }
   next();
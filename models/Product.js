@@ -1,38 +1,63 @@
 const mongoose = require('mongoose');
+const { generateUniqueSlug } = require('../utils/slug');
+const { getBaseCurrency } = require('../utils/currency');
 
 const attributeSchema = new mongoose.Schema({
   attribute_name: String,
   attribute_value: String,
 }, { _id: false });
 
+// Fixed price in another currency, used instead of converting with the exchange rate
+const priceOverrideSchema = new mongoose.Schema({
+  currency: { type: String, required: true, uppercase: true, trim: true },
+  price: { type: Number, required: true },
+  sale_price: Number,
+}, { _id: false });
+
 const variantSchema = new mongoose.Schema({
-  variant_id: mongoose.Schema.Types.ObjectId,
+  variant_id: { type: mongoose.Schema.Types.ObjectId, default: () => new mongoose.Types.ObjectId() },
   sku: String,
   price: Number,
   sale_price: Number,
+  prices: [priceOverrideSchema],
   quantity_in_stock: Number,
   attributes: [attributeSchema],
 }, { _id: false });
 
 const reviewSchema = new mongoose.Schema({
-  user_id: mongoose.Schema.Types.ObjectId,
-  rating: Number,
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  customer_name: String,
+  rating: { type: Number, min: 1, max: 5 },
+  title: String,
   comment: String,
+  // Only approved reviews are public and count towards rating_average/rating_count
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  verified_purchase: { type: Boolean, default: false },
+  moderation_note: String,
+  moderated_at: Date,
   created_at: { type: Date, default: Date.now },
-}, { _id: false });
+});
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
   slug: { type: String, required: true, unique: true },
+  // Slugs the product used to have, so old links can be redirected
+  previous_slugs: { type: [String], index: true },
   description: String,
   short_description: String,
   sku: String,
-  brand_id: String,
-  categories: [String],
+  // Brand id; products saved when this held brand strings need npm run migrate:brands
+  brand_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Brand', default: null, index: true },
+  // Copy of the brand name so text search can match it
+  brand_name: String,
+  // Category ids; products saved when this held category names need npm run migrate:categories
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category', index: true }],
   tags: [String],
   price: { type: Number, required: true },
   sale_price: Number,
-  currency: { type: String, default: 'USD' },
+  // Currency price and sale_price are in; the store base currency unless set
+  currency: { type: String, default: getBaseCurrency, uppercase: true, trim: true },
+  prices: [priceOverrideSchema],
   quantity_in_stock: { type: Number, default: 0 },
   stock_status: { 
     type: String, 
@@ -62,6 +87,45 @@ const productSchema = new mongoose.Schema({
   updated_at: { type: Date, default: Date.now },
 });
 
+productSchema.index({ 'reviews.status': 1 });
+
+// Full-text search, weighted so name and SKU matches rank above description matches
+productSchema.index(
+  {
+    name: 'text',
+    sku: 'text',
+    'variants.sku': 'text',
+    brand_name: 'text',
+    tags: 'text',
+    short_description: 'text',
+    description: 'text',
+  },
+  {
+    name: 'product_text_search',
+    weights: {
+      name: 10,
+      sku: 10,
+      'variants.sku': 8,
+      brand_name: 5,
+      tags: 5,
+      short_description: 3,
+      description: 1,
+    },
+  }
+);
+
+// Generate a unique slug from the name, or make a supplied one URL-safe and unique
+productSchema.pre('validate', async function(next) {
+  try {
+    if (this.isNew || this.isModified('slug') || !this.slug) {
+      this.slug = await generateUniqueSlug(this.constructor, this.slug || this.name, this._id, this.$session());
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Add pre-save middleware to update the updated_at field
 productSchema.pre('save', function(next) {
   this.updated_at = new Date();
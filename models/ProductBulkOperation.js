@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// What one bulk operation (or its undo) did to one product
+const bulkResultSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  name: String,
+  status: { type: String, enum: ['updated', 'unchanged', 'failed', 'restored', 'conflict'], required: true },
+  message: String,
+}, { _id: false });
+
+// Values of the fields an operation touched, before and after, so it can be undone.
+// Variant fields are stored as { variants: { '<variant_id>': { field: value } } }.
+// Stock adjustments store the delta instead: { quantity_in_stock: change } or
+// { variants: { '<variant_id>': change } }.
+const bulkSnapshotSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  delta: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+// One operation applied to many products at once
+const productBulkOperationSchema = new mongoose.Schema({
+  operation: { type: String, required: true, index: true },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // How the products were chosen: { ids } or { filter } as sent
+  selection: { type: mongoose.Schema.Types.Mixed, required: true },
+  matched_count: { type: Number, default: 0 },
+  updated_count: { type: Number, default: 0 },
+  unchanged_count: { type: Number, default: 0 },
+  failed_count: { type: Number, default: 0 },
+  results: [bulkResultSchema],
+  snapshot: { type: [bulkSnapshotSchema], select: false },
+  // Unset while the operation is still running, or when it was cut off partway
+  completed_at: Date,
+  created_by: {
+    id: String,
+    name: String,
+  },
+  undone_at: Date,
+  undone_by: {
+    id: String,
+    name: String,
+  },
+  undo_results: [bulkResultSchema],
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+const ProductBulkOperation = mongoose.model('ProductBulkOperation', productBulkOperationSchema);
+
+module.exports = ProductBulkOperation;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const IMPORT_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// What happened (or, for a dry run, would happen) to one product in the file
+const importResultSchema = new mongoose.Schema({
+  // Line numbers in the CSV, or 1-based positions in the JSON array, the product came from
+  rows: [Number],
+  key: String,
+  action: { type: String, enum: ['create', 'update', 'error'], required: true },
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  // Validation errors for 'error'; otherwise anything worth knowing, e.g. ignored columns
+  messages: [String],
+}, { _id: false });
+
+// One upload of products from CSV or JSON, with its progress and per-product report
+const productImportSchema = new mongoose.Schema({
+  format: { type: String, enum: ['csv', 'json'], required: true },
+  filename: String,
+  dry_run: { type: Boolean, default: false },
+  // Too big to run within the request: queued and worked through in chunks
+  background: { type: Boolean, default: false },
+  status: { type: String, enum: IMPORT_STATUSES, default: 'queued', index: true },
+  total_rows: { type: Number, default: 0 },
+  total_products: { type: Number, default: 0 },
+  processed: { type: Number, default: 0 },
+  // For a dry run: how many products would have been created, updated or rejected
+  created_count: { type: Number, default: 0 },
+  updated_count: { type: Number, default: 0 },
+  error_count: { type: Number, default: 0 },
+  // Notes about the file as a whole, e.g. columns that were ignored
+  messages: [String],
+  results: [importResultSchema],
+  // Parsed products of a queued import still being worked through; dropped once it finishes
+  inputs: { type: [mongoose.Schema.Types.Mixed], default: undefined, select: false },
+  // Until when a worker has claimed a queued import
+  lease_until: Date,
+  // Why the whole import failed, as opposed to single products
+  error: String,
+  created_by: {
+    id: String,
+    name: String,
+  },
+  started_at: Date,
+  finished_at: Date,
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+const ProductImport = mongoose.model('ProductImport', productImportSchema);
+
+module.exports = ProductImport;
+module.exports.IMPORT_STATUSES = IMPORT_STATUSES;
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const RETURN_STATUSES = ['Requested', 'Approved', 'Rejected', 'Received', 'Refunded'];
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items this return is for
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  productName: {
+    type: String,
+  },
+  variant_id: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  sku: {
+    type: String,
+  },
+  variantAttributes: [{
+    attribute_name: String,
+    attribute_value: String,
+    _id: false,
+  }],
+  unitPrice: {
+    type: Number,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  reason: {
+    type: String,
+  },
+  receivedQuantity: {
+    type: Number,
+    default: 0,
+  },
+  restocked: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    unique: true,
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true,
+  },
+  orderNumber: {
+    type: String,
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null,
+    index: true,
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required'],
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: RETURN_STATUSES,
+    default: 'Requested',
+  },
+  requestedBy: {
+    type: {
+      type: String,
+      enum: ['admin', 'customer'],
+    },
+    id: mongoose.Schema.Types.ObjectId,
+    name: String,
+  },
+  adminNote: {
+    type: String,
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Entry in the order's payment.refunds the refund went out through, for provider payments
+  paymentRefundId: mongoose.Schema.Types.ObjectId,
+  approvedAt: Date,
+  rejectedAt: Date,
+  receivedAt: Date,
+  refundedAt: Date,
+}, {
+  timestamps: true,
+});
+
+// Generate RMA number before saving
+returnRequestSchema.pre('save', async function(next) {
+  if (!this.rmaNumber) {
+    const count = await mongoose.model('ReturnRequest').countDocuments().session(this.$session());
+    this.rmaNumber = `RMA-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+  }
+  next();
+});
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+
+module.exports = ReturnRequest;
+module.exports.RETURN_STATUSES = RETURN_STATUSES;
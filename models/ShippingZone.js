@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// How a method's base price is worked out
+const RATE_TYPES = ['flat', 'weight', 'order_value'];
+
+// Price band for weight (kg) or order value tiers; max is exclusive, null means no upper bound
+const rateTierSchema = new mongoose.Schema({
+  min: { type: Number, default: 0, min: 0 },
+  max: { type: Number, default: null },
+  rate: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+// Extra charge per unit for products of a given Product.shipping_class
+const classSurchargeSchema = new mongoose.Schema({
+  shipping_class: { type: String, required: true, trim: true },
+  amount: { type: Number, required: true, min: 0 },
+}, { _id: false });
+
+const shippingMethodSchema = new mongoose.Schema({
+  code: { type: String, required: true, lowercase: true, trim: true },
+  name: { type: String, required: true },
+  description: String,
+  rate_type: { type: String, enum: RATE_TYPES, default: 'flat' },
+  // Flat price, or added on top of the matching tier
+  base_rate: { type: Number, default: 0, min: 0 },
+  tiers: [rateTierSchema],
+  // Volumetric weight divisor (cm³ per kg); when set, the heavier of actual and volumetric weight is billed
+  volumetric_divisor: { type: Number, default: null },
+  class_surcharges: [classSurchargeSchema],
+  // Free when the merchandise subtotal reaches this amount
+  free_shipping_threshold: { type: Number, default: null },
+  min_days: Number,
+  max_days: Number,
+  is_active: { type: Boolean, default: true },
+});
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // An address matches when it matches every list that is set; a zone with no lists matches everywhere
+  countries: [{ type: String, trim: true }],
+  states: [{ type: String, trim: true }],
+  zip_prefixes: [{ type: String, trim: true }],
+  // Higher priority zones are tried first; ties go to the more specific zone
+  priority: { type: Number, default: 0 },
+  methods: [shippingMethodSchema],
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+shippingZoneSchema.path('methods').validate(function(methods) {
+  const codes = methods.map(method => method.code);
+  return new Set(codes).size === codes.length;
+}, 'Shipping method codes must be unique within a zone');
+
+const ShippingZone = mongoose.model('ShippingZone', shippingZoneSchema);
+
+module.exports = ShippingZone;
+module.exports.RATE_TYPES = RATE_TYPES;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Rate override for products in a category (or any of its subcategories)
+const categoryRateSchema = new mongoose.Schema({
+  category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+}, { _id: false });
+
+const taxRuleSchema = new mongoose.Schema({
+  // Label shown in breakdowns and reports, e.g. "CA State Sales Tax" or "UK VAT"
+  name: { type: String, required: true, trim: true },
+  // Country name or code, matched case-insensitively against the shipping address
+  country: { type: String, required: true, trim: true },
+  // State/region; a rule without one applies to the whole country.
+  // Every matching rule applies, so a country rate and a state rate stack.
+  state: { type: String, default: null, trim: true },
+  // Percentage, e.g. 8.25
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  category_rates: [categoryRateSchema],
+  // Inclusive rules treat product prices as already containing the tax
+  prices_include_tax: { type: Boolean, default: false },
+  tax_shipping: { type: Boolean, default: false },
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+taxRuleSchema.index({ country: 1, state: 1 });
+
+const TaxRule = mongoose.model('TaxRule', taxRuleSchema);
+
+module.exports = TaxRule;
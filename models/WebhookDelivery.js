@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One HTTP attempt at delivering an event
+const deliveryAttemptSchema = new mongoose.Schema({
+  attempted_at: { type: Date, default: Date.now },
+  response_status: Number,
+  // Start of the response body, for debugging
+  response_body: String,
+  error: String,
+  duration_ms: Number,
+  // Set for attempts an admin triggered with "redeliver"
+  manual: { type: Boolean, default: false },
+}, { _id: false });
+
+// An event queued for one endpoint, with every attempt made at delivering it
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEndpoint',
+    required: true,
+    index: true,
+  },
+  event: { type: String, required: true, index: true },
+  // Shared by the deliveries of one event to different endpoints, so receivers can de-duplicate
+  event_id: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: DELIVERY_STATUSES, default: 'pending', index: true },
+  attempt_count: { type: Number, default: 0 },
+  attempts: [deliveryAttemptSchema],
+  // When a pending delivery is next due to be tried
+  next_attempt_at: { type: Date, default: Date.now },
+  delivered_at: Date,
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
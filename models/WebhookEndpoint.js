@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Events an endpoint can subscribe to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = [
+  'order.created',
+  'order.status_changed',
+  'order.payment_status_changed',
+  'product.created',
+  'product.updated',
+  'product.deleted',
+  'product.out_of_stock'
+];
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// A URL outside systems (warehouse, ERP) registered to receive event notifications
+const webhookEndpointSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'URL must start with http:// or https://'],
+  },
+  description: String,
+  events: {
+    type: [{ type: String, enum: [...WEBHOOK_EVENTS, '*'] }],
+    validate: [events => events.length > 0, 'Subscribe to at least one event'],
+  },
+  // Deliveries are signed with this; only shown when the endpoint is created
+  secret: {
+    type: String,
+    default: generateSecret,
+    select: false,
+  },
+  is_active: { type: Boolean, default: true },
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' },
+});
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+module.exports = WebhookEndpoint;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.generateSecret = generateSecret;
@@ -1,14 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { verifyToken } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { recalculateRating } = require('../utils/reviews');
+const { resolveCategoryFilterIds } = require('../utils/categories');
+const { ORDER_STATUSES, STATUS_TRANSITIONS, normalizeStatus, getActor, transitionOrderStatus } = require('../utils/orderStatus');
+const { buildCartView } = require('../utils/cart');
+const { orderStatusChanged } = require('../utils/orderEvents');
+const { NON_INVOICEABLE_STATUSES, assignInvoiceNumbers } = require('../utils/invoices');
+const { DOCUMENT_TYPES, streamOrderDocuments } = require('../utils/orderDocuments');
+const { EXPORT_FORMATS, EXPORT_LAYOUTS, resolveColumns, streamOrderExport } = require('../utils/orderExport');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Customer = require('../models/Customer');
 
-// Apply authentication middleware to all admin routes
+// Apply authentication middleware to all admin routes; each route also checks a permission
 router.use(verifyToken);
 
 // Get dashboard statistics
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('analytics:read'), async (req, res) => {
   try {
     const totalProducts = await Product.countDocuments();
     const totalOrders = await Order.countDocuments();
@@ -43,12 +54,12 @@ router.get('/dashboard', async (req, res) => {
 });
 
 // Get all products for admin
-router.get('/products', async (req, res) => {
+router.get('/products', requirePermission('products:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, category, featured } = req.query;
     
     const filter = {};
-    if (category) filter.category = category;
+    if (category) filter.categories = { $in: await resolveCategoryFilterIds(category) };
     if (featured !== undefined) filter.featured = featured === 'true';
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -79,7 +90,7 @@ router.get('/products', async (req, res) => {
 });
 
 // Get all orders for admin
-router.get('/orders', async (req, res) => {
+router.get('/orders', requirePermission('orders:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
     
@@ -114,34 +125,465 @@ router.get('/orders', async (req, res) => {
   }
 });
 
+// Export orders as CSV or XLSX, streamed straight from the database
+// Query: format=csv|xlsx, layout=order|item, status=Pending,Shipped, paymentMethod=card,cod,
+// startDate, endDate (a plain date includes that whole day), columns=orderNumber,totalAmount
+router.get('/orders/export', requirePermission('orders:export'), async (req, res) => {
+  try {
+    const { format = 'csv', layout = 'order', status, paymentMethod, startDate, endDate, columns } = req.query;
+    const toList = (value) => String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!EXPORT_LAYOUTS.includes(layout)) {
+      return res.status(400).json({ error: `Invalid layout. Must be one of: ${EXPORT_LAYOUTS.join(', ')}` });
+    }
+
+    const resolved = resolveColumns(layout, columns ? toList(columns) : null);
+    if (resolved.error) {
+      return res.status(400).json({ error: resolved.error });
+    }
+
+    const filter = {};
+
+    if (status) {
+      const statuses = toList(status);
+      const invalid = statuses.filter(entry => !ORDER_STATUSES.includes(entry));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Invalid status', details: invalid });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    if (paymentMethod) {
+      filter.paymentMethod = { $in: toList(paymentMethod) };
+    }
+
+    if (startDate || endDate) {
+      const start = startDate && new Date(startDate);
+      const end = endDate && new Date(endDate);
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        return res.status(400).json({ error: 'startDate and endDate must be valid dates' });
+      }
+
+      filter.createdAt = {};
+      if (start) filter.createdAt.$gte = start;
+      if (end && /^\d{4}-\d{2}-\d{2}$/.test(endDate)) {
+        end.setUTCDate(end.getUTCDate() + 1);
+        filter.createdAt.$lt = end;
+      } else if (end) {
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    await streamOrderExport(res, { filter, format, layout, columns: resolved.columns });
+  } catch (error) {
+    console.error('Error exporting orders:', error);
+    // Once rows are on the wire the status is gone; cut the download short instead
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Failed to export orders' });
+  }
+});
+
 // Update order status
-router.patch('/orders/:id/status', async (req, res) => {
+router.patch('/orders/:id/status', requirePermission('orders:update_status'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { note } = req.body;
+    const status = normalizeStatus(req.body.status);
     
-    if (!['Pending', 'Dispatched', 'Delivered'].includes(status)) {
+    if (!status) {
       return res.status(400).json({ error: 'Invalid status' });
     }
     
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('items.product');
+    let order = null;
+    let from = null;
+    await mongoose.connection.transaction(async (session) => {
+      order = await Order.findById(req.params.id).session(session);
+      if (!order) return;
+      
+      from = order.status;
+      await transitionOrderStatus(order, status, {
+        actor: getActor(req),
+        note,
+        session
+      });
+      await order.save({ session });
+    });
     
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
     
+    await orderStatusChanged(order, from, getActor(req));
+    await order.populate('items.product');
+    
     res.json(order);
   } catch (error) {
     console.error('Error updating order status:', error);
+    
+    if (error.name === 'InvalidStatusTransitionError') {
+      return res.status(409).json({ error: error.message, allowed: error.allowed });
+    }
+    
+    if (error.name === 'InsufficientStockError') {
+      return res.status(409).json({ error: error.message, details: error.shortages });
+    }
+    
     res.status(500).json({ error: 'Failed to update order status' });
   }
 });
 
+// Get order status timeline
+router.get('/orders/:id/timeline', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber status statusHistory')
+      .lean();
+    
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    res.json({
+      orderNumber: order.orderNumber,
+      status: order.status,
+      nextStatuses: STATUS_TRANSITIONS[order.status] || [],
+      timeline: order.statusHistory || [],
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({ error: 'Failed to fetch order timeline' });
+  }
+});
+
+// Most orders printed in one batch PDF
+const MAX_DOCUMENT_BATCH = 200;
+
+// Load orders in the order they were asked for. Returns null when any of them does not exist.
+const loadOrdersForDocuments = async (orderIds) => {
+
+  const orders = await Order.find({ _id: { $in: orderIds } }).lean();
+  const byId = new Map(orders.map(order => [order._id.toString(), order]));
+  const uniqueIds = [...new Set(orderIds.map(id => id.toString()))];
+
+  return uniqueIds.every(id => byId.has(id)) ? uniqueIds.map(id => byId.get(id)) : null;
+};
+
+// Orders in the list that cannot be printed as invoices because none has been issued yet
+const findUninvoiced = (orders) => orders
+  .filter(order => !order.invoiceNumber)
+  .map(order => order.orderNumber);
+
+// Issue invoices: give each order the next invoice number. Orders that already have one keep
+// it; cancelled orders are refused. Body: { orderIds: [...] }
+router.post('/orders/invoices', requirePermission('invoices:issue'), async (req, res) => {
+  try {
+    const { orderIds } = req.body;
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0 || orderIds.length > MAX_DOCUMENT_BATCH) {
+      return res.status(400).json({ error: `orderIds must list between 1 and ${MAX_DOCUMENT_BATCH} orders` });
+    }
+
+    const invalidIds = orderIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ error: 'Invalid order ids', details: invalidIds });
+    }
+
+    const found = await loadOrdersForDocuments(orderIds);
+    if (!found) {
+      return res.status(404).json({ error: 'One or more orders not found' });
+    }
+
+    const refused = found.filter(order => !order.invoiceNumber && NON_INVOICEABLE_STATUSES.includes(order.status));
+    if (refused.length > 0) {
+      return res.status(409).json({
+        error: `Orders in status ${NON_INVOICEABLE_STATUSES.join(', ')} cannot be invoiced`,
+        details: refused.map(order => order.orderNumber)
+      });
+    }
+
+    await assignInvoiceNumbers(orderIds);
+    const orders = await loadOrdersForDocuments(orderIds);
+
+    res.json({
+      message: 'Invoices issued successfully',
+      invoices: orders.map(order => ({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        invoiceNumber: order.invoiceNumber,
+        invoicedAt: order.invoicedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error issuing invoices:', error);
+    res.status(500).json({ error: 'Failed to issue invoices' });
+  }
+});
+
+// Get an order's invoice as PDF; the invoice has to be issued first (POST /orders/invoices)
+router.get('/orders/:id/invoice.pdf', requirePermission('orders:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid order id' });
+    }
+
+    const orders = await loadOrdersForDocuments([req.params.id]);
+    if (!orders) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (findUninvoiced(orders).length > 0) {
+      return res.status(409).json({ error: 'No invoice has been issued for this order yet' });
+    }
+
+    streamOrderDocuments(res, orders, 'invoice', `${orders[0].invoiceNumber}.pdf`);
+  } catch (error) {
+    console.error('Error generating invoice:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Get an order's packing slip as PDF
+router.get('/orders/:id/packing-slip.pdf', requirePermission('orders:read'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid order id' });
+    }
+
+    const orders = await loadOrdersForDocuments([req.params.id]);
+    if (!orders) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    streamOrderDocuments(res, orders, 'packing_slip', `packing-slip-${orders[0].orderNumber}.pdf`);
+  } catch (error) {
+    console.error('Error generating packing slip:', error);
+    res.status(500).json({ error: 'Failed to generate packing slip' });
+  }
+});
+
+// Get one PDF with the invoices or packing slips of many orders, one order per page
+// Body: { orderIds: [...], type: 'invoice' | 'packing_slip' }
+router.post('/orders/documents.pdf', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { orderIds, type = 'invoice' } = req.body;
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid type. Must be one of: ${DOCUMENT_TYPES.join(', ')}` });
+    }
+
+    if (!Array.isArray(orderIds) || orderIds.length === 0 || orderIds.length > MAX_DOCUMENT_BATCH) {
+      return res.status(400).json({ error: `orderIds must list between 1 and ${MAX_DOCUMENT_BATCH} orders` });
+    }
+
+    const invalidIds = orderIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ error: 'Invalid order ids', details: invalidIds });
+    }
+
+    const orders = await loadOrdersForDocuments(orderIds);
+    if (!orders) {
+      return res.status(404).json({ error: 'One or more orders not found' });
+    }
+    const uninvoiced = type === 'invoice' ? findUninvoiced(orders) : [];
+    if (uninvoiced.length > 0) {
+      return res.status(409).json({ error: 'No invoice has been issued for some orders yet', details: uninvoiced });
+    }
+
+    const filename = `${type === 'invoice' ? 'invoices' : 'packing-slips'}-${new Date().toISOString().slice(0, 10)}.pdf`;
+    streamOrderDocuments(res, orders, type, filename);
+  } catch (error) {
+    console.error('Error generating order documents:', error);
+    res.status(500).json({ error: 'Failed to generate order documents' });
+  }
+});
+
+// Get carts, e.g. to follow up on abandoned ones (?status=active&customer=true&idle_hours=24)
+router.get('/carts', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'active', customer, idle_hours } = req.query;
+    
+    const filter = { status, 'items.0': { $exists: true } };
+    if (customer === 'true') filter.customerId = { $ne: null };
+    if (customer === 'false') filter.customerId = null;
+    if (idle_hours) {
+      filter.updated_at = { $lte: new Date(Date.now() - Number(idle_hours) * 60 * 60 * 1000) };
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const carts = await Cart.find(filter)
+      .sort({ updated_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('customerId', 'name email phone')
+      .lean();
+    
+    const total = await Cart.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+    
+    res.json({
+      carts,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching admin carts:', error);
+    res.status(500).json({ error: 'Failed to fetch carts' });
+  }
+});
+
+// Get a cart with live pricing and stock
+router.get('/carts/:id', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const cart = await Cart.findById(req.params.id);
+    
+    if (!cart) {
+      return res.status(404).json({ error: 'Cart not found' });
+    }
+    
+    const customer = cart.customerId
+      ? await Customer.findById(cart.customerId).select('name email phone').lean()
+      : null;
+    
+    res.json({
+      cart: await buildCartView(cart),
+      customer,
+      order: cart.order,
+    });
+  } catch (error) {
+    console.error('Error fetching admin cart:', error);
+    res.status(500).json({ error: 'Failed to fetch cart' });
+  }
+});
+
+// Get review moderation queue
+router.get('/reviews', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const [result] = await Product.aggregate([
+      { $match: { 'reviews.status': status } },
+      { $unwind: '$reviews' },
+      { $match: { 'reviews.status': status } },
+      {
+        $project: {
+          _id: 0,
+          product: { _id: '$_id', name: '$name', slug: '$slug' },
+          review: '$reviews'
+        }
+      },
+      {
+        $facet: {
+          reviews: [
+            { $sort: { 'review.created_at': 1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+    
+    const total = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(total / parseInt(limit));
+    
+    res.json({
+      reviews: result.reviews,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        total,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching reviews for moderation:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Approve or reject a review
+router.patch('/reviews/:productId/:reviewId', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+    
+    if (!['approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status. Must be approved or rejected' });
+    }
+    
+    const result = await Product.updateOne(
+      { _id: req.params.productId, 'reviews._id': req.params.reviewId },
+      {
+        $set: {
+          'reviews.$.status': status,
+          'reviews.$.moderation_note': note,
+          'reviews.$.moderated_at': new Date(),
+        },
+      }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    
+    await recalculateRating(req.params.productId);
+    
+    const product = await Product.findById(req.params.productId)
+      .select('name rating_average rating_count reviews')
+      .lean();
+    
+    res.json({
+      review: product.reviews.find(review => review._id.toString() === req.params.reviewId),
+      rating_average: product.rating_average,
+      rating_count: product.rating_count,
+    });
+  } catch (error) {
+    console.error('Error moderating review:', error);
+    res.status(500).json({ error: 'Failed to moderate review' });
+  }
+});
+
+// Remove a review
+router.delete('/reviews/:productId/:reviewId', requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const result = await Product.updateOne(
+      { _id: req.params.productId, 'reviews._id': req.params.reviewId },
+      { $pull: { reviews: { _id: req.params.reviewId } } }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    
+    await recalculateRating(req.params.productId);
+    
+    const product = await Product.findById(req.params.productId)
+      .select('rating_average rating_count')
+      .lean();
+    
+    res.json({
+      message: 'Review removed',
+      rating_average: product.rating_average,
+      rating_count: product.rating_count,
+    });
+  } catch (error) {
+    console.error('Error removing review:', error);
+    res.status(500).json({ error: 'Failed to remove review' });
+  }
+});
+
 // Get sales analytics
-router.get('/analytics/sales', async (req, res) => {
+router.get('/analytics/sales', requirePermission('analytics:read'), async (req, res) => {
   try {
     const { period = '30' } = req.query;
     const days = parseInt(period);
@@ -153,7 +595,7 @@ router.get('/analytics/sales', async (req, res) => {
       {
         $match: {
           createdAt: { $gte: startDate },
-          status: { $in: ['Dispatched', 'Delivered'] }
+          status: { $in: ['Shipped', 'Dispatched', 'Delivered'] }
         }
       },
       {
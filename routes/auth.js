@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { ROLE_PERMISSIONS, ADMIN_ROLES, LEGACY_ROLES, getPermissions } = require('../utils/permissions');
 
 // Validate JWT secret
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -64,6 +66,7 @@ router.post('/login', async (req, res) => {
         username: admin.username,
         email: admin.email,
         role: admin.role,
+        permissions: getPermissions(admin.role),
       },
     });
   } catch (error) {
@@ -106,7 +109,7 @@ router.get('/profile', async (req, res) => {
     
     res.json({
       success: true,
-      admin
+      admin: { ...admin.toObject(), permissions: getPermissions(admin.role) }
     });
   } catch (error) {
     console.error('Error fetching admin profile:', error);
@@ -132,10 +135,25 @@ router.get('/profile', async (req, res) => {
   }
 });
 
-// Create admin account (for initial setup)
-router.post('/register', async (req, res) => {
+// Anyone may create the first account, which becomes the owner; after that only admins
+// allowed to manage staff can add accounts
+const allowRegistration = async (req, res, next) => {
+  try {
+    if (await Admin.exists({})) {
+      return requirePermission('admins:manage')(req, res, next);
+    }
+    req.firstAdmin = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Create admin account: the owner on initial setup, otherwise with the given role
+router.post('/register', allowRegistration, async (req, res) => {
   try {
     const { username, password, email } = req.body;
+    const role = req.firstAdmin ? 'owner' : req.body.role || 'analyst';
     
     if (!username || !password || !email) {
       return res.status(400).json({ 
@@ -143,6 +161,13 @@ router.post('/register', async (req, res) => {
         error: 'All fields are required' 
       });
     }
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` 
+      });
+    }
     
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({ 
@@ -156,7 +181,7 @@ router.post('/register', async (req, res) => {
       });
     }
     
-    const admin = new Admin({ username, password, email });
+    const admin = new Admin({ username, password, email, role });
     await admin.save();
     
     res.status(201).json({
@@ -188,4 +213,88 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Roles and the permissions each grants
+router.get('/roles', verifyToken, (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLE_PERMISSIONS
+  });
+});
+
+// List admin accounts
+router.get('/admins', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const admins = await Admin.find().select('-password').sort({ createdAt: 1 }).lean();
+
+    res.json({
+      success: true,
+      admins: admins.map(admin => ({ ...admin, permissions: getPermissions(admin.role) }))
+    });
+  } catch (error) {
+    console.error('Error fetching admins:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch admins' 
+    });
+  }
+});
+
+// Change an admin's role. The store always keeps at least one owner.
+router.patch('/admins/:id/role', requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ 
+        success: false,
+        error: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}` 
+      });
+    }
+
+    const admin = await Admin.findById(req.params.id).select('-password');
+    if (!admin) {
+      return res.status(404).json({ 
+        success: false,
+        error: 'Admin not found' 
+      });
+    }
+
+    // Roles that can manage admins, including legacy ones
+    const ownerRoles = [...ADMIN_ROLES, ...Object.keys(LEGACY_ROLES)]
+      .filter(name => getPermissions(name).includes('admins:manage'));
+    if (ownerRoles.includes(admin.role) && !ownerRoles.includes(role)) {
+      const owners = await Admin.countDocuments({ role: { $in: ownerRoles } });
+      if (owners <= 1) {
+        return res.status(409).json({ 
+          success: false,
+          error: 'Cannot change the role of the last owner' 
+        });
+      }
+    }
+
+    await Admin.updateOne({ _id: admin._id }, { role }, { runValidators: true });
+    admin.role = role;
+
+    res.json({
+      success: true,
+      message: 'Admin role updated successfully',
+      admin: { ...admin.toObject(), permissions: getPermissions(admin.role) }
+    });
+  } catch (error) {
+    console.error('Error updating admin role:', error);
+
+    if (error.name === 'CastError') {
+      return res.status(400).json({ 
+        success: false,
+        error: 'Invalid admin id' 
+      });
+    }
+
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update admin role' 
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
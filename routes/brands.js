@@ -0,0 +1,250 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Brand = require('../models/Brand');
+const Product = require('../models/Product');
+const { requirePermission } = require('../middleware/auth');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../config/cloudinary');
+const { findBrand } = require('../utils/brands');
+
+// Fields admins may set on a brand
+const BRAND_FIELDS = ['name', 'slug', 'description', 'is_active'];
+
+// Configure multer for the brand logo
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Pick the editable fields from a (possibly multipart) request body
+const pickBrandFields = (body) => {
+  const data = {};
+  BRAND_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (typeof data.is_active === 'string') data.is_active = data.is_active === 'true';
+  return data;
+};
+
+// Get active brands with their active product counts
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' ? {} : { is_active: true };
+
+    const brands = await Brand.find(filter).sort({ name: 1 }).lean();
+
+    const counts = await Product.aggregate([
+      { $match: { is_active: true, brand_id: { $in: brands.map(brand => brand._id) } } },
+      { $group: { _id: '$brand_id', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    res.json({
+      success: true,
+      message: 'Brands fetched successfully',
+      data: brands.map(brand => ({
+        ...brand,
+        product_count: countMap.get(brand._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching brands:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch brands',
+      error: error.message
+    });
+  }
+});
+
+// Get single brand by id or slug
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const brand = await findBrand(req.params.idOrSlug, { activeOnly: true }).lean();
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const productCount = await Product.countDocuments({ brand_id: brand._id, is_active: true });
+
+    res.json({
+      success: true,
+      message: 'Brand fetched successfully',
+      data: { ...brand, product_count: productCount }
+    });
+  } catch (error) {
+    console.error('Error fetching brand:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch brand',
+      error: error.message
+    });
+  }
+});
+
+// Create brand (admin only)
+router.post('/', requirePermission('products:write'), upload.single('logo'), async (req, res) => {
+  try {
+    const brandData = pickBrandFields(req.body);
+
+    if (!brandData.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Brand name is required'
+      });
+    }
+
+    if (req.file) {
+      const result = await uploadToCloudinary(req.file, 'brands');
+      brandData.logo = result.url;
+      brandData.logo_public_id = result.public_id;
+    }
+
+    const brand = new Brand(brandData);
+    await brand.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Brand created successfully',
+      data: brand
+    });
+  } catch (error) {
+    console.error('Error creating brand:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create brand',
+      error: error.message
+    });
+  }
+});
+
+// Update brand (admin only)
+router.put('/:id', requirePermission('products:write'), upload.single('logo'), async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const brandData = pickBrandFields(req.body);
+    const previousLogoId = brand.logo_public_id;
+
+    if (req.file) {
+      const result = await uploadToCloudinary(req.file, 'brands');
+      brandData.logo = result.url;
+      brandData.logo_public_id = result.public_id;
+    }
+
+    const renamed = brandData.name !== undefined && brandData.name !== brand.name;
+    brand.set(brandData);
+    await brand.save();
+
+    // Keep the searchable copy of the name on products in sync
+    if (renamed) {
+      await Product.updateMany({ brand_id: brand._id }, { brand_name: brand.name });
+    }
+
+    if (req.file && previousLogoId) {
+      try {
+        await deleteFromCloudinary(previousLogoId);
+      } catch (deleteError) {
+        console.error('Error deleting old brand logo:', deleteError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Brand updated successfully',
+      data: brand
+    });
+  } catch (error) {
+    console.error('Error updating brand:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update brand',
+      error: error.message
+    });
+  }
+});
+
+// Delete brand (admin only); brands still used by products cannot be deleted
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
+  try {
+    const brand = await Brand.findById(req.params.id);
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: 'Brand not found'
+      });
+    }
+
+    const productCount = await Product.countDocuments({ brand_id: brand._id });
+    if (productCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Brand is used by ${productCount} products. Reassign them before deleting it`
+      });
+    }
+
+    await Brand.deleteOne({ _id: brand._id });
+
+    if (brand.logo_public_id) {
+      try {
+        await deleteFromCloudinary(brand.logo_public_id);
+      } catch (deleteError) {
+        console.error('Error deleting brand logo:', deleteError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Brand deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting brand:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete brand',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
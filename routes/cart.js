@@ -0,0 +1,325 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const { optionalCustomer, verifyCustomer } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const { resolveVariant } = require('../utils/orderPricing');
+const { buildOrder, placeOrder, CheckoutError, sendCheckoutError } = require('../utils/checkout');
+const {
+  getCartToken,
+  findActiveCart,
+  createCart,
+  addCartLine,
+  toOrderItems,
+  mergeGuestCart,
+  buildCartView
+} = require('../utils/cart');
+
+router.use(optionalCustomer);
+router.use(resolveCurrency);
+
+// The shopper's active cart: the customer's own (picking up any guest cart sent along
+// with the request), or the guest cart for the X-Cart-Token header. With create set a
+// new cart is opened when there is none yet.
+const getCart = async (req, { create = false } = {}) => {
+  const customerId = req.customer?.id;
+  const token = getCartToken(req);
+
+  if (customerId) {
+    await mergeGuestCart(token, customerId);
+    const cart = await findActiveCart({ customerId });
+    return cart || (create ? createCart({ customerId }) : null);
+  }
+
+  const cart = await findActiveCart({ token });
+  return cart || (create ? createCart() : null);
+};
+
+const parseQuantity = (value) => {
+  const quantity = Number(value);
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : null;
+};
+
+// Get the current cart with live pricing and stock
+router.get('/', async (req, res) => {
+  try {
+    const cart = await getCart(req);
+
+    res.json({
+      success: true,
+      message: 'Cart fetched successfully',
+      data: await buildCartView(cart, { currency: req.currency })
+    });
+  } catch (error) {
+    console.error('Error fetching cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch cart',
+      error: error.message
+    });
+  }
+});
+
+// Add an item; the variant may be picked by variant_id, sku or size/colour
+router.post('/items', async (req, res) => {
+  try {
+    const { product: productId, variant_id, sku, selectedSize, selectedColor } = req.body;
+    const quantity = parseQuantity(req.body.quantity ?? 1);
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid product is required'
+      });
+    }
+
+    if (!quantity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number of at least 1'
+      });
+    }
+
+    const product = await Product.findOne({ _id: productId, is_active: true }).lean();
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const { variant, error } = resolveVariant(product, { variant_id, sku, selectedSize, selectedColor });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const cart = await getCart(req, { create: true });
+    addCartLine(cart, {
+      product: product._id,
+      variant_id: variant ? variant.variant_id : null,
+      // Size/colour only identify the line for products without variants
+      selectedSize: variant ? undefined : selectedSize,
+      selectedColor: variant ? undefined : selectedColor,
+      quantity
+    });
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      data: await buildCartView(cart, { currency: req.currency })
+    });
+  } catch (error) {
+    console.error('Error adding cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add item to cart',
+      error: error.message
+    });
+  }
+});
+
+// Change the quantity of a cart line; 0 removes it
+router.patch('/items/:itemId', async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body.quantity);
+
+    if (quantity === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number'
+      });
+    }
+
+    const cart = await getCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    if (quantity === 0) {
+      item.deleteOne();
+    } else {
+      item.quantity = quantity;
+    }
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart updated successfully',
+      data: await buildCartView(cart, { currency: req.currency })
+    });
+  } catch (error) {
+    console.error('Error updating cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update cart',
+      error: error.message
+    });
+  }
+});
+
+// Remove a cart line
+router.delete('/items/:itemId', async (req, res) => {
+  try {
+    const cart = await getCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    item.deleteOne();
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: await buildCartView(cart, { currency: req.currency })
+    });
+  } catch (error) {
+    console.error('Error removing cart item:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove item from cart',
+      error: error.message
+    });
+  }
+});
+
+// Empty the cart
+router.delete('/', async (req, res) => {
+  try {
+    const cart = await getCart(req);
+
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared successfully',
+      data: await buildCartView(cart, { currency: req.currency })
+    });
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear cart',
+      error: error.message
+    });
+  }
+});
+
+// Merge the guest cart (X-Cart-Token) into the logged-in customer's cart
+router.post('/merge', verifyCustomer, async (req, res) => {
+  try {
+    const token = getCartToken(req);
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart token is required'
+      });
+    }
+
+    await mergeGuestCart(token, req.customer.id);
+    const cart = await findActiveCart({ customerId: req.customer.id });
+
+    res.json({
+      success: true,
+      message: 'Cart merged successfully',
+      data: await buildCartView(cart, { currency: req.currency })
+    });
+  } catch (error) {
+    console.error('Error merging cart:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge cart',
+      error: error.message
+    });
+  }
+});
+
+// Place an order for everything in the cart. Takes the same customer, address,
+// payment and coupon fields as POST /api/orders; the items come from the cart.
+router.post('/checkout', async (req, res) => {
+  try {
+    let account = null;
+    if (req.customer) {
+      account = await Customer.findById(req.customer.id);
+      if (!account || !account.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Customer account not found'
+        });
+      }
+    }
+
+    const cart = await getCart(req);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const checkout = await buildOrder({
+      ...req.body,
+      currency: req.currency?.code,
+      items: toOrderItems(cart.items)
+    }, { account });
+
+    // Close the cart in the same transaction, so it can only ever become one order
+    const order = await placeOrder(checkout, {
+      onSession: async (session) => {
+        const closed = await Cart.updateOne(
+          { _id: cart._id, status: 'active' },
+          { status: 'converted', order: checkout.order._id },
+          { session }
+        );
+        if (closed.modifiedCount === 0) {
+          throw new CheckoutError(409, 'Cart has already been checked out');
+        }
+      }
+    });
+
+    const populatedOrder = await Order.findById(order._id)
+      .populate('items.product')
+      .lean();
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: populatedOrder,
+      pricing: checkout.pricing
+    });
+  } catch (error) {
+    console.error('Error checking out cart:', error);
+
+    if (sendCheckoutError(res, error)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check out cart',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
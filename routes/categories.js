@@ -0,0 +1,314 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { requirePermission } = require('../middleware/auth');
+const { uploadToCloudinary } = require('../config/cloudinary');
+const {
+  findCategory,
+  buildCategoryTree,
+  rebuildDescendantAncestors
+} = require('../utils/categories');
+
+// Fields admins may set on a category
+const CATEGORY_FIELDS = ['name', 'slug', 'description', 'image', 'parent_id', 'sort_order', 'is_active'];
+
+// Configure multer for the category image
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+    files: 1
+  },
+  fileFilter: function (req, file, cb) {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Pick the editable fields from a (possibly multipart) request body
+const pickCategoryFields = (body) => {
+  const data = {};
+  CATEGORY_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.parent_id === '' || data.parent_id === 'null') data.parent_id = null;
+  if (typeof data.is_active === 'string') data.is_active = data.is_active === 'true';
+  return data;
+};
+
+// Get all active categories as a flat list
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' ? {} : { is_active: true };
+
+    const categories = await Category.find(filter)
+      .sort({ sort_order: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      message: 'Categories fetched successfully',
+      data: categories
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch categories',
+      error: error.message
+    });
+  }
+});
+
+// Get the active category tree with direct product counts
+router.get('/tree', async (req, res) => {
+  try {
+    const categories = await Category.find({ is_active: true })
+      .sort({ sort_order: 1, name: 1 })
+      .lean();
+
+    const counts = await Product.aggregate([
+      { $match: { is_active: true } },
+      { $unwind: '$categories' },
+      { $group: { _id: '$categories', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+    // A child whose parent is inactive is hidden along with it
+    const tree = buildCategoryTree(categories.map(category => ({
+      ...category,
+      product_count: countMap.get(category._id.toString()) || 0
+    })));
+
+    res.json({
+      success: true,
+      message: 'Category tree fetched successfully',
+      data: tree
+    });
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category tree',
+      error: error.message
+    });
+  }
+});
+
+// Get breadcrumbs (root down to the category itself) by id or slug
+router.get('/:idOrSlug/breadcrumbs', async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug, { activeOnly: true }).lean();
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } })
+      .select('name slug')
+      .lean();
+    const ancestorMap = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+    const breadcrumbs = [
+      ...category.ancestors.map(id => ancestorMap.get(id.toString())).filter(Boolean),
+      { _id: category._id, name: category.name, slug: category.slug }
+    ];
+
+    res.json({
+      success: true,
+      message: 'Breadcrumbs fetched successfully',
+      data: breadcrumbs
+    });
+  } catch (error) {
+    console.error('Error fetching breadcrumbs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch breadcrumbs',
+      error: error.message
+    });
+  }
+});
+
+// Get single category by id or slug, with its direct children
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug, { activeOnly: true }).lean();
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const children = await Category.find({ parent_id: category._id, is_active: true })
+      .sort({ sort_order: 1, name: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      message: 'Category fetched successfully',
+      data: { ...category, children }
+    });
+  } catch (error) {
+    console.error('Error fetching category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category',
+      error: error.message
+    });
+  }
+});
+
+// Create category (admin only)
+router.post('/', requirePermission('products:write'), upload.single('image'), async (req, res) => {
+  try {
+    const categoryData = pickCategoryFields(req.body);
+
+    if (!categoryData.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name is required'
+      });
+    }
+
+    if (req.file) {
+      const result = await uploadToCloudinary(req.file, 'categories');
+      categoryData.image = result.url;
+    }
+
+    const category = new Category(categoryData);
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create category',
+      error: error.message
+    });
+  }
+});
+
+// Update category (admin only)
+router.put('/:id', requirePermission('products:write'), upload.single('image'), async (req, res) => {
+  try {
+    const categoryData = pickCategoryFields(req.body);
+
+    if (req.file) {
+      const result = await uploadToCloudinary(req.file, 'categories');
+      categoryData.image = result.url;
+    }
+
+    let category = null;
+    await mongoose.connection.transaction(async (session) => {
+      category = await Category.findById(req.params.id).session(session);
+      if (!category) return;
+
+      const moved = categoryData.parent_id !== undefined &&
+        String(categoryData.parent_id || '') !== String(category.parent_id || '');
+
+      category.set(categoryData);
+      await category.save({ session });
+
+      if (moved) {
+        await rebuildDescendantAncestors(category, session);
+      }
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update category',
+      error: error.message
+    });
+  }
+});
+
+// Delete category (admin only); categories with children must be emptied first
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const childCount = await Category.countDocuments({ parent_id: category._id });
+    if (childCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Category has ${childCount} subcategories. Move or delete them first`
+      });
+    }
+
+    const productResult = await Product.updateMany(
+      { categories: category._id },
+      { $pull: { categories: category._id } }
+    );
+    await Category.deleteOne({ _id: category._id });
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      data: { productsUpdated: productResult.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete category',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const Customer = require('../models/Customer');
+const { verifyToken, requirePermission, optionalCustomer } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const { priceOrderItems, computeOrderTotals } = require('../utils/orderPricing');
+const { resolveCategoryIds } = require('../utils/categories');
+const { toList } = require('../utils/productSearch');
+const { normalizeCode, evaluateCoupon } = require('../utils/coupons');
+const { getBaseCurrency } = require('../utils/currency');
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  'code', 'description', 'type', 'value', 'max_discount', 'min_subtotal',
+  'usage_limit', 'usage_limit_per_customer', 'starts_at', 'ends_at', 'is_active'
+];
+
+// Pick the editable fields and resolve the product/category restrictions.
+// Returns { data } or { error } when a restriction points at something that does not exist.
+const buildCouponData = async (body) => {
+  const data = {};
+  COUPON_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+
+  if (body.applies_to !== undefined) {
+    const productValues = toList(body.applies_to?.products);
+    const products = await Product.find({ _id: { $in: productValues.filter(id => mongoose.Types.ObjectId.isValid(id)) } })
+      .select('_id')
+      .lean();
+    const found = new Set(products.map(product => product._id.toString()));
+    const unknownProducts = productValues.filter(id => !found.has(id));
+    if (unknownProducts.length > 0) {
+      return { error: `Unknown products: ${unknownProducts.join(', ')}` };
+    }
+
+    // Categories may be sent as ids, slugs or names
+    const { ids, unknown } = await resolveCategoryIds(body.applies_to?.categories);
+    if (unknown.length > 0) {
+      return { error: `Unknown categories: ${unknown.join(', ')}` };
+    }
+
+    data.applies_to = { products: products.map(product => product._id), categories: ids };
+  }
+
+  return { data };
+};
+
+// Preview a coupon against a cart before checkout (public)
+router.post('/validate', optionalCustomer, resolveCurrency, async (req, res) => {
+  try {
+    const { code, items } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order items are required'
+      });
+    }
+
+    const pricedItems = await priceOrderItems(items, { currency: req.currency });
+    if (pricedItems.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some order items are invalid',
+        errors: pricedItems.errors
+      });
+    }
+
+    const account = req.customer ? await Customer.findById(req.customer.id).lean() : null;
+    const evaluation = await evaluateCoupon(code, {
+      items: pricedItems.items,
+      subtotal: pricedItems.subtotal,
+      shippingCost: req.body.shippingCost,
+      customerId: account?._id,
+      email: req.body.email || account?.email,
+      currency: req.currency
+    });
+
+    if (evaluation.error) {
+      return res.status(400).json({
+        success: false,
+        message: evaluation.error,
+        field: 'code'
+      });
+    }
+
+    const { totals } = computeOrderTotals(pricedItems, {
+      shippingCost: req.body.shippingCost,
+      tax: req.body.tax,
+      discount: evaluation.discount,
+      freeShipping: evaluation.freeShipping
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: evaluation.coupon.code,
+        type: evaluation.coupon.type,
+        description: evaluation.coupon.description,
+        eligibleSubtotal: evaluation.eligibleSubtotal,
+        discount: evaluation.discount,
+        freeShipping: evaluation.freeShipping,
+        shippingDiscount: evaluation.shippingDiscount,
+        currency: req.currency ? req.currency.code : getBaseCurrency(),
+        totals
+      }
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate coupon',
+      error: error.message
+    });
+  }
+});
+
+// Everything below is admin only
+router.use(verifyToken);
+
+// List coupons
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, active } = req.query;
+    const filter = {};
+
+    if (search) {
+      filter.code = { $regex: normalizeCode(search), $options: 'i' };
+    }
+    if (active !== undefined) {
+      filter.is_active = active === 'true';
+    }
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Coupons fetched successfully',
+      data: {
+        coupons,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / limit),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching coupons:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: error.message
+    });
+  }
+});
+
+// Get single coupon
+router.get('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('applies_to.products', 'name slug sku')
+      .populate('applies_to.categories', 'name slug')
+      .lean();
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon fetched successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error fetching coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon',
+      error: error.message
+    });
+  }
+});
+
+// Create coupon
+router.post('/', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const { data, error } = await buildCouponData(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const coupon = new Coupon(data);
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon',
+      error: error.message
+    });
+  }
+});
+
+// Update coupon
+router.put('/:id', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const { data, error } = await buildCouponData(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    coupon.set(data);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Error updating coupon:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message
+    });
+  }
+});
+
+// Delete coupon; orders keep their own snapshot of the coupon they used
+router.delete('/:id', requirePermission('marketing:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting coupon:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete coupon',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
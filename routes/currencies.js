@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const ExchangeRate = require('../models/ExchangeRate');
+const { requirePermission } = require('../middleware/auth');
+const { getBaseCurrency, normalizeCurrency } = require('../utils/currency');
+
+// Fields admins may set on an exchange rate
+const RATE_FIELDS = ['currency', 'rate', 'symbol', 'decimals', 'rounding_increment', 'rounding_mode', 'is_active'];
+
+const pickRateFields = (body) => {
+  const data = {};
+  RATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Get the base currency and the currencies prices can be shown in
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' ? {} : { is_active: true };
+    const rates = await ExchangeRate.find(filter).sort({ currency: 1 }).lean();
+
+    res.json({
+      success: true,
+      message: 'Currencies fetched successfully',
+      data: {
+        base_currency: getBaseCurrency(),
+        rates
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching currencies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch currencies',
+      error: error.message
+    });
+  }
+});
+
+// Add an exchange rate (admin only)
+router.post('/', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const data = pickRateFields(req.body);
+
+    if (normalizeCurrency(data.currency) === getBaseCurrency()) {
+      return res.status(400).json({
+        success: false,
+        message: `${getBaseCurrency()} is the base currency and always has a rate of 1`
+      });
+    }
+
+    const rate = new ExchangeRate(data);
+    await rate.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate created successfully',
+      data: rate
+    });
+  } catch (error) {
+    console.error('Error creating exchange rate:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An exchange rate for this currency already exists'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create exchange rate',
+      error: error.message
+    });
+  }
+});
+
+// Update an exchange rate by currency code (admin only)
+router.put('/:currency', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOne({ currency: normalizeCurrency(req.params.currency) });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    // The currency code identifies the rate and cannot change
+    const data = pickRateFields(req.body);
+    delete data.currency;
+    rate.set(data);
+    await rate.save();
+
+    res.json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: rate
+    });
+  } catch (error) {
+    console.error('Error updating exchange rate:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update exchange rate',
+      error: error.message
+    });
+  }
+});
+
+// Delete an exchange rate (admin only); orders keep the rate they were placed with
+router.delete('/:currency', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findOneAndDelete({ currency: normalizeCurrency(req.params.currency) });
+
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting exchange rate:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete exchange rate',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
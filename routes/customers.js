@@ -0,0 +1,338 @@
+const express = require('express');
+const router = express.Router();
+const Customer = require('../models/Customer');
+const Order = require('../models/Order');
+const { verifyCustomer, signCustomerToken } = require('../middleware/auth');
+const { getCartToken, mergeGuestCart } = require('../utils/cart');
+
+// Fields a customer may change on their own profile
+const PROFILE_FIELDS = ['name', 'phone', 'addresses'];
+
+// Carry the guest cart over to the account; signing in must not fail because of it
+const carryOverGuestCart = async (req, customer) => {
+  try {
+    await mergeGuestCart(getCartToken(req), customer._id);
+  } catch (error) {
+    console.error('Error merging guest cart:', error);
+  }
+};
+
+// Register a new customer account
+router.post('/register', async (req, res) => {
+  try {
+    const { name, email, password, phone } = req.body;
+
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, email and password are required'
+      });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password must be at least 6 characters'
+      });
+    }
+
+    const existingCustomer = await Customer.findOne({ email: email.toLowerCase().trim() });
+    if (existingCustomer) {
+      return res.status(400).json({
+        success: false,
+        message: 'An account with this email already exists'
+      });
+    }
+
+    const customer = new Customer({ name, email, password, phone });
+    await customer.save();
+
+    // Earlier guest orders with the same email are deliberately not linked: the address
+    // is unverified, so linking would hand someone else's order history to whoever registers it
+
+    await carryOverGuestCart(req, customer);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        token: signCustomerToken(customer),
+        customer
+      }
+    });
+  } catch (error) {
+    console.error('Customer registration error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Registration failed',
+      error: error.message
+    });
+  }
+});
+
+// Customer login
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const customer = await Customer.findOne({ email: email.toLowerCase().trim() });
+
+    if (!customer || !customer.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    const isPasswordValid = await customer.comparePassword(password);
+
+    if (!isPasswordValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    customer.lastLoginAt = new Date();
+    await customer.save();
+
+    await carryOverGuestCart(req, customer);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        token: signCustomerToken(customer),
+        customer
+      }
+    });
+  } catch (error) {
+    console.error('Customer login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+});
+
+// Get current customer profile
+router.get('/me', verifyCustomer, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.customer.id);
+
+    if (!customer || !customer.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Profile fetched successfully',
+      data: customer
+    });
+  } catch (error) {
+    console.error('Error fetching customer profile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch profile',
+      error: error.message
+    });
+  }
+});
+
+// Update current customer profile
+router.put('/me', verifyCustomer, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.customer.id);
+
+    if (!customer || !customer.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        customer[field] = req.body[field];
+      }
+    });
+
+    if (req.body.password) {
+      if (!req.body.currentPassword || !(await customer.comparePassword(req.body.currentPassword))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+      customer.password = req.body.password;
+    }
+
+    await customer.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      data: customer
+    });
+  } catch (error) {
+    console.error('Error updating customer profile:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile',
+      error: error.message
+    });
+  }
+});
+
+// Get order history for the current customer
+router.get('/me/orders', verifyCustomer, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = { customerId: req.customer.id };
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('items.product', 'name slug images')
+      .lean();
+
+    const total = await Order.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      message: 'Orders fetched successfully',
+      data: {
+        orders,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          total,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching customer orders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: error.message
+    });
+  }
+});
+
+// Get a single order belonging to the current customer
+router.get('/me/orders/:id', verifyCustomer, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      customerId: req.customer.id
+    })
+      .populate('items.product', 'name slug images')
+      .populate('returns', 'rmaNumber status items refundAmount createdAt')
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Order fetched successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Error fetching customer order:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order',
+      error: error.message
+    });
+  }
+});
+
+// Get the status timeline of an order belonging to the current customer
+router.get('/me/orders/:id/timeline', verifyCustomer, async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      _id: req.params.id,
+      customerId: req.customer.id
+    })
+      .select('orderNumber status statusHistory')
+      .lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Staff identities stay internal; shoppers only see who acted and any note
+    const timeline = (order.statusHistory || []).map(entry => ({
+      status: entry.status,
+      from: entry.from,
+      actor: entry.actor?.type,
+      note: entry.note,
+      changedAt: entry.changedAt
+    }));
+
+    res.json({
+      success: true,
+      message: 'Order timeline fetched successfully',
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        timeline
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching customer order timeline:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order timeline',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const EmailTemplate = require('../models/EmailTemplate');
+const NotificationLog = require('../models/NotificationLog');
+const Order = require('../models/Order');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { DEFAULT_TEMPLATES, TEMPLATE_KEYS, TEMPLATE_VARIABLES } = require('../utils/emailTemplates');
+const {
+  getTemplate,
+  buildOrderVariables,
+  renderEmail,
+  sendOrderEmail,
+  processQueuedNotifications,
+  buildSampleOrder
+} = require('../utils/notifications');
+
+// Fields admins may set on a template override
+const TEMPLATE_FIELDS = ['subject', 'text', 'html', 'is_active'];
+
+// Everything here is admin only
+router.use(verifyToken);
+
+// Reject template keys we do not know
+router.param('key', (req, res, next, key) => {
+  if (!TEMPLATE_KEYS.includes(key)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown template. Must be one of: ${TEMPLATE_KEYS.join(', ')}`
+    });
+  }
+  next();
+});
+
+// The order a preview or test send is rendered with: ?orderId / body.orderId, or a sample
+const loadPreviewOrder = async (orderId) => {
+  if (!orderId) return buildSampleOrder();
+  if (!mongoose.Types.ObjectId.isValid(orderId)) return null;
+  return Order.findById(orderId).lean();
+};
+
+// List every template as it will be sent, with the variables templates can use
+router.get('/templates', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const templates = await Promise.all(TEMPLATE_KEYS.map(getTemplate));
+
+    res.json({
+      success: true,
+      message: 'Email templates fetched successfully',
+      data: {
+        templates: templates.map(template => ({
+          ...template,
+          description: DEFAULT_TEMPLATES[template.key].description
+        })),
+        variables: TEMPLATE_VARIABLES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email templates',
+      error: error.message
+    });
+  }
+});
+
+// Get single template, with the built-in default alongside
+router.get('/templates/:key', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const template = await getTemplate(req.params.key);
+
+    res.json({
+      success: true,
+      message: 'Email template fetched successfully',
+      data: {
+        ...template,
+        default: DEFAULT_TEMPLATES[req.params.key],
+        variables: TEMPLATE_VARIABLES
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch email template',
+      error: error.message
+    });
+  }
+});
+
+// Override a template; fields left out keep their current value
+router.put('/templates/:key', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const current = await getTemplate(req.params.key);
+    const data = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      data[field] = req.body[field] !== undefined ? req.body[field] : current[field];
+    });
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key: req.params.key },
+      { ...data, key: req.params.key },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Email template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    console.error('Error updating email template:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update email template',
+      error: error.message
+    });
+  }
+});
+
+// Drop the override and go back to the built-in template
+router.delete('/templates/:key', requirePermission('settings:write'), async (req, res) => {
+  try {
+    await EmailTemplate.deleteOne({ key: req.params.key });
+
+    res.json({
+      success: true,
+      message: 'Email template reset to default',
+      data: await getTemplate(req.params.key)
+    });
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset email template',
+      error: error.message
+    });
+  }
+});
+
+// Render a template without sending it. Unsaved subject/text/html in the body are
+// previewed instead of the stored ones.
+router.post('/templates/:key/preview', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const order = await loadPreviewOrder(req.body.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const template = { ...(await getTemplate(req.params.key)) };
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    res.json({
+      success: true,
+      message: 'Email template rendered successfully',
+      data: renderEmail(template, buildOrderVariables(order, { previousStatus: 'Processing' }))
+    });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview email template',
+      error: error.message
+    });
+  }
+});
+
+// Send a template to an address through the configured transport
+router.post('/templates/:key/test', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const { to, orderId } = req.body;
+
+    if (!to) {
+      return res.status(400).json({
+        success: false,
+        message: 'Recipient (to) is required'
+      });
+    }
+
+    const order = await loadPreviewOrder(orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const log = await sendOrderEmail(req.params.key, order, { to, previousStatus: 'Processing' });
+
+    if (!log) {
+      return res.status(409).json({
+        success: false,
+        message: 'Template is switched off'
+      });
+    }
+
+    res.status(log.status === 'sent' ? 200 : 502).json({
+      success: log.status === 'sent',
+      message: log.status === 'sent' ? 'Test email sent' : `Test email failed: ${log.error}`,
+      data: log
+    });
+  } catch (error) {
+    console.error('Error sending test email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test email',
+      error: error.message
+    });
+  }
+});
+
+// Send queued emails that are due. Serverless deployments have no background timer, so a
+// scheduler (e.g. a cron job) should call this every minute or so.
+router.post('/process', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const summary = await processQueuedNotifications({ limit: parseInt(req.body.limit) || 50 });
+
+    res.json({
+      success: true,
+      message: 'Queued emails processed',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error processing queued emails:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process queued emails',
+      error: error.message
+    });
+  }
+});
+
+// Notification log, newest first; filter by order, template and status
+router.get('/logs', requirePermission('customers:read'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, order, template, status } = req.query;
+    const filter = {};
+
+    if (order) filter.order = order;
+    if (template) filter.template = template;
+    if (status) filter.status = status;
+
+    const [logs, total] = await Promise.all([
+      NotificationLog.find(filter)
+        .populate('order', 'orderNumber status')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      NotificationLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Notification logs fetched successfully',
+      data: {
+        logs,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / limit),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching notification logs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch notification logs',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,42 +1,28 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
-
-// Debug endpoint to test database connection and orders
-router.get('/debug', async (req, res) => {
-  try {
-    const orderCount = await Order.countDocuments();
-    const pendingOrders = await Order.countDocuments({ status: 'Pending' });
-    const dispatchedOrders = await Order.countDocuments({ status: 'Dispatched' });
-    const deliveredOrders = await Order.countDocuments({ status: 'Delivered' });
-    
-    res.json({
-      success: true,
-      message: 'Order debug info',
-      data: {
-        totalOrders: orderCount,
-        pendingOrders,
-        dispatchedOrders,
-        deliveredOrders,
-        timestamp: new Date().toISOString()
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Debug failed',
-      error: error.message
-    });
-  }
-});
+const Customer = require('../models/Customer');
+const { optionalCustomer, requirePermission } = require('../middleware/auth');
+const { releaseStock } = require('../utils/inventory');
+const { buildOrder, placeOrder, sendCheckoutError } = require('../utils/checkout');
+const { orderStatusChanged } = require('../utils/orderEvents');
+const {
+  ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  normalizeStatus,
+  getActor,
+  transitionOrderStatus
+} = require('../utils/orderStatus');
 
 // Get all orders (admin only)
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('orders:read'), async (req, res) => {
   try {
-    const { status, page = 1, limit = 20 } = req.query;
+    const { status, paymentStatus, page = 1, limit = 20 } = req.query;
     
     const filter = {};
     if (status) filter.status = status;
+    if (paymentStatus) filter.paymentStatus = paymentStatus;
     
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
@@ -74,11 +60,12 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Get single order
-router.get('/:id', async (req, res) => {
+// Get single order (admin only; customers use /api/customers/me/orders/:id)
+router.get('/:id', requirePermission('orders:read'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('items.product')
+      .populate('returns', 'rmaNumber status items refundAmount createdAt')
       .lean();
     
     if (!order) {
@@ -104,45 +91,26 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new order
-router.post('/', async (req, res) => {
+router.post('/', optionalCustomer, async (req, res) => {
   try {
     console.log('Received order data:', JSON.stringify(req.body, null, 2));
     
-    // Validate required fields
-    const { customer, shippingAddress, items, totalAmount } = req.body;
-    
-    if (!customer || !customer.name || !customer.email || !customer.phone) {
-      return res.status(400).json({
-        success: false,
-        message: 'Customer information is required (name, email, phone)'
-      });
-    }
-    
-    if (!shippingAddress || !shippingAddress.street || !shippingAddress.city || 
-        !shippingAddress.state || !shippingAddress.zipCode) {
-      return res.status(400).json({
-        success: false,
-        message: 'Complete shipping address is required'
-      });
-    }
-    
-    if (!items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Order items are required'
-      });
-    }
-    
-    if (!totalAmount || totalAmount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Total amount must be greater than 0'
-      });
+    // Logged-in customers get the order linked to their account; guests go through as before
+    let account = null;
+    if (req.customer) {
+      account = await Customer.findById(req.customer.id);
+      if (!account || !account.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Customer account not found'
+        });
+      }
     }
     
-    // Create the order
-    const order = new Order(req.body);
-    await order.save();
+    // Price, validate and discount everything server-side, then create the order and take
+    // its stock in one transaction so we never oversell
+    const checkout = await buildOrder(req.body, { account });
+    const order = await placeOrder(checkout);
     
     // Populate the order with product details
     const populatedOrder = await Order.findById(order._id)
@@ -154,10 +122,14 @@ router.post('/', async (req, res) => {
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: populatedOrder
+      data: populatedOrder,
+      pricing: checkout.pricing
     });
   } catch (error) {
     console.error('Error creating order:', error);
+    
+    if (sendCheckoutError(res, error)) return;
+    
     res.status(500).json({ 
       success: false, 
       message: 'Failed to create order',
@@ -166,23 +138,68 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Get order status timeline (admin only)
+router.get('/:id/timeline', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber status statusHistory createdAt')
+      .lean();
+    
+    if (!order) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'Order not found' 
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Order timeline fetched successfully',
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        nextStatuses: STATUS_TRANSITIONS[order.status] || [],
+        timeline: order.statusHistory || []
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching order timeline:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch order timeline',
+      error: error.message 
+    });
+  }
+});
+
 // Update order status (admin only)
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission('orders:update_status'), async (req, res) => {
   try {
-    const { status } = req.body;
+    const { note } = req.body;
+    const status = normalizeStatus(req.body.status);
     
-    if (!['Pending', 'Dispatched', 'Delivered', 'Cancelled'].includes(status)) {
+    if (!status) {
       return res.status(400).json({ 
         success: false, 
-        message: 'Invalid status. Must be one of: Pending, Dispatched, Delivered, Cancelled' 
+        message: `Invalid status. Must be one of: ${ORDER_STATUSES.filter(normalizeStatus).join(', ')}` 
       });
     }
     
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('items.product');
+    let order = null;
+    let from = null;
+    await mongoose.connection.transaction(async (session) => {
+      order = await Order.findById(req.params.id).session(session);
+      if (!order) return;
+      
+      // Checks the transition table; cancelling also puts the stock back
+      from = order.status;
+      await transitionOrderStatus(order, status, {
+        actor: getActor(req, 'admin'),
+        note,
+        session
+      });
+      await order.save({ session });
+    });
     
     if (!order) {
       return res.status(404).json({ 
@@ -191,6 +208,9 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
     
+    await orderStatusChanged(order, from, getActor(req, 'admin'));
+    await order.populate('items.product');
+    
     res.json({
       success: true,
       message: 'Order status updated successfully',
@@ -198,6 +218,23 @@ router.patch('/:id/status', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating order status:', error);
+    
+    if (error.name === 'InvalidStatusTransitionError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        allowed: error.allowed
+      });
+    }
+    
+    if (error.name === 'InsufficientStockError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        errors: error.shortages
+      });
+    }
+    
     res.status(500).json({ 
       success: false, 
       message: 'Failed to update order status',
@@ -207,9 +244,19 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // Delete order (admin only)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('orders:delete'), async (req, res) => {
   try {
-    const order = await Order.findByIdAndDelete(req.params.id);
+    let order = null;
+    await mongoose.connection.transaction(async (session) => {
+      order = await Order.findById(req.params.id).session(session);
+      if (!order) return;
+      
+      // Deleting an order that still holds stock puts it back
+      if (order.stockReserved) {
+        await releaseStock(order.items, session);
+      }
+      await Order.deleteOne({ _id: order._id }, { session });
+    });
     
     if (!order) {
       return res.status(404).json({ 
@@ -234,16 +281,19 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get order statistics (admin only)
-router.get('/stats/summary', async (req, res) => {
+router.get('/stats/summary', requirePermission('analytics:read'), async (req, res) => {
   try {
     const totalOrders = await Order.countDocuments();
-    const pendingOrders = await Order.countDocuments({ status: 'Pending' });
-    const dispatchedOrders = await Order.countDocuments({ status: 'Dispatched' });
-    const deliveredOrders = await Order.countDocuments({ status: 'Delivered' });
-    const cancelledOrders = await Order.countDocuments({ status: 'Cancelled' });
+    const statusCounts = await Order.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const byStatus = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
+    statusCounts.forEach(({ _id, count }) => {
+      byStatus[_id] = count;
+    });
     
     const totalRevenue = await Order.aggregate([
-      { $match: { status: { $ne: 'Cancelled' } } },
+      { $match: { status: { $nin: ['Cancelled', 'Refunded'] } } },
       { $group: { _id: null, total: { $sum: '$totalAmount' } } }
     ]);
     
@@ -252,10 +302,15 @@ router.get('/stats/summary', async (req, res) => {
       message: 'Order statistics fetched successfully',
       data: {
         totalOrders,
-        pendingOrders,
-        dispatchedOrders,
-        deliveredOrders,
-        cancelledOrders,
+        pendingOrders: byStatus.Pending,
+        processingOrders: byStatus.Processing,
+        shippedOrders: byStatus.Shipped + byStatus.Dispatched,
+        // Kept for dashboards built before 'Shipped' replaced 'Dispatched'
+        dispatchedOrders: byStatus.Shipped + byStatus.Dispatched,
+        deliveredOrders: byStatus.Delivered,
+        cancelledOrders: byStatus.Cancelled,
+        returnedOrders: byStatus.Returned,
+        refundedOrders: byStatus.Refunded,
         totalRevenue: totalRevenue[0]?.total || 0,
       }
     });
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { requirePermission, optionalCustomer } = require('../middleware/auth');
+const { getActor } = require('../utils/orderStatus');
+const {
+  getPaymentProvider,
+  toPaymentView,
+  createPaymentIntent,
+  capturePayment,
+  refundPayment,
+  handlePaymentWebhook
+} = require('../utils/payments');
+
+const sendPaymentError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+// Start (or pick up) the payment for an order. Orders placed from an account can only
+// be paid by that customer.
+router.post('/intents', optionalCustomer, async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    if (!orderId || !mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid orderId is required'
+      });
+    }
+
+    const order = await Order.findById(orderId).select('+payment.clientSecret');
+    const ownsOrder = !order?.customerId || order.customerId.toString() === req.customer?.id;
+
+    if (!order || !ownsOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await createPaymentIntent(order);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment intent created successfully',
+      data: toPaymentView(order)
+    });
+  } catch (error) {
+    console.error('Error creating payment intent:', error);
+
+    if (error.name === 'PaymentError') {
+      return sendPaymentError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create payment intent',
+      error: error.message
+    });
+  }
+});
+
+// Signed webhooks from the payment providers. The signature is checked against the raw
+// request body, which express.json keeps on req.rawBody for this route.
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const { event, order, duplicate, applied } = await handlePaymentWebhook(
+      req.params.provider,
+      req.rawBody,
+      req.headers
+    );
+
+    // Acknowledge events we have no order for, so the provider stops retrying them
+    res.json({
+      success: true,
+      message: !order
+        ? 'Event ignored: unknown payment intent'
+        : duplicate ? 'Event already processed' : 'Event processed',
+      data: {
+        eventId: event.id,
+        type: event.providerType || event.type,
+        orderId: order?._id,
+        paymentStatus: order?.paymentStatus,
+        applied
+      }
+    });
+  } catch (error) {
+    console.error('Error handling payment webhook:', error);
+
+    if (error.name === 'PaymentError') {
+      return sendPaymentError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to handle payment webhook',
+      error: error.message
+    });
+  }
+});
+
+// Complete a payment with the fake provider, standing in for the shopper paying on the
+// gateway's page. outcome is 'succeed' (default) or 'fail'. The signed webhook it
+// produces goes through the same handler real webhooks do. Only available while the fake
+// provider is explicitly allowed (see utils/paymentProviders/fake.js).
+router.post('/fake/intents/:intentId/confirm', async (req, res) => {
+  try {
+    const provider = getPaymentProvider('fake');
+    const order = await Order.findOne({ 'payment.provider': 'fake', 'payment.intentId': req.params.intentId }).lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment intent not found'
+      });
+    }
+
+    const { outcome = 'succeed', failureReason } = req.body;
+    if (!['succeed', 'fail'].includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: "outcome must be 'succeed' or 'fail'"
+      });
+    }
+
+    const webhook = provider.simulatePayment({
+      id: order.payment.intentId,
+      amount: order.payment.amount,
+      captureMethod: order.payment.captureMethod
+    }, { outcome, failureReason });
+    const result = await handlePaymentWebhook('fake', webhook.rawBody, webhook.headers);
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed',
+      data: {
+        eventId: result.event.id,
+        type: result.event.providerType,
+        paymentStatus: result.order?.paymentStatus
+      }
+    });
+  } catch (error) {
+    console.error('Error confirming fake payment:', error);
+
+    if (error.name === 'PaymentError') {
+      return sendPaymentError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm payment',
+      error: error.message
+    });
+  }
+});
+
+// Capture an authorized payment (admin only)
+router.post('/orders/:id/capture', requirePermission('payments:capture'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    await capturePayment(order);
+
+    res.json({
+      success: true,
+      message: 'Payment captured successfully',
+      data: toPaymentView(order)
+    });
+  } catch (error) {
+    console.error('Error capturing payment:', error);
+
+    if (error.name === 'PaymentError') {
+      return sendPaymentError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to capture payment',
+      error: error.message
+    });
+  }
+});
+
+// Refund a captured payment through its provider (admin only); the full remaining
+// amount when no amount is given
+router.post('/orders/:id/refund', requirePermission('payments:refund'), async (req, res) => {
+  try {
+    const { order, refund } = await refundPayment(req.params.id, {
+      amount: req.body.amount,
+      reason: req.body.reason,
+      actor: getActor(req, 'admin')
+    });
+
+    res.json({
+      success: true,
+      message: refund.status === 'succeeded' ? 'Refund issued successfully' : 'Refund requested',
+      data: {
+        refund,
+        paymentStatus: order.paymentStatus,
+        refundedAmount: order.refundedAmount
+      }
+    });
+  } catch (error) {
+    console.error('Error refunding payment:', error);
+
+    if (error.name === 'PaymentError') {
+      return sendPaymentError(res, error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund payment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
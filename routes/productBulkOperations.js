@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const ProductBulkOperation = require('../models/ProductBulkOperation');
+const { requirePermission } = require('../middleware/auth');
+const { getActor } = require('../utils/orderStatus');
+const {
+  BULK_OPERATIONS,
+  MAX_BULK_PRODUCTS,
+  runBulkOperation,
+  undoBulkOperation
+} = require('../utils/productBulk');
+
+// The undo snapshot is internal; responses leave it out
+const toView = (record) => {
+  const { snapshot, ...view } = record.toObject();
+  return view;
+};
+
+// Everything here changes the catalog
+router.use(requirePermission('products:write'));
+
+// Operations that can be applied, and how many products one may change
+router.get('/operations', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Bulk operations fetched successfully',
+    data: { operations: BULK_OPERATIONS, max_products: MAX_BULK_PRODUCTS }
+  });
+});
+
+// Apply one operation to many products
+// Body: { operation, params, ids: [...] } or { operation, params, filter: { category, tags, ... } }
+// e.g. { operation: 'set_sale_price', params: { percent_off: 20 }, filter: { category: 'summer' } }
+router.post('/', async (req, res) => {
+  try {
+    const { operation, params, ids, filter } = req.body;
+
+    const record = await runBulkOperation({ operation, params, ids, filter, actor: getActor(req) });
+
+    res.status(201).json({
+      success: true,
+      message: `Bulk operation applied: ${record.updated_count} updated, ${record.unchanged_count} unchanged, ${record.failed_count} failed`,
+      data: toView(record)
+    });
+  } catch (error) {
+    if (error.name === 'BulkOperationError') {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error applying bulk product operation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply bulk product operation',
+      error: error.message
+    });
+  }
+});
+
+// Past bulk operations, newest first, without their per-product results
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, operation } = req.query;
+    const filter = {};
+    if (operation) filter.operation = operation;
+
+    const [operations, total] = await Promise.all([
+      ProductBulkOperation.find(filter)
+        .select('-results -undo_results')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      ProductBulkOperation.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Bulk operations fetched successfully',
+      data: {
+        operations,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / limit),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching bulk operations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bulk operations',
+      error: error.message
+    });
+  }
+});
+
+// Get single bulk operation with its per-product results
+router.get('/:id', async (req, res) => {
+  try {
+    const record = await ProductBulkOperation.findById(req.params.id).lean();
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bulk operation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Bulk operation fetched successfully',
+      data: record
+    });
+  } catch (error) {
+    console.error('Error fetching bulk operation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bulk operation',
+      error: error.message
+    });
+  }
+});
+
+// Restore what the operation changed. Products edited since are skipped as conflicts
+// unless the body has { force: true }.
+router.post('/:id/undo', async (req, res) => {
+  try {
+    const record = await undoBulkOperation(req.params.id, {
+      force: req.body.force === true,
+      actor: getActor(req)
+    });
+
+    const restored = record.undo_results.filter(result => result.status === 'restored').length;
+    res.json({
+      success: true,
+      message: `Bulk operation undone: ${restored} of ${record.undo_results.length} products restored`,
+      data: toView(record)
+    });
+  } catch (error) {
+    if (error.name === 'BulkOperationError') {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error undoing bulk product operation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to undo bulk product operation',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const multer = require('multer');
+const ProductImport = require('../models/ProductImport');
+const { requirePermission } = require('../middleware/auth');
+const { getActor } = require('../utils/orderStatus');
+const { CSV_COLUMNS, LIST_SEPARATOR, startImport, processQueuedImports } = require('../utils/productImport');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+
+// One CSV or JSON file per import, kept in memory while it is parsed
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 1
+  }
+});
+
+// Run multer ourselves so a bad upload is a 400 rather than a server error
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    next();
+  });
+};
+
+// csv or json, from ?format=, the file name or the file's content type
+const detectFormat = (req) => {
+  if (req.query.format) return String(req.query.format).toLowerCase();
+  if (!req.file) return 'json';
+
+  const extension = path.extname(req.file.originalname || '').slice(1).toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) return extension;
+  return req.file.mimetype === 'application/json' ? 'json' : 'csv';
+};
+
+// The queued products are internal; responses leave them out
+const withProgress = ({ inputs, ...job }) => ({
+  ...job,
+  progress: {
+    processed: job.processed,
+    total: job.total_products,
+    percent: job.total_products > 0 ? Math.round((job.processed / job.total_products) * 100) : 100
+  }
+});
+
+// Example rows for the template: a product with two variants, the second row adding a variant only
+const TEMPLATE_ROWS = [
+  {
+    sku: 'TEE-001',
+    name: 'Classic Tee',
+    price: '20',
+    categories: ['t-shirts', 'basics'].join(LIST_SEPARATOR),
+    tags: ['cotton', 'summer'].join(LIST_SEPARATOR),
+    images: 'https://example.com/images/classic-tee.jpg',
+    is_active: 'true',
+    variant_sku: 'TEE-001-M-BLK',
+    variant_quantity: '10',
+    variant_attributes: ['Size:M', 'Color:Black'].join(LIST_SEPARATOR)
+  },
+  {
+    sku: 'TEE-001',
+    variant_sku: 'TEE-001-L-BLK',
+    variant_quantity: '5',
+    variant_attributes: ['Size:L', 'Color:Black'].join(LIST_SEPARATOR)
+  }
+];
+
+// Everything here changes the catalog
+router.use(requirePermission('products:write'));
+
+// A CSV with every column the import understands
+router.get('/template.csv', (req, res) => {
+  const rows = [CSV_COLUMNS, ...TEMPLATE_ROWS.map(row => CSV_COLUMNS.map(column => row[column] || ''))];
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="product-import-template.csv"');
+  res.send(`${rows.map(row => row.join(',')).join('\r\n')}\r\n`);
+});
+
+// Import products from a CSV or JSON file (multipart field "file"), or from a JSON body
+// { products: [...] }. Products are created, or updated when their SKU or slug matches.
+// ?dry_run=true validates everything and reports what would happen without saving.
+// Small imports answer with the finished report; big ones answer 202 and are queued for
+// POST /process, to be followed with GET /:id.
+router.post('/', uploadFile, async (req, res) => {
+  try {
+    const format = detectFormat(req);
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}`
+      });
+    }
+
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body;
+    if (!req.file && format === 'csv') {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload the CSV as the "file" field'
+      });
+    }
+
+    const dryRun = String(req.query.dry_run ?? req.body.dry_run) === 'true';
+    const { job, background } = await startImport({
+      content,
+      format,
+      filename: req.file?.originalname,
+      dryRun,
+      actor: getActor(req)
+    });
+
+    if (background) {
+      return res.status(202).json({
+        success: true,
+        message: 'Product import queued',
+        data: withProgress(job.toObject())
+      });
+    }
+
+    res.status(job.status === 'failed' ? 500 : 200).json({
+      success: job.status !== 'failed',
+      message: dryRun ? 'Product import checked' : 'Product import finished',
+      data: withProgress(job.toObject())
+    });
+  } catch (error) {
+    if (error.name === 'ImportError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Error importing products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import products',
+      error: error.message
+    });
+  }
+});
+
+// Work through queued imports for a while. Serverless deployments have no background
+// worker, so a scheduler (e.g. a cron job) should call this every minute or so.
+router.post('/process', async (req, res) => {
+  try {
+    const summary = await processQueuedImports();
+
+    res.json({
+      success: true,
+      message: 'Queued product imports processed',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error processing product imports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process product imports',
+      error: error.message
+    });
+  }
+});
+
+// Past imports, newest first, without their per-product reports
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+
+    const [imports, total] = await Promise.all([
+      ProductImport.find(filter)
+        .select('-results')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      ProductImport.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Product imports fetched successfully',
+      data: {
+        imports: imports.map(withProgress),
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / limit),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching product imports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product imports',
+      error: error.message
+    });
+  }
+});
+
+// Progress and report of one import; ?action=error lists only the products that failed
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await ProductImport.findById(req.params.id).lean();
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product import not found'
+      });
+    }
+
+    if (req.query.action) {
+      job.results = job.results.filter(result => result.action === req.query.action);
+    }
+
+    res.json({
+      success: true,
+      message: 'Product import fetched successfully',
+      data: withProgress(job)
+    });
+  } catch (error) {
+    console.error('Error fetching product import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product import',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
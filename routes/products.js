@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const Product = require('../models/Product');
+const Customer = require('../models/Customer');
 const multer = require('multer');
 const path = require('path');
 const mongoose = require('mongoose');
@@ -8,6 +9,21 @@ const fs = require('fs');
 
 // Import Cloudinary configuration
 const { uploadToCloudinary, deleteFromCloudinary, getOptimizedImageUrl } = require('../config/cloudinary');
+const { verifyCustomer, requirePermission } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const { hasPurchased, withApprovedReviews, listProductReviews } = require('../utils/reviews');
+const { buildProductFilter, getSortStage, buildFacetStages, formatFacets } = require('../utils/productSearch');
+const { generateUniqueSlug } = require('../utils/slug');
+const { resolveCategoryFilterIds, resolveCategoryIds } = require('../utils/categories');
+const { resolveBrandFilterIds, resolveProductBrand, attachBrands } = require('../utils/brands');
+const Category = require('../models/Category');
+const { buildProductSeo } = require('../utils/structuredData');
+const { localizeProduct, findUnknownCurrencies } = require('../utils/currency');
+const { isSoldOut } = require('../utils/inventory');
+const { emitEvent, emitProductsOutOfStock } = require('../utils/webhooks');
+
+// Prices in the currency asked for with ?currency=, or as stored
+const localize = (req, product) => (req.currency ? localizeProduct(product, req.currency) : product);
 
 // Debug endpoint to test database connection and products
 router.get('/debug', async (req, res) => {
@@ -55,89 +71,64 @@ const upload = multer({
 });
 
 // Get all products with filtering and pagination
-router.get('/', async (req, res) => {
+router.get('/', resolveCurrency, async (req, res) => {
   try {
     // Ensure database connection
     if (mongoose.connection.readyState !== 1) {
       throw new Error('Database not connected');
     }
 
-    const {
-      category,
-      page = 1,
-      limit = 12,
-      sort = 'newest',
-      minPrice,
-      maxPrice,
-      search
-    } = req.query;
-
-    // Build filter object
-    const filter = { is_active: true }; // Only show active products
-
-    // Apply filters
-    if (category && category !== 'all') {
-      filter.category = category;
-    }
+    const { page = 1, limit = 12, sort } = req.query;
 
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } },
-        { category: { $regex: search, $options: 'i' } }
-      ];
-    }
+    // category (id, slug or name, including subcategories), search, price range, tags,
+    // brand (slug) / brand_id, stock_status, featured, on_sale and attr[name]
+    const categoryIds = req.query.category && req.query.category !== 'all'
+      ? await resolveCategoryFilterIds(req.query.category)
+      : null;
+    const brandIds = await resolveBrandFilterIds(req.query);
+    const filter = buildProductFilter(req.query, { categoryIds, brandIds, currency: req.currency });
 
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-    }
-
-    // Build sort object
-    let sortObj = {};
-    switch (sort) {
-      case 'price-low':
-        sortObj = { price: 1 };
-        break;
-      case 'price-high':
-        sortObj = { price: -1 };
-        break;
-      case 'name':
-        sortObj = { name: 1 };
-        break;
-      case 'newest':
-      default:
-        sortObj = { createdAt: -1 };
-        break;
-    }
+    const hasSearch = !!filter.$text;
+    const sortObj = getSortStage(sort, hasSearch);
 
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Execute query
-    const products = await Product.find(filter)
-      .sort(sortObj)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+    // One round trip for the page, the total and the facet counts
+    const pipeline = [{ $match: filter }];
+    if (hasSearch) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+    pipeline.push({
+      $facet: {
+        products: [
+          { $sort: sortObj },
+          { $skip: skip },
+          { $limit: parseInt(limit) }
+        ],
+        total: [{ $count: 'count' }],
+        ...buildFacetStages()
+      }
+    });
 
-    // Get total count for pagination
-    const total = await Product.countDocuments(filter);
+    const [result] = await Product.aggregate(pipeline);
+    const products = await attachBrands(result.products);
+    const total = result.total[0]?.count || 0;
     const totalPages = Math.ceil(total / parseInt(limit));
 
     res.json({
       success: true,
       message: 'Products fetched successfully',
       data: {
-        products,
+        products: products.map(product => withApprovedReviews(localize(req, product))),
         pagination: {
           currentPage: parseInt(page),
           totalPages,
           total,
           hasNext: parseInt(page) < totalPages,
           hasPrev: parseInt(page) > 1,
-        }
+        },
+        facets: formatFacets(result, { currency: req.currency })
       }
     });
   } catch (error) {
@@ -150,10 +141,63 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get single product by slug; old slugs answer with a 301 to the current one
+router.get('/slug/:slug', resolveCurrency, async (req, res) => {
+  try {
+    const product = await attachBrands(
+      await Product.findOne({ slug: req.params.slug, is_active: true }).lean()
+    );
+
+    if (!product) {
+      const renamed = await Product.findOne({ previous_slugs: req.params.slug, is_active: true })
+        .select('slug')
+        .lean();
+
+      if (renamed) {
+        const location = `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`;
+        res.set('Location', location);
+        return res.status(301).json({
+          success: false,
+          message: 'Product has moved',
+          redirect: {
+            statusCode: 301,
+            from: req.params.slug,
+            to: renamed.slug,
+            location
+          }
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const localized = localize(req, product);
+
+    res.json({
+      success: true,
+      message: 'Product fetched successfully',
+      data: {
+        ...withApprovedReviews(localized),
+        seo: buildProductSeo(localized)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching product by slug:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch product',
+      error: error.message
+    });
+  }
+});
+
 // Get single product
-router.get('/:id', async (req, res) => {
+router.get('/:id', resolveCurrency, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).lean();
+    const product = await attachBrands(await Product.findById(req.params.id).lean());
     
     if (!product) {
       return res.status(404).json({
@@ -162,10 +206,15 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    const localized = localize(req, product);
+
     res.json({
       success: true,
       message: 'Product fetched successfully',
-      data: product
+      data: {
+        ...withApprovedReviews(localized),
+        seo: buildProductSeo(localized)
+      }
     });
   } catch (error) {
     console.error('Error fetching product:', error);
@@ -177,11 +226,157 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Get approved reviews for a product
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+
+    const product = await Product.findOne({ _id: req.params.id, is_active: true })
+      .select('rating_average rating_count')
+      .lean();
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const result = await listProductReviews(req.params.id, { page, limit, sort });
+
+    res.json({
+      success: true,
+      message: 'Reviews fetched successfully',
+      data: {
+        rating_average: product.rating_average,
+        rating_count: product.rating_count,
+        ...result
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reviews',
+      error: error.message
+    });
+  }
+});
+
+// Submit a review (logged-in customers, one per product, held for moderation)
+router.post('/:id/reviews', verifyCustomer, async (req, res) => {
+  try {
+    const { title, comment } = req.body;
+    const rating = Number(req.body.rating);
+
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be a whole number from 1 to 5'
+      });
+    }
+
+    if (comment && comment.length > 2000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Review comment must be 2000 characters or fewer'
+      });
+    }
+
+    const product = await Product.findOne({ _id: req.params.id, is_active: true })
+      .select('_id')
+      .lean();
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const customer = await Customer.findById(req.customer.id).select('name').lean();
+    const review = {
+      _id: new mongoose.Types.ObjectId(),
+      user_id: req.customer.id,
+      customer_name: customer?.name,
+      rating,
+      title,
+      comment,
+      status: 'pending',
+      verified_purchase: await hasPurchased(req.customer.id, product._id),
+      created_at: new Date()
+    };
+
+    // A rejected review may be rewritten; otherwise one review per customer per product
+    await Product.updateOne(
+      { _id: product._id },
+      { $pull: { reviews: { user_id: review.user_id, status: 'rejected' } } }
+    );
+    const result = await Product.updateOne(
+      { _id: product._id, 'reviews.user_id': { $ne: review.user_id } },
+      { $push: { reviews: review } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted and awaiting moderation',
+      data: review
+    });
+  } catch (error) {
+    console.error('Error submitting review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit review',
+      error: error.message
+    });
+  }
+});
+
 // Create new product
-router.post('/', upload.array('images', 10), async (req, res) => {
+router.post('/', requirePermission('products:write'), upload.array('images', 10), async (req, res) => {
   try {
     const productData = req.body;
     
+    // Categories may be sent as ids, slugs or names
+    if (productData.categories !== undefined) {
+      const { ids, unknown } = await resolveCategoryIds(productData.categories);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown categories: ${unknown.join(', ')}`
+        });
+      }
+      productData.categories = ids;
+    }
+    
+    // Prices may only be given in currencies we have exchange rates for
+    const unknownCurrencies = await findUnknownCurrencies(productData);
+    if (unknownCurrencies.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown currencies: ${unknownCurrencies.join(', ')}`
+      });
+    }
+    
+    // Brand may be sent as id, slug or name
+    if (productData.brand_id !== undefined) {
+      const { fields, error } = await resolveProductBrand(productData.brand_id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      Object.assign(productData, fields);
+    }
+    
     // Handle image uploads
     const imageUrls = [];
     if (req.files && req.files.length > 0) {
@@ -207,6 +402,7 @@ router.post('/', upload.array('images', 10), async (req, res) => {
     });
 
     await product.save();
+    await emitEvent('product.created', { product: product.toObject() });
 
     res.status(201).json({
       success: true,
@@ -224,7 +420,7 @@ router.post('/', upload.array('images', 10), async (req, res) => {
 });
 
 // Update product
-router.put('/:id', upload.array('images', 10), async (req, res) => {
+router.put('/:id', requirePermission('products:write'), upload.array('images', 10), async (req, res) => {
   try {
     const productData = req.body;
     const existingProduct = await Product.findById(req.params.id);
@@ -236,6 +432,39 @@ router.put('/:id', upload.array('images', 10), async (req, res) => {
       });
     }
 
+    // Categories may be sent as ids, slugs or names
+    if (productData.categories !== undefined) {
+      const { ids, unknown } = await resolveCategoryIds(productData.categories);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown categories: ${unknown.join(', ')}`
+        });
+      }
+      productData.categories = ids;
+    }
+
+    // Prices may only be given in currencies we have exchange rates for
+    const unknownCurrencies = await findUnknownCurrencies(productData);
+    if (unknownCurrencies.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown currencies: ${unknownCurrencies.join(', ')}`
+      });
+    }
+
+    // Brand may be sent as id, slug or name
+    if (productData.brand_id !== undefined) {
+      const { fields, error } = await resolveProductBrand(productData.brand_id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+      Object.assign(productData, fields);
+    }
+
     // Handle new image uploads
     const imageUrls = [...(existingProduct.images || [])];
     
@@ -253,16 +482,35 @@ router.put('/:id', upload.array('images', 10), async (req, res) => {
       }
     }
 
+    // Slugs only change when one is sent explicitly; the old one keeps redirecting
+    const slugUpdate = {};
+    if (productData.slug !== undefined) {
+      const requestedSlug = productData.slug || productData.name || existingProduct.name;
+      delete productData.slug;
+      const newSlug = await generateUniqueSlug(Product, requestedSlug, existingProduct._id);
+
+      if (newSlug !== existingProduct.slug) {
+        slugUpdate.slug = newSlug;
+        slugUpdate.$addToSet = { previous_slugs: existingProduct.slug };
+      }
+    }
+
     // Update product
     const updatedProduct = await Product.findByIdAndUpdate(
       req.params.id,
       {
         ...productData,
-        images: imageUrls
+        images: imageUrls,
+        ...slugUpdate
       },
       { new: true, runValidators: true }
     );
 
+    await emitEvent('product.updated', { product: updatedProduct.toObject() });
+    if (!isSoldOut(existingProduct) && isSoldOut(updatedProduct)) {
+      await emitProductsOutOfStock([updatedProduct._id]);
+    }
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -279,7 +527,7 @@ router.put('/:id', upload.array('images', 10), async (req, res) => {
 });
 
 // Delete product
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
@@ -305,6 +553,7 @@ router.delete('/:id', async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await emitEvent('product.deleted', { product: product.toObject() });
 
     res.json({
       success: true,
@@ -323,7 +572,10 @@ router.delete('/:id', async (req, res) => {
 // Get product categories
 router.get('/categories/list', async (req, res) => {
   try {
-    const categories = await Product.distinct('category', { is_active: true });
+    const categories = await Category.find({ is_active: true })
+      .select('name slug parent_id ancestors sort_order')
+      .sort({ sort_order: 1, name: 1 })
+      .lean();
     
     res.json({
       success: true,
@@ -341,7 +593,7 @@ router.get('/categories/list', async (req, res) => {
 });
 
 // Update product status
-router.patch('/:id/status', async (req, res) => {
+router.patch('/:id/status', requirePermission('products:write'), async (req, res) => {
   try {
     const { is_active } = req.body;
     
@@ -358,6 +610,8 @@ router.patch('/:id/status', async (req, res) => {
       });
     }
 
+    await emitEvent('product.updated', { product: product.toObject() });
+
     res.json({
       success: true,
       message: 'Product status updated successfully',
@@ -374,7 +628,7 @@ router.patch('/:id/status', async (req, res) => {
 });
 
 // Add featured products endpoint
-router.get('/featured/list', async (req, res) => {
+router.get('/featured/list', resolveCurrency, async (req, res) => {
   try {
     const featuredProducts = await Product.find({ 
       is_active: true,
@@ -387,7 +641,7 @@ router.get('/featured/list', async (req, res) => {
     res.json({
       success: true,
       message: 'Featured products fetched successfully',
-      data: featuredProducts
+      data: (await attachBrands(featuredProducts)).map(product => withApprovedReviews(localize(req, product)))
     });
   } catch (error) {
     console.error('Error fetching featured products:', error);
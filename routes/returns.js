@@ -0,0 +1,448 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const { requirePermission, requirePermissionIfAdmin, optionalAdmin, verifyCustomer, optionalCustomer } = require('../middleware/auth');
+const { roundMoney } = require('../utils/orderPricing');
+const { getActor, canTransition, transitionOrderStatus } = require('../utils/orderStatus');
+const {
+  ReturnError,
+  RETURNABLE_ORDER_STATUSES,
+  RETURN_TRANSITIONS,
+  canTransitionReturn,
+  getReturnableQuantities,
+  buildReturnItems,
+  getReturnValue,
+  receiveReturnItems,
+  refreshOrderReturnState
+} = require('../utils/returns');
+const { orderStatusChanged } = require('../utils/orderEvents');
+const { PROVIDER_PAYMENT_METHODS, getRefundableAmount, refundPayment } = require('../utils/payments');
+
+const sendReturnError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message,
+  ...error.details
+});
+
+// Load an RMA and check it may move to the given status. Throws ReturnError when it may not.
+const loadReturnForTransition = async (id, nextStatus, session) => {
+  const rma = await ReturnRequest.findById(id).session(session || null);
+
+  if (!rma) {
+    throw new ReturnError(404, 'Return request not found');
+  }
+
+  if (!canTransitionReturn(rma.status, nextStatus)) {
+    throw new ReturnError(409, `Cannot move return request from ${rma.status} to ${nextStatus}`, {
+      allowed: RETURN_TRANSITIONS[rma.status] || []
+    });
+  }
+
+  return rma;
+};
+
+// Open a return request (customer for their own order, or staff with returns:manage for any
+// order, who may also approve it straight away)
+router.post('/', optionalAdmin, requirePermissionIfAdmin('returns:manage'), optionalCustomer, async (req, res) => {
+  try {
+    if (!req.admin && !req.customer) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access token required'
+      });
+    }
+
+    const { orderId, items, reason } = req.body;
+
+    if (!orderId || !reason || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order, reason and at least one item are required'
+      });
+    }
+
+    let rma = null;
+    await mongoose.connection.transaction(async (session) => {
+      const order = await Order.findById(orderId).session(session);
+
+      // Customers only see their own orders; anything else looks like it does not exist
+      if (!order || (!req.admin && String(order.customerId) !== String(req.customer.id))) {
+        throw new ReturnError(404, 'Order not found');
+      }
+
+      if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new ReturnError(409, `Orders can only be returned once delivered (current status: ${order.status})`);
+      }
+
+      const remaining = await getReturnableQuantities(order, session);
+      const built = buildReturnItems(order, items, remaining);
+      if (built.errors.length > 0) {
+        throw new ReturnError(400, 'Some return items are invalid', { errors: built.errors });
+      }
+
+      const actor = getActor(req);
+      rma = new ReturnRequest({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        customerId: order.customerId,
+        items: built.items,
+        reason,
+        requestedBy: actor,
+        status: req.admin && req.body.approve ? 'Approved' : 'Requested',
+        approvedAt: req.admin && req.body.approve ? new Date() : undefined
+      });
+      await rma.save({ session });
+
+      await refreshOrderReturnState(order, { actor, session });
+      await order.save({ session });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request created successfully',
+      data: rma
+    });
+  } catch (error) {
+    if (error.name === 'ReturnError') {
+      return sendReturnError(res, error);
+    }
+
+    console.error('Error creating return request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create return request',
+      error: error.message
+    });
+  }
+});
+
+// Get return requests for the current customer
+router.get('/mine', verifyCustomer, async (req, res) => {
+  try {
+    const returns = await ReturnRequest.find({ customerId: req.customer.id })
+      .sort({ createdAt: -1 })
+      .select('-adminNote')
+      .lean();
+
+    res.json({
+      success: true,
+      message: 'Return requests fetched successfully',
+      data: returns
+    });
+  } catch (error) {
+    console.error('Error fetching customer return requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return requests',
+      error: error.message
+    });
+  }
+});
+
+// Get all return requests (admin only)
+router.get('/', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const { status, order, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (order) filter.order = order;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const returns = await ReturnRequest.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+
+    const total = await ReturnRequest.countDocuments(filter);
+    const totalPages = Math.ceil(total / parseInt(limit));
+
+    res.json({
+      success: true,
+      message: 'Return requests fetched successfully',
+      data: {
+        returns,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          total,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1,
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching return requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return requests',
+      error: error.message
+    });
+  }
+});
+
+// Get single return request (staff with orders:read, or the customer who owns it)
+router.get('/:id', optionalAdmin, requirePermissionIfAdmin('orders:read'), optionalCustomer, async (req, res) => {
+  try {
+    const rma = await ReturnRequest.findById(req.params.id)
+      .populate('order', 'orderNumber status returnStatus refundedAmount totalAmount')
+      .lean();
+
+    if (!rma || (!req.admin && (!req.customer || String(rma.customerId) !== String(req.customer.id)))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    if (!req.admin) {
+      delete rma.adminNote;
+    }
+
+    res.json({
+      success: true,
+      message: 'Return request fetched successfully',
+      data: rma
+    });
+  } catch (error) {
+    console.error('Error fetching return request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch return request',
+      error: error.message
+    });
+  }
+});
+
+// Approve a return request (admin only)
+router.patch('/:id/approve', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const rma = await loadReturnForTransition(req.params.id, 'Approved');
+
+    rma.status = 'Approved';
+    rma.approvedAt = new Date();
+    if (req.body.note) rma.adminNote = req.body.note;
+    await rma.save();
+
+    res.json({
+      success: true,
+      message: 'Return request approved',
+      data: rma
+    });
+  } catch (error) {
+    if (error.name === 'ReturnError') {
+      return sendReturnError(res, error);
+    }
+
+    console.error('Error approving return request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve return request',
+      error: error.message
+    });
+  }
+});
+
+// Reject a return request (admin only)
+router.patch('/:id/reject', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    let rma = null;
+    await mongoose.connection.transaction(async (session) => {
+      rma = await loadReturnForTransition(req.params.id, 'Rejected', session);
+
+      rma.status = 'Rejected';
+      rma.rejectedAt = new Date();
+      if (req.body.note) rma.adminNote = req.body.note;
+      await rma.save({ session });
+
+      // Rejected quantities become returnable again
+      const order = await Order.findById(rma.order).session(session);
+      if (order) {
+        await refreshOrderReturnState(order, { actor: getActor(req), session });
+        await order.save({ session });
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Return request rejected',
+      data: rma
+    });
+  } catch (error) {
+    if (error.name === 'ReturnError') {
+      return sendReturnError(res, error);
+    }
+
+    console.error('Error rejecting return request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject return request',
+      error: error.message
+    });
+  }
+});
+
+// Record returned goods, optionally putting them back into stock (admin only)
+router.patch('/:id/receive', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    // items: [{ itemId, receivedQuantity, restock }]; restock applies to unlisted lines
+    const received = {};
+    (req.body.items || []).forEach(entry => {
+      if (entry.itemId) {
+        received[entry.itemId] = {
+          receivedQuantity: entry.receivedQuantity,
+          restock: entry.restock !== undefined ? !!entry.restock : !!req.body.restock
+        };
+      }
+    });
+
+    let rma = null;
+    let order = null;
+    let from = null;
+    await mongoose.connection.transaction(async (session) => {
+      rma = await loadReturnForTransition(req.params.id, 'Received', session);
+
+      rma.items.forEach(item => {
+        if (!received[item._id.toString()]) {
+          received[item._id.toString()] = { restock: !!req.body.restock };
+        }
+      });
+
+      await receiveReturnItems(rma, received, session);
+      rma.status = 'Received';
+      rma.receivedAt = new Date();
+      if (req.body.note) rma.adminNote = req.body.note;
+      await rma.save({ session });
+
+      order = await Order.findById(rma.order).session(session);
+      if (order) {
+        from = order.status;
+        await refreshOrderReturnState(order, { actor: getActor(req), session });
+        await order.save({ session });
+      }
+    });
+
+    // Receiving the last items moves the order to Returned
+    await orderStatusChanged(order, from, getActor(req));
+
+    res.json({
+      success: true,
+      message: 'Returned items received',
+      data: rma
+    });
+  } catch (error) {
+    if (error.name === 'ReturnError') {
+      return sendReturnError(res, error);
+    }
+
+    console.error('Error receiving return request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive returned items',
+      error: error.message
+    });
+  }
+});
+
+// Refund a return request (admin only). Card and PayPal orders are refunded through the
+// payment provider, sharing its cap with payment refunds; cash on delivery refunds, paid
+// outside the app, are only recorded.
+router.patch('/:id/refund', requirePermission('returns:manage'), requirePermission('payments:refund'), async (req, res) => {
+  try {
+    const actor = getActor(req);
+    let rma = null;
+    let order = null;
+    let previousStatus = null;
+    let amount = 0;
+
+    // Claim the RMA before any money moves, so the same return is never paid out twice
+    await mongoose.connection.transaction(async (session) => {
+      rma = await loadReturnForTransition(req.params.id, 'Refunded', session);
+
+      order = await Order.findById(rma.order).session(session);
+      if (!order) {
+        throw new ReturnError(404, 'Order not found');
+      }
+
+      amount = req.body.amount !== undefined ? roundMoney(req.body.amount) : getReturnValue(rma);
+      const refundable = getRefundableAmount(order);
+
+      if (!(amount >= 0) || amount > refundable) {
+        throw new ReturnError(400, `Refund amount must be between 0 and ${refundable}`);
+      }
+
+      previousStatus = rma.status;
+      rma.status = 'Refunded';
+      rma.refundAmount = amount;
+      rma.refundedAt = new Date();
+      if (req.body.note) rma.adminNote = req.body.note;
+      await rma.save({ session });
+
+      if (!PROVIDER_PAYMENT_METHODS.includes(order.paymentMethod)) {
+        order.refundedAmount = roundMoney((order.refundedAmount || 0) + amount);
+        await order.save({ session });
+      }
+    });
+
+    let refund = null;
+    if (PROVIDER_PAYMENT_METHODS.includes(order.paymentMethod) && amount > 0) {
+      try {
+        ({ refund } = await refundPayment(order._id, {
+          amount,
+          reason: `Return ${rma.rmaNumber}`,
+          actor
+        }));
+      } catch (error) {
+        // Nothing went out: the RMA can be refunded again
+        await ReturnRequest.updateOne(
+          { _id: rma._id },
+          { status: previousStatus, refundAmount: 0, $unset: { refundedAt: 1 } }
+        );
+        throw error;
+      }
+
+      rma.paymentRefundId = refund._id;
+      await ReturnRequest.updateOne({ _id: rma._id }, { paymentRefundId: refund._id });
+    }
+
+    let from = null;
+    await mongoose.connection.transaction(async (session) => {
+      order = await Order.findById(rma.order).session(session);
+      from = order.status;
+      await refreshOrderReturnState(order, { actor, session });
+      if (order.returnStatus === 'returned' && canTransition(order.status, 'Refunded')) {
+        await transitionOrderStatus(order, 'Refunded', {
+          actor,
+          note: `Refunded ${amount} for ${rma.rmaNumber}`,
+          session
+        });
+      }
+      await order.save({ session });
+    });
+
+    await orderStatusChanged(order, from, actor);
+
+    res.json({
+      success: true,
+      message: refund && refund.status !== 'succeeded' ? 'Refund requested' : 'Refund recorded',
+      data: rma
+    });
+  } catch (error) {
+    if (error.name === 'ReturnError' || error.name === 'PaymentError') {
+      return sendReturnError(res, error);
+    }
+
+    console.error('Error refunding return request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record refund',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const Product = require('../models/Product');
+const { getStoreUrl, getProductUrl } = require('../utils/structuredData');
+
+// A single sitemap file may list at most 50,000 URLs
+const SITEMAP_URL_LIMIT = 50000;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Sitemap of the storefront home page and every active product, streamed from a cursor
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const cursor = Product.find({ is_active: true })
+      .select('slug images updated_at')
+      .sort({ updated_at: -1 })
+      .limit(SITEMAP_URL_LIMIT - 1)
+      .lean()
+      .cursor();
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=3600');
+    res.write('<?xml version="1.0" encoding="UTF-8"?>\n');
+    res.write('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ');
+    res.write('xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">\n');
+    res.write(`  <url><loc>${escapeXml(`${getStoreUrl()}/`)}</loc><changefreq>daily</changefreq></url>\n`);
+
+    for await (const product of cursor) {
+      if (!product.slug) continue;
+
+      const images = (product.images || [])
+        .slice(0, 10)
+        .map(image => `    <image:image><image:loc>${escapeXml(image)}</image:loc></image:image>\n`)
+        .join('');
+      const lastmod = product.updated_at ? `<lastmod>${new Date(product.updated_at).toISOString()}</lastmod>` : '';
+
+      res.write(`  <url>\n    <loc>${escapeXml(getProductUrl(product))}</loc>${lastmod}\n${images}  </url>\n`);
+    }
+
+    res.end('</urlset>\n');
+  } catch (error) {
+    console.error('Error generating sitemap:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sitemap',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const ShippingZone = require('../models/ShippingZone');
+const { verifyToken, requirePermission, optionalCustomer } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const { priceOrderItems } = require('../utils/orderPricing');
+const { getCartToken, findActiveCart, toOrderItems } = require('../utils/cart');
+const { quoteShipping } = require('../utils/shipping');
+const { getBaseCurrency } = require('../utils/currency');
+
+// Fields admins may set on a shipping zone
+const ZONE_FIELDS = ['name', 'countries', 'states', 'zip_prefixes', 'priority', 'methods', 'is_active'];
+
+const pickZoneFields = (body) => {
+  const data = {};
+  ZONE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Quote the shipping methods available for an address. Items may be sent in the body;
+// otherwise the shopper's cart (customer login or X-Cart-Token) is used.
+router.post('/quote', optionalCustomer, resolveCurrency, async (req, res) => {
+  try {
+    const { shippingAddress } = req.body;
+
+    if (!shippingAddress || (!shippingAddress.zipCode && !shippingAddress.state && !shippingAddress.country)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping address is required'
+      });
+    }
+
+    let items = req.body.items;
+    if (!items) {
+      const cart = await findActiveCart({ customerId: req.customer?.id, token: getCartToken(req) });
+      items = cart ? toOrderItems(cart.items) : [];
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order items are required'
+      });
+    }
+
+    const pricedItems = await priceOrderItems(items, { currency: req.currency });
+    if (pricedItems.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some order items are invalid',
+        errors: pricedItems.errors
+      });
+    }
+
+    const quote = await quoteShipping({
+      items: pricedItems.items,
+      subtotal: pricedItems.subtotal,
+      address: shippingAddress
+    }, { currency: req.currency });
+
+    res.json({
+      success: true,
+      message: quote.methods.length > 0
+        ? 'Shipping methods fetched successfully'
+        : 'No shipping methods available for this address',
+      data: {
+        subtotal: pricedItems.subtotal,
+        currency: req.currency ? req.currency.code : getBaseCurrency(),
+        ...quote
+      }
+    });
+  } catch (error) {
+    console.error('Error quoting shipping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to quote shipping',
+      error: error.message
+    });
+  }
+});
+
+// Zone management below is admin only
+router.use('/zones', verifyToken);
+
+// List shipping zones
+router.get('/zones', async (req, res) => {
+  try {
+    const zones = await ShippingZone.find().sort({ priority: -1, name: 1 }).lean();
+
+    res.json({
+      success: true,
+      message: 'Shipping zones fetched successfully',
+      data: zones
+    });
+  } catch (error) {
+    console.error('Error fetching shipping zones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shipping zones',
+      error: error.message
+    });
+  }
+});
+
+// Get single shipping zone
+router.get('/zones/:id', async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id).lean();
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping zone fetched successfully',
+      data: zone
+    });
+  } catch (error) {
+    console.error('Error fetching shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shipping zone',
+      error: error.message
+    });
+  }
+});
+
+// Create shipping zone
+router.post('/zones', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const zone = new ShippingZone(pickZoneFields(req.body));
+    await zone.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping zone created successfully',
+      data: zone
+    });
+  } catch (error) {
+    console.error('Error creating shipping zone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create shipping zone',
+      error: error.message
+    });
+  }
+});
+
+// Update shipping zone; methods are replaced as a whole when sent
+router.put('/zones/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findById(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    zone.set(pickZoneFields(req.body));
+    await zone.save();
+
+    res.json({
+      success: true,
+      message: 'Shipping zone updated successfully',
+      data: zone
+    });
+  } catch (error) {
+    console.error('Error updating shipping zone:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update shipping zone',
+      error: error.message
+    });
+  }
+});
+
+// Delete shipping zone
+router.delete('/zones/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting shipping zone:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete shipping zone',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
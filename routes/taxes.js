@@ -0,0 +1,296 @@
+const express = require('express');
+const router = express.Router();
+const TaxRule = require('../models/TaxRule');
+const Order = require('../models/Order');
+const { verifyToken, requirePermission, optionalCustomer } = require('../middleware/auth');
+const { resolveCurrency } = require('../middleware/currency');
+const { priceOrderItems, roundMoney } = require('../utils/orderPricing');
+const { getCartToken, findActiveCart, toOrderItems } = require('../utils/cart');
+const { resolveCategoryIds } = require('../utils/categories');
+const { calculateTax } = require('../utils/tax');
+const { getBaseCurrency } = require('../utils/currency');
+
+// Fields admins may set on a tax rule
+const RULE_FIELDS = ['name', 'country', 'state', 'rate', 'prices_include_tax', 'tax_shipping', 'is_active'];
+
+// Pick the editable fields; category rates may name their category by id, slug or name.
+// Returns { data } or { error } for a category that does not exist.
+const buildRuleData = async (body) => {
+  const data = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  if (data.state === '') data.state = null;
+
+  if (body.category_rates !== undefined) {
+    data.category_rates = [];
+    for (const entry of body.category_rates || []) {
+      const { ids, unknown } = await resolveCategoryIds(entry.category);
+      if (unknown.length > 0 || ids.length === 0) {
+        return { error: `Unknown category: ${entry.category}` };
+      }
+      data.category_rates.push({ category: ids[0], rate: entry.rate });
+    }
+  }
+
+  return { data };
+};
+
+// Preview the tax for items (or the shopper's cart) shipped to an address
+router.post('/quote', optionalCustomer, resolveCurrency, async (req, res) => {
+  try {
+    const { shippingAddress } = req.body;
+
+    if (!shippingAddress || (!shippingAddress.state && !shippingAddress.country)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping address is required'
+      });
+    }
+
+    let items = req.body.items;
+    if (!items) {
+      const cart = await findActiveCart({ customerId: req.customer?.id, token: getCartToken(req) });
+      items = cart ? toOrderItems(cart.items) : [];
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order items are required'
+      });
+    }
+
+    const pricedItems = await priceOrderItems(items, { currency: req.currency });
+    if (pricedItems.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some order items are invalid',
+        errors: pricedItems.errors
+      });
+    }
+
+    const taxCalculation = await calculateTax({
+      items: pricedItems.items,
+      shippingCost: Number(req.body.shippingCost) || 0,
+      address: shippingAddress
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax calculated successfully',
+      data: {
+        subtotal: pricedItems.subtotal,
+        currency: req.currency ? req.currency.code : getBaseCurrency(),
+        ...taxCalculation
+      }
+    });
+  } catch (error) {
+    console.error('Error calculating tax:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate tax',
+      error: error.message
+    });
+  }
+});
+
+// Everything below is admin only
+router.use(verifyToken);
+
+// Tax collected per rule and rate, from the breakdown stored on each order
+router.get('/report', requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = { status: { $ne: 'Cancelled' } };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const rates = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$taxBreakdown.rates' },
+      {
+        $group: {
+          _id: {
+            taxRuleId: '$taxBreakdown.rates.taxRuleId',
+            rate: '$taxBreakdown.rates.rate',
+            inclusive: '$taxBreakdown.rates.inclusive'
+          },
+          name: { $first: '$taxBreakdown.rates.name' },
+          country: { $first: '$taxBreakdown.rates.country' },
+          state: { $first: '$taxBreakdown.rates.state' },
+          taxableAmount: { $sum: '$taxBreakdown.rates.taxableAmount' },
+          amount: { $sum: '$taxBreakdown.rates.amount' },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { country: 1, state: 1, name: 1 } }
+    ]);
+
+    const sumAmounts = (inclusive) => roundMoney(rates
+      .filter(rate => Boolean(rate._id.inclusive) === inclusive)
+      .reduce((sum, rate) => sum + rate.amount, 0));
+
+    res.json({
+      success: true,
+      message: 'Tax report fetched successfully',
+      data: {
+        rates: rates.map(({ _id, ...total }) => ({
+          ..._id,
+          ...total,
+          taxableAmount: roundMoney(total.taxableAmount),
+          amount: roundMoney(total.amount)
+        })),
+        totalTax: sumAmounts(false),
+        totalTaxIncluded: sumAmounts(true)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tax report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax report',
+      error: error.message
+    });
+  }
+});
+
+// List tax rules
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await TaxRule.find()
+      .sort({ country: 1, state: 1, name: 1 })
+      .populate('category_rates.category', 'name slug')
+      .lean();
+
+    res.json({
+      success: true,
+      message: 'Tax rules fetched successfully',
+      data: rules
+    });
+  } catch (error) {
+    console.error('Error fetching tax rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tax rules',
+      error: error.message
+    });
+  }
+});
+
+// Create tax rule
+router.post('/rules', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const { data, error } = await buildRuleData(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const rule = new TaxRule(data);
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error creating tax rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tax rule',
+      error: error.message
+    });
+  }
+});
+
+// Update tax rule
+router.put('/rules/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    const { data, error } = await buildRuleData(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    rule.set(data);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Tax rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Error updating tax rule:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tax rule',
+      error: error.message
+    });
+  }
+});
+
+// Delete tax rule; orders keep their own breakdown
+router.delete('/rules/:id', requirePermission('settings:write'), async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting tax rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tax rule',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,349 @@
+const express = require('express');
+const router = express.Router();
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENTS, generateSecret } = WebhookEndpoint;
+const { requirePermission } = require('../middleware/auth');
+const { checkEndpointUrl, redeliver, processDueDeliveries } = require('../utils/webhooks');
+
+// Fields admins may set on a webhook endpoint
+const ENDPOINT_FIELDS = ['url', 'description', 'events', 'is_active'];
+
+const pickEndpointFields = (body) => {
+  const data = {};
+  ENDPOINT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Reject URLs that point at private or loopback hosts. Sends the 400 itself and returns
+// false when the URL is refused.
+const checkUrl = async (url, res) => {
+  if (url === undefined) return true;
+
+  const error = await checkEndpointUrl(url);
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error,
+      field: 'url'
+    });
+    return false;
+  }
+  return true;
+};
+
+// Endpoints receive full order payloads, so everything here needs webhooks:manage
+router.use(requirePermission('webhooks:manage'));
+
+// Events endpoints can subscribe to
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Webhook events fetched successfully',
+    data: WEBHOOK_EVENTS
+  });
+});
+
+// List webhook endpoints
+router.get('/endpoints', async (req, res) => {
+  try {
+    const endpoints = await WebhookEndpoint.find().sort({ created_at: -1 }).lean();
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoints fetched successfully',
+      data: endpoints
+    });
+  } catch (error) {
+    console.error('Error fetching webhook endpoints:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook endpoints',
+      error: error.message
+    });
+  }
+});
+
+// Get single webhook endpoint
+router.get('/endpoints/:id', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id).lean();
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint fetched successfully',
+      data: endpoint
+    });
+  } catch (error) {
+    console.error('Error fetching webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook endpoint',
+      error: error.message
+    });
+  }
+});
+
+// Register a webhook endpoint. The signing secret is only ever returned here and
+// when it is rotated.
+router.post('/endpoints', async (req, res) => {
+  try {
+    const data = pickEndpointFields(req.body);
+    if (!(await checkUrl(data.url, res))) return;
+
+    const endpoint = new WebhookEndpoint(data);
+    await endpoint.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook endpoint created successfully',
+      data: endpoint
+    });
+  } catch (error) {
+    console.error('Error creating webhook endpoint:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook endpoint',
+      error: error.message
+    });
+  }
+});
+
+// Update webhook endpoint
+router.put('/endpoints/:id', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findById(req.params.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    const data = pickEndpointFields(req.body);
+    if (!(await checkUrl(data.url, res))) return;
+
+    endpoint.set(data);
+    await endpoint.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint updated successfully',
+      data: endpoint
+    });
+  } catch (error) {
+    console.error('Error updating webhook endpoint:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook endpoint',
+      error: error.message
+    });
+  }
+});
+
+// Replace the signing secret; deliveries are signed with the new one from now on
+router.post('/endpoints/:id/rotate-secret', async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const endpoint = await WebhookEndpoint.findByIdAndUpdate(req.params.id, { secret }, { new: true }).lean();
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      data: { ...endpoint, secret }
+    });
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rotate webhook secret',
+      error: error.message
+    });
+  }
+});
+
+// Delete webhook endpoint; its delivery log is kept
+router.delete('/endpoints/:id', async (req, res) => {
+  try {
+    const endpoint = await WebhookEndpoint.findByIdAndDelete(req.params.id);
+
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook endpoint deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook endpoint:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook endpoint',
+      error: error.message
+    });
+  }
+});
+
+// Delivery log, newest first; filter by endpoint, event and status
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, endpoint, event, status } = req.query;
+    const filter = {};
+
+    if (endpoint) filter.endpoint = endpoint;
+    if (event) filter.event = event;
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload -attempts')
+        .populate('endpoint', 'url description')
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit))
+        .lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Webhook deliveries fetched successfully',
+      data: {
+        deliveries,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: Math.ceil(total / limit),
+          total_items: total,
+          items_per_page: parseInt(limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook deliveries',
+      error: error.message
+    });
+  }
+});
+
+// Send due retries now. Serverless deployments have no background timer, so a scheduler
+// (e.g. a cron job) should call this every minute or so.
+router.post('/deliveries/process', async (req, res) => {
+  try {
+    const summary = await processDueDeliveries({ limit: parseInt(req.body.limit) || 50 });
+
+    res.json({
+      success: true,
+      message: 'Due webhook deliveries processed',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Error processing webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook deliveries',
+      error: error.message
+    });
+  }
+});
+
+// Get single delivery with its payload and every attempt
+router.get('/deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id)
+      .populate('endpoint', 'url description')
+      .lean();
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook delivery fetched successfully',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook delivery',
+      error: error.message
+    });
+  }
+});
+
+// Send a delivery again right now
+router.post('/deliveries/:id/redeliver', async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    const attempt = delivery.attempts[delivery.attempts.length - 1];
+
+    res.json({
+      success: true,
+      message: attempt.error ? `Redelivery failed: ${attempt.error}` : 'Webhook redelivered successfully',
+      data: delivery
+    });
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeliver webhook',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
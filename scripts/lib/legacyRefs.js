@@ -0,0 +1,43 @@
+// Shared by the backfill scripts that turn old free-text catalog values into references
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const isLegacy = (value) => typeof value === 'string';
+
+// Find (or, outside a dry run, create) the document an old string refers to, once per value
+const createResolver = (Model, find, { dryRun }) => {
+  const cache = new Map();
+  const summary = { matched: 0, created: [] };
+
+  const resolve = async (value) => {
+    const name = value.trim();
+    if (!name) return null;
+
+    const key = name.toLowerCase();
+    if (!cache.has(key)) {
+      let doc = await find(name).select('name').lean();
+      if (doc) {
+        summary.matched += 1;
+      } else {
+        summary.created.push(name);
+        doc = dryRun ? { _id: null, name } : (await Model.create({ name })).toObject();
+      }
+      cache.set(key, doc);
+    }
+    return cache.get(key);
+  };
+
+  return { resolve, summary };
+};
+
+// Connect, run the migration and disconnect, exiting non-zero when it fails
+const runMigration = (migrate) => mongoose.connect(process.env.MONGODB_URI)
+  .then(migrate)
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
+
+module.exports = { isLegacy, createResolver, runMigration };
@@ -0,0 +1,43 @@
+// Backfill Product.brand_id, which used to hold brand strings and now holds Brand ids. Each
+// old value is matched to an existing brand by id, slug or name; one that matches nothing is
+// created. Products saved before this runs never match the brand filters and fail to save
+// with a CastError. Categories are backfilled by migrate-product-categories.js.
+//
+// Usage: node scripts/migrate-product-brands.js [--dry-run]
+// Safe to run more than once: products already holding ids are skipped.
+const Product = require('../models/Product');
+const Brand = require('../models/Brand');
+const { findBrand } = require('../utils/brands');
+const { createResolver, runMigration } = require('./lib/legacyRefs');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  const brands = createResolver(Brand, findBrand, { dryRun });
+
+  // Read through the driver: the schema would cast (and reject) the old string values
+  const cursor = Product.collection.find(
+    { brand_id: { $type: 'string' } },
+    { projection: { name: 1, brand_id: 1 } }
+  );
+
+  let updated = 0;
+  for await (const product of cursor) {
+    const brand = await brands.resolve(product.brand_id);
+    const update = {
+      brand_id: brand ? brand._id : null,
+      brand_name: brand ? brand.name : null
+    };
+
+    console.log(`${product._id} ${product.name}:`, JSON.stringify(update));
+    if (!dryRun) {
+      await Product.collection.updateOne({ _id: product._id }, { $set: update });
+    }
+    updated += 1;
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} products`);
+  console.log(`Brands: ${brands.summary.matched} matched, ${brands.summary.created.length} ${dryRun ? 'to create' : 'created'}`, brands.summary.created);
+};
+
+runMigration(migrate);
@@ -0,0 +1,45 @@
+// Backfill Product.categories, which used to hold category names and now holds Category ids.
+// Each old value is matched to an existing category by id, slug or name; one that matches
+// nothing is created. Products saved before this runs never match the category filters and
+// fail to save with a CastError.
+//
+// Usage: node scripts/migrate-product-categories.js [--dry-run]
+// Safe to run more than once: products already holding ids are skipped.
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { findCategory } = require('../utils/categories');
+const { isLegacy, createResolver, runMigration } = require('./lib/legacyRefs');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  const categories = createResolver(Category, findCategory, { dryRun });
+
+  // Read through the driver: the schema would cast (and reject) the old string values
+  const cursor = Product.collection.find(
+    { categories: { $type: 'string' } },
+    { projection: { name: 1, categories: 1 } }
+  );
+
+  let updated = 0;
+  for await (const product of cursor) {
+    const ids = [];
+    for (const value of product.categories) {
+      const category = isLegacy(value) ? await categories.resolve(value) : { _id: value };
+      if (category && category._id && !ids.some(id => String(id) === String(category._id))) {
+        ids.push(category._id);
+      }
+    }
+
+    console.log(`${product._id} ${product.name}:`, JSON.stringify({ categories: ids }));
+    if (!dryRun) {
+      await Product.collection.updateOne({ _id: product._id }, { $set: { categories: ids } });
+    }
+    updated += 1;
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} products`);
+  console.log(`Categories: ${categories.summary.matched} matched, ${categories.summary.created.length} ${dryRun ? 'to create' : 'created'}`, categories.summary.created);
+};
+
+runMigration(migrate);
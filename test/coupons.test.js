@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { normalizeCode, evaluateCoupon } = require('../utils/coupons');
+
+const coupon = (overrides = {}) => ({
+  _id: objectId(),
+  code: 'SAVE10',
+  type: 'percentage',
+  value: 10,
+  max_discount: null,
+  min_subtotal: 0,
+  usage_limit: null,
+  usage_limit_per_customer: null,
+  times_used: 0,
+  starts_at: null,
+  ends_at: null,
+  applies_to: { products: [], categories: [] },
+  is_active: true,
+  ...overrides
+});
+
+const line = (lineTotal, product = objectId()) => ({ product, lineTotal });
+
+const evaluate = (t, found, options) => {
+  t.mock.method(Coupon, 'findOne', () => query(found));
+  return evaluateCoupon(' save10 ', options);
+};
+
+test('normalizeCode trims and upper-cases', () => {
+  assert.equal(normalizeCode(' save10 '), 'SAVE10');
+  assert.equal(normalizeCode(undefined), '');
+});
+
+test('a percentage coupon discounts the subtotal up to max_discount', async (t) => {
+  const items = [line(80), line(40)];
+
+  const uncapped = await evaluate(t, coupon(), { items, subtotal: 120 });
+  assert.equal(uncapped.discount, 12);
+  assert.equal(uncapped.eligibleSubtotal, 120);
+
+  const capped = await evaluate(t, coupon({ max_discount: 5 }), { items, subtotal: 120 });
+  assert.equal(capped.discount, 5);
+});
+
+test('a fixed coupon never discounts more than the order is worth', async (t) => {
+  const result = await evaluate(t, coupon({ type: 'fixed', value: 50 }), { items: [line(30)], subtotal: 30 });
+  assert.equal(result.discount, 30);
+});
+
+test('a free shipping coupon waives the shipping cost', async (t) => {
+  const result = await evaluate(t, coupon({ type: 'free_shipping', value: 0 }), { items: [line(30)], subtotal: 30, shippingCost: 7.5 });
+  assert.equal(result.freeShipping, true);
+  assert.equal(result.discount, 0);
+  assert.equal(result.shippingDiscount, 7.5);
+});
+
+test('unusable coupons are refused with a reason', async (t) => {
+  const items = [line(30)];
+  const yesterday = new Date(Date.now() - 86400000);
+  const tomorrow = new Date(Date.now() + 86400000);
+  const cases = [
+    [null, 'Coupon code is not valid'],
+    [coupon({ is_active: false }), 'Coupon code is not valid'],
+    [coupon({ starts_at: tomorrow }), 'Coupon is not active yet'],
+    [coupon({ ends_at: yesterday }), 'Coupon has expired'],
+    [coupon({ usage_limit: 5, times_used: 5 }), 'Coupon has reached its usage limit'],
+    [coupon({ min_subtotal: 50 }), 'Coupon requires a minimum subtotal of 50']
+  ];
+
+  for (const [found, message] of cases) {
+    const result = await evaluate(t, found, { items, subtotal: 30 });
+    assert.equal(result.error, message);
+  }
+});
+
+test('a customer cannot use a coupon more often than usage_limit_per_customer', async (t) => {
+  const count = t.mock.method(Order, 'countDocuments', () => query(1));
+
+  const result = await evaluate(t, coupon({ usage_limit_per_customer: 1 }), {
+    items: [line(30)],
+    subtotal: 30,
+    email: 'ada@example.com'
+  });
+
+  assert.equal(result.error, 'You have already used this coupon');
+  assert.deepEqual(count.mock.calls[0].arguments[0].$or, [{ 'customer.email': 'ada@example.com' }]);
+});
+
+test('a restricted coupon only discounts lines in its categories, subcategories included', async (t) => {
+  const parent = objectId();
+  const child = objectId();
+  const inCategory = line(60);
+  const elsewhere = line(40);
+  t.mock.method(Product, 'find', () => query([
+    { _id: inCategory.product, categories: [child] },
+    { _id: elsewhere.product, categories: [] }
+  ]));
+  t.mock.method(Category, 'find', () => query([{ _id: child, ancestors: [parent] }]));
+
+  const result = await evaluate(t, coupon({ applies_to: { products: [], categories: [parent] } }), {
+    items: [inCategory, elsewhere],
+    subtotal: 100
+  });
+
+  assert.equal(result.eligibleSubtotal, 60);
+  assert.equal(result.discount, 6);
+});
+
+test('coupon amounts are converted into the order currency', async (t) => {
+  const currency = {
+    code: 'EUR',
+    base: 'USD',
+    rate: 0.5,
+    decimals: 2,
+    rounding_mode: 'nearest',
+    rates: new Map([['USD', { rate: 1 }], ['EUR', { rate: 0.5 }]])
+  };
+
+  const result = await evaluate(t, coupon({ type: 'fixed', value: 10, min_subtotal: 20 }), {
+    items: [line(15)],
+    subtotal: 15,
+    currency
+  });
+
+  assert.equal(result.discount, 5);
+});
@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+const ExchangeRate = require('../models/ExchangeRate');
+const {
+  CurrencyError,
+  getCurrencyContext,
+  roundCurrency,
+  convertAmount,
+  toBaseAmount,
+  getLocalizedPrices,
+  localizeProduct
+} = require('../utils/currency');
+
+const RATES = [
+  { currency: 'EUR', rate: 0.9, decimals: 2, rounding_mode: 'nearest', is_active: true },
+  { currency: 'JPY', rate: 150, decimals: 0, rounding_increment: 10, rounding_mode: 'up', is_active: true }
+];
+
+const context = (t, code) => {
+  t.mock.method(ExchangeRate, 'find', () => query(RATES));
+  return getCurrencyContext(code);
+};
+
+test('getCurrencyContext defaults to the base currency at rate 1', async (t) => {
+  const usd = await context(t);
+  assert.equal(usd.code, 'USD');
+  assert.equal(usd.rate, 1);
+  assert.equal(usd.decimals, 2);
+});
+
+test('getCurrencyContext rejects currencies without an active rate', async (t) => {
+  await assert.rejects(context(t, 'gbp'), CurrencyError);
+});
+
+test('roundCurrency follows decimals, increments and rounding mode', () => {
+  assert.equal(roundCurrency(10.005, { decimals: 2, rounding_mode: 'nearest' }), 10.01);
+  assert.equal(roundCurrency(23.000000000000004, { decimals: 0, rounding_mode: 'up' }), 23);
+  assert.equal(roundCurrency(1231, { decimals: 0, rounding_increment: 10, rounding_mode: 'up' }), 1240);
+  assert.equal(roundCurrency(1.37, { decimals: 2, rounding_increment: 0.05, rounding_mode: 'down' }), 1.35);
+});
+
+test('convertAmount converts between any two known currencies', async (t) => {
+  const eur = await context(t, 'eur');
+  assert.equal(convertAmount(19.99, 'USD', eur), 17.99);
+  assert.equal(convertAmount(10, 'EUR', eur), 10);
+  assert.equal(convertAmount(null, 'USD', eur), null);
+
+  const jpy = await context(t, 'JPY');
+  assert.equal(convertAmount(9, 'EUR', jpy), 1500);
+  assert.throws(() => convertAmount(1, 'GBP', jpy), CurrencyError);
+});
+
+test('toBaseAmount turns an amount back into the base currency', async (t) => {
+  const eur = await context(t, 'EUR');
+  assert.equal(toBaseAmount(45, eur), 50);
+});
+
+test('a price override for the currency wins over conversion', async (t) => {
+  const eur = await context(t, 'EUR');
+
+  assert.deepEqual(
+    getLocalizedPrices({ price: 20, sale_price: 15, prices: [{ currency: 'eur', price: 19, sale_price: 14 }] }, 'USD', eur),
+    { price: 19, sale_price: 14 }
+  );
+  assert.deepEqual(getLocalizedPrices({ price: 20, sale_price: 15 }, 'USD', eur), { price: 18, sale_price: 13.5 });
+});
+
+test('localizeProduct converts priced variants and leaves the rest on the product price', async (t) => {
+  const eur = await context(t, 'EUR');
+
+  const product = localizeProduct({
+    price: 20,
+    currency: 'USD',
+    variants: [{ sku: 'A', price: 30 }, { sku: 'B' }]
+  }, eur);
+
+  assert.equal(product.price, 18);
+  assert.equal(product.currency, 'EUR');
+  assert.deepEqual(product.variants.map(variant => variant.price), [27, undefined]);
+  assert.deepEqual(product.pricing_currency, { currency: 'EUR', base_currency: 'USD', exchange_rate: 0.9, original_currency: 'USD' });
+});
@@ -0,0 +1,25 @@
+// Stand-ins for Mongoose queries, so the utils can be exercised without a database
+const mongoose = require('mongoose');
+
+// A database call nobody stubbed fails straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+// A query resolving to value (or to what value() returns) however it is chained:
+// .session(), .lean(), .select(), .sort() and so on all hand the same query back
+const query = (value) => {
+  const chain = new Proxy({}, {
+    get: (target, prop) => {
+      if (prop === 'then') {
+        return (resolve, reject) => Promise.resolve()
+          .then(() => (typeof value === 'function' ? value() : value))
+          .then(resolve, reject);
+      }
+      return () => chain;
+    }
+  });
+  return chain;
+};
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = { query, objectId };
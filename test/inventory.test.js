@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Product = require('../models/Product');
+const {
+  InsufficientStockError,
+  getAvailableStock,
+  isSoldOut,
+  reserveStock,
+  releaseStock,
+  syncOrderStock
+} = require('../utils/inventory');
+
+test('isSoldOut looks at every variant of a variant product', () => {
+  assert.equal(isSoldOut({ quantity_in_stock: 0, variants: [] }), true);
+  assert.equal(isSoldOut({ quantity_in_stock: 0, variants: [{ quantity_in_stock: 0 }, { quantity_in_stock: 2 }] }), false);
+  assert.equal(isSoldOut({ quantity_in_stock: 5, variants: [{ quantity_in_stock: 0 }] }), true);
+});
+
+test('getAvailableStock reads the chosen variant, or the product without one', () => {
+  const variantId = objectId();
+  const product = { quantity_in_stock: 9, variants: [{ variant_id: variantId, sku: 'A', quantity_in_stock: 3 }] };
+
+  assert.equal(getAvailableStock(product, { variant_id: variantId }), 3);
+  assert.equal(getAvailableStock(product, { variant_id: objectId() }), 0);
+  assert.equal(getAvailableStock(product, {}), 9);
+});
+
+test('reserveStock decrements with a $gte guard and marks sold-out products', async (t) => {
+  const productId = objectId();
+  const updates = [];
+  t.mock.method(Product, 'findOneAndUpdate', (filter, update, options) => {
+    updates.push({ filter, update, options });
+    return query({ _id: productId, stock_status: 'in_stock', quantity_in_stock: 0, variants: [] });
+  });
+  const statusUpdate = t.mock.method(Product, 'updateOne', async () => ({}));
+
+  const soldOut = await reserveStock([{ product: productId, quantity: 2 }], 'session');
+
+  assert.deepEqual(updates[0].update, { $inc: { quantity_in_stock: -2 } });
+  assert.deepEqual(updates[0].filter.$or[1], { quantity_in_stock: { $gte: 2 } });
+  assert.equal(updates[0].options.session, 'session');
+  assert.deepEqual(soldOut, [productId]);
+  assert.deepEqual(statusUpdate.mock.calls[0].arguments[1], { stock_status: 'out_of_stock' });
+});
+
+test('reserveStock reports every shortage at once', async (t) => {
+  const first = objectId();
+  const second = objectId();
+  t.mock.method(Product, 'findOneAndUpdate', () => query(null));
+  t.mock.method(Product, 'findById', (id) => query({
+    _id: id,
+    name: id === first ? 'Shirt' : 'Hat',
+    quantity_in_stock: id === first ? 1 : 0,
+    variants: []
+  }));
+
+  await assert.rejects(
+    reserveStock([{ product: first, quantity: 3 }, { product: second, quantity: 1 }]),
+    (error) => {
+      assert.ok(error instanceof InsufficientStockError);
+      assert.deepEqual(error.shortages.map(shortage => [shortage.productName, shortage.available]), [['Shirt', 1], ['Hat', 0]]);
+      return true;
+    }
+  );
+});
+
+test('releaseStock puts stock back on the variant and brings the product back in stock', async (t) => {
+  const variantId = objectId();
+  let update = null;
+  let options = null;
+  t.mock.method(Product, 'findOneAndUpdate', (filter, change, opts) => {
+    update = change;
+    options = opts;
+    return query({ _id: filter._id, stock_status: 'out_of_stock', variants: [{ variant_id: variantId, quantity_in_stock: 1 }] });
+  });
+  const statusUpdate = t.mock.method(Product, 'updateOne', async () => ({}));
+
+  await releaseStock([{ product: objectId(), variant_id: variantId, quantity: 1 }]);
+
+  assert.deepEqual(update, { $inc: { 'variants.$[variant].quantity_in_stock': 1 } });
+  assert.deepEqual(options.arrayFilters, [{ 'variant.variant_id': variantId }]);
+  assert.deepEqual(statusUpdate.mock.calls[0].arguments[1], { stock_status: 'in_stock' });
+});
+
+test('syncOrderStock releases a reservation once, on cancel', async (t) => {
+  const release = t.mock.method(Product, 'findOneAndUpdate', () => query(null));
+  const order = { status: 'Pending', stockReserved: true, items: [{ product: objectId(), quantity: 1 }] };
+
+  await syncOrderStock(order, 'Cancelled');
+  await syncOrderStock(order, 'Cancelled');
+  await syncOrderStock({ ...order, status: 'Cancelled' }, 'Refunded');
+
+  assert.equal(order.stockReserved, false);
+  assert.equal(release.mock.callCount(), 1);
+});
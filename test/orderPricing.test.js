@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Product = require('../models/Product');
+const {
+  getUnitPrice,
+  resolveVariant,
+  priceOrderItems,
+  computeOrderTotals,
+  findTotalMismatches
+} = require('../utils/orderPricing');
+
+const shirt = (overrides = {}) => ({
+  _id: objectId(),
+  name: 'Shirt',
+  sku: 'SHIRT',
+  price: 20,
+  is_active: true,
+  variants: [],
+  ...overrides
+});
+
+test('getUnitPrice uses the sale price only when it is lower', () => {
+  assert.equal(getUnitPrice({ price: 20, sale_price: 15 }), 15);
+  assert.equal(getUnitPrice({ price: 20, sale_price: 25 }), 20);
+  assert.equal(getUnitPrice({ price: 20, sale_price: 0 }), 20);
+  assert.equal(getUnitPrice({ price: 20 }), 20);
+});
+
+test('resolveVariant finds variants by id, sku, then a unique size/colour pair', () => {
+  const small = { variant_id: objectId(), sku: 'S-RED', attributes: [{ attribute_name: 'Size', attribute_value: 'S' }, { attribute_name: 'Color', attribute_value: 'Red' }] };
+  const large = { variant_id: objectId(), sku: 'L-RED', attributes: [{ attribute_name: 'Size', attribute_value: 'L' }, { attribute_name: 'Color', attribute_value: 'Red' }] };
+  const product = shirt({ variants: [small, large] });
+
+  assert.equal(resolveVariant(product, { variant_id: large.variant_id }).variant, large);
+  assert.equal(resolveVariant(product, { sku: 'S-RED' }).variant, small);
+  assert.equal(resolveVariant(product, { selectedSize: 'L' }).variant, large);
+  assert.match(resolveVariant(product, { selectedColor: 'Red' }).error, /choose a variant/);
+  assert.match(resolveVariant(product, { sku: 'XL-RED' }).error, /does not exist/);
+  assert.deepEqual(resolveVariant(shirt(), {}), { variant: null });
+});
+
+test('priceOrderItems prices from the catalog, not from the submitted price', async (t) => {
+  const product = shirt({ sale_price: 15 });
+  t.mock.method(Product, 'find', () => query([product]));
+
+  const priced = await priceOrderItems([{ product: product._id, quantity: 3, price: 1 }]);
+
+  assert.deepEqual(priced.errors, []);
+  assert.equal(priced.items[0].price, 15);
+  assert.equal(priced.items[0].listPrice, 20);
+  assert.equal(priced.items[0].lineTotal, 45);
+  assert.equal(priced.subtotal, 45);
+  assert.equal(priced.lines[0].submittedPrice, 1);
+  assert.equal(priced.lines[0].salePriceApplied, true);
+});
+
+test('priceOrderItems takes a variant price over the product price', async (t) => {
+  const variant = { variant_id: objectId(), sku: 'SHIRT-XL', price: 24, attributes: [{ attribute_name: 'Size', attribute_value: 'XL' }] };
+  const product = shirt({ variants: [variant] });
+  t.mock.method(Product, 'find', () => query([product]));
+
+  const priced = await priceOrderItems([{ product: product._id, variant_id: variant.variant_id, quantity: 2 }]);
+
+  assert.equal(priced.items[0].price, 24);
+  assert.equal(priced.items[0].sku, 'SHIRT-XL');
+  assert.equal(priced.items[0].selectedSize, 'XL');
+  assert.equal(priced.subtotal, 48);
+});
+
+test('priceOrderItems reports missing, inactive and badly counted items', async (t) => {
+  const inactive = shirt({ is_active: false });
+  const active = shirt();
+  t.mock.method(Product, 'find', () => query([inactive, active]));
+
+  const priced = await priceOrderItems([
+    { product: objectId(), quantity: 1 },
+    { product: inactive._id, quantity: 1 },
+    { product: active._id, quantity: 1.5 }
+  ]);
+
+  assert.deepEqual(priced.errors.map(error => error.index), [0, 1, 2]);
+  assert.equal(priced.errors[0].message, 'Product not found');
+  assert.match(priced.errors[1].message, /no longer available/);
+  assert.match(priced.errors[2].message, /whole number/);
+  assert.equal(priced.items.length, 0);
+});
+
+test('computeOrderTotals caps the discount at the subtotal and honours free shipping', () => {
+  const { totals } = computeOrderTotals({ subtotal: 50, lines: [] }, { discount: 80, shippingCost: 10, tax: 4 });
+  assert.deepEqual(totals, { subtotal: 50, discount: 50, shippingCost: 10, tax: 4, totalAmount: 14 });
+
+  const free = computeOrderTotals({ subtotal: 50, lines: [] }, { shippingCost: 10, freeShipping: true });
+  assert.equal(free.totals.shippingCost, 0);
+  assert.equal(free.totals.totalAmount, 50);
+});
+
+test('findTotalMismatches flags submitted totals that differ by more than a cent', () => {
+  const totals = { subtotal: 45, totalAmount: 49.5 };
+  assert.deepEqual(findTotalMismatches({ subtotal: 45.004, totalAmount: 49.5 }, totals), []);
+  assert.deepEqual(findTotalMismatches({ subtotal: 40 }, totals), [{ field: 'subtotal', submitted: 40, actual: 45 }]);
+});
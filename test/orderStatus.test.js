@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  InvalidStatusTransitionError,
+  normalizeStatus,
+  canTransition,
+  getActor,
+  transitionOrderStatus
+} = require('../utils/orderStatus');
+
+const newOrder = (status) => ({ status, stockReserved: false, items: [], statusHistory: [] });
+
+test('canTransition follows the transition table', () => {
+  assert.equal(canTransition('Pending', 'Processing'), true);
+  assert.equal(canTransition('Shipped', 'Delivered'), true);
+  assert.equal(canTransition('Delivered', 'Pending'), false);
+  assert.equal(canTransition('Cancelled', 'Pending'), false);
+  assert.equal(canTransition('Cancelled', 'Refunded'), true);
+  assert.equal(canTransition('Refunded', 'Pending'), false);
+});
+
+test('normalizeStatus maps the legacy Dispatched status onto Shipped', () => {
+  assert.equal(normalizeStatus('Dispatched'), 'Shipped');
+  assert.equal(normalizeStatus('Delivered'), 'Delivered');
+  assert.equal(normalizeStatus('Lost'), null);
+});
+
+test('getActor describes the admin or customer behind a request', () => {
+  assert.deepEqual(getActor({ admin: { id: 'a1', username: 'sam' } }), { type: 'admin', id: 'a1', name: 'sam' });
+  assert.deepEqual(getActor({ customer: { id: 'c1', email: 'c@example.com' } }), { type: 'customer', id: 'c1', name: 'c@example.com' });
+  assert.deepEqual(getActor({}, 'payment_provider'), { type: 'payment_provider' });
+});
+
+test('transitionOrderStatus records the change in the history', async () => {
+  const order = newOrder('Pending');
+  await transitionOrderStatus(order, 'Processing', { actor: { type: 'admin', id: 'a1' }, note: 'Picked' });
+
+  assert.equal(order.status, 'Processing');
+  assert.equal(order.statusHistory.length, 1);
+  assert.deepEqual(
+    { ...order.statusHistory[0], changedAt: undefined },
+    { status: 'Processing', from: 'Pending', actor: { type: 'admin', id: 'a1' }, note: 'Picked', changedAt: undefined }
+  );
+});
+
+test('transitionOrderStatus rejects moves the table does not allow', async () => {
+  const order = newOrder('Delivered');
+
+  await assert.rejects(transitionOrderStatus(order, 'Pending'), (error) => {
+    assert.ok(error instanceof InvalidStatusTransitionError);
+    assert.deepEqual(error.allowed, ['Returned', 'Refunded']);
+    return true;
+  });
+  assert.equal(order.status, 'Delivered');
+  assert.equal(order.statusHistory.length, 0);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+const Admin = require('../models/Admin');
+const { ROLE_PERMISSIONS, PERMISSIONS, getPermissions, hasPermission } = require('../utils/permissions');
+const { requirePermission, requirePermissionIfAdmin } = require('../middleware/auth');
+
+test('every role grants only known permissions, and owners get all of them', () => {
+  Object.values(ROLE_PERMISSIONS).forEach(permissions => {
+    permissions.forEach(permission => assert.ok(PERMISSIONS.includes(permission), permission));
+  });
+  assert.deepEqual(getPermissions('owner'), PERMISSIONS);
+});
+
+test('legacy admin accounts keep full access and unknown roles get none', () => {
+  assert.deepEqual(getPermissions('admin'), PERMISSIONS);
+  assert.deepEqual(getPermissions('intern'), []);
+  assert.deepEqual(getPermissions(undefined), []);
+});
+
+test('money and settings stay with the roles that need them', () => {
+  assert.equal(hasPermission('support', 'payments:refund'), true);
+  assert.equal(hasPermission('fulfillment', 'payments:refund'), false);
+  assert.equal(hasPermission('fulfillment', 'invoices:issue'), true);
+  assert.equal(hasPermission('catalog_manager', 'returns:manage'), false);
+  assert.equal(hasPermission('catalog_manager', 'orders:read'), false);
+  assert.equal(hasPermission('analyst', 'settings:write'), false);
+  assert.equal(hasPermission('analyst', 'webhooks:manage'), false);
+});
+
+// Run a middleware and report whether it let the request through, or the status it answered with
+const run = async (middleware, req) => {
+  let outcome = null;
+  const res = {
+    status: (code) => ({ json: () => { outcome = code; } })
+  };
+  await middleware(req, res, () => { outcome = 'next'; });
+  return outcome;
+};
+
+test('requirePermission reads the role from the account', async (t) => {
+  t.mock.method(Admin, 'findById', () => query({ role: 'catalog_manager' }));
+
+  assert.equal(await run(requirePermission('products:write'), { admin: { id: 'a1' } }), 'next');
+  assert.equal(await run(requirePermission('orders:read'), { admin: { id: 'a1' } }), 403);
+});
+
+test('requirePermissionIfAdmin checks staff but leaves customers to the route', async (t) => {
+  t.mock.method(Admin, 'findById', () => query({ role: 'analyst' }));
+
+  assert.equal(await run(requirePermissionIfAdmin('returns:manage'), { admin: { id: 'a1' } }), 403);
+  assert.equal(await run(requirePermissionIfAdmin('orders:read'), { admin: { id: 'a1' } }), 'next');
+  assert.equal(await run(requirePermissionIfAdmin('returns:manage'), { customer: { id: 'c1' } }), 'next');
+});
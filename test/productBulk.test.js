@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Product = require('../models/Product');
+const ProductBulkOperation = require('../models/ProductBulkOperation');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const { BulkOperationError, runBulkOperation, undoBulkOperation } = require('../utils/productBulk');
+
+// Keeps the operation record in memory, applying the $push/$inc updates runBulkOperation sends
+const stubRecords = (t) => {
+  const record = new ProductBulkOperation({ operation: 'pending', selection: {} });
+  t.mock.method(record, 'save', async () => record);
+  t.mock.method(ProductBulkOperation, 'create', async (data) => record.set(data));
+  t.mock.method(ProductBulkOperation, 'updateOne', async (filter, { $push, $inc }) => {
+    record.results.push($push.results);
+    if ($push.snapshot) record.snapshot.push($push.snapshot);
+    Object.entries($inc).forEach(([field, amount]) => record.set(field, record.get(field) + amount));
+  });
+  t.mock.method(ProductBulkOperation, 'findByIdAndUpdate', async (id, update) => record.set(update));
+  t.mock.method(ProductBulkOperation, 'findById', () => query(record));
+  t.mock.method(WebhookEndpoint, 'find', () => query([]));
+  return record;
+};
+
+const stubProducts = (t, products) => {
+  t.mock.method(Product, 'find', () => query(products));
+  t.mock.method(Product, 'findById', (id) => query(products.find(product => product._id.equals(id)) || null));
+  return t.mock.method(Product.prototype, 'save', async function() { return this; });
+};
+
+const tee = (overrides = {}) => new Product({ name: 'Tee', slug: 'tee', price: 20, ...overrides });
+
+test('runBulkOperation rejects unknown operations and bad params', async (t) => {
+  stubRecords(t);
+  await assert.rejects(runBulkOperation({ operation: 'delete_all', ids: [String(objectId())] }), BulkOperationError);
+  await assert.rejects(runBulkOperation({ operation: 'set_price', params: { value: -1 }, ids: [String(objectId())] }), /0 or more/);
+  await assert.rejects(runBulkOperation({ operation: 'set_price', params: { value: 1 }, ids: ['nope'] }), /Invalid product ids/);
+});
+
+test('adjust_price records per-product results and a snapshot of only the touched fields', async (t) => {
+  const record = stubRecords(t);
+  const variant = { sku: 'TEE-S', price: 22, quantity_in_stock: 4 };
+  const products = [tee({ variants: [variant] }), tee({ name: 'Cheap', price: 1 })];
+  stubProducts(t, products);
+
+  const result = await runBulkOperation({
+    operation: 'adjust_price',
+    params: { amount: -5 },
+    ids: products.map(product => String(product._id))
+  });
+
+  assert.deepEqual(result.results.map(entry => entry.status), ['updated', 'failed']);
+  assert.equal(result.results[1].message, 'Price would drop below 0');
+  assert.equal(result.updated_count, 1);
+  assert.equal(result.failed_count, 1);
+  assert.ok(result.completed_at);
+  assert.equal(products[0].price, 15);
+  assert.equal(products[0].variants[0].price, 17);
+
+  const variantId = String(products[0].variants[0].variant_id);
+  assert.deepEqual(record.snapshot[0].before, { price: 20, variants: { [variantId]: { price: 22 } } });
+  assert.deepEqual(record.snapshot[0].after, { price: 15, variants: { [variantId]: { price: 17 } } });
+});
+
+test('undo restores the snapshot but leaves products edited since then as conflicts', async (t) => {
+  stubRecords(t);
+  const products = [tee(), tee({ name: 'Polo', price: 30 })];
+  stubProducts(t, products);
+
+  const operation = await runBulkOperation({ operation: 'set_price', params: { value: 10 }, ids: products.map(product => String(product._id)) });
+  products[1].price = 12;
+
+  const undone = await undoBulkOperation(operation._id);
+  assert.deepEqual(undone.undo_results.map(entry => entry.status), ['restored', 'conflict']);
+  assert.equal(products[0].price, 20);
+  assert.equal(products[1].price, 12);
+  assert.ok(undone.undone_at);
+
+  await assert.rejects(undoBulkOperation(operation._id), /already been undone/);
+});
+
+test('undo with force overwrites products edited since the operation', async (t) => {
+  stubRecords(t);
+  const products = [tee()];
+  stubProducts(t, products);
+
+  const operation = await runBulkOperation({ operation: 'set_price', params: { value: 10 }, ids: [String(products[0]._id)] });
+  products[0].price = 12;
+
+  const undone = await undoBulkOperation(operation._id, { force: true });
+  assert.equal(undone.undo_results[0].status, 'restored');
+  assert.equal(products[0].price, 20);
+});
+
+test('adjust_stock adds a guarded $inc per variant, flips stock_status and snapshots the delta', async (t) => {
+  const record = stubRecords(t);
+  const product = tee({ variants: [{ sku: 'S', quantity_in_stock: 3 }, { sku: 'M', quantity_in_stock: 0 }] });
+  const save = stubProducts(t, [product]);
+  const [small, medium] = product.variants.map(variant => String(variant.variant_id));
+
+  const updates = [];
+  t.mock.method(Product, 'findOneAndUpdate', (filter, update, options) => {
+    updates.push({ filter, update, options });
+    return query(tee({ _id: product._id, stock_status: 'in_stock', variants: [{ quantity_in_stock: 0 }, { quantity_in_stock: 0 }] }));
+  });
+  const statusUpdate = t.mock.method(Product, 'updateOne', async () => ({}));
+
+  const result = await runBulkOperation({ operation: 'adjust_stock', params: { set: 0 }, ids: [String(product._id)] });
+
+  assert.equal(result.results[0].status, 'updated');
+  assert.equal(save.mock.callCount(), 0);
+  assert.deepEqual(updates[0].update, { $inc: { 'variants.$[v0].quantity_in_stock': -3 } });
+  assert.equal(String(updates[0].filter.$and[0].variants.$elemMatch.variant_id), small);
+  assert.deepEqual(updates[0].filter.$and[0].variants.$elemMatch.quantity_in_stock, { $gte: 3 });
+  assert.deepEqual(statusUpdate.mock.calls[0].arguments[1], { stock_status: 'out_of_stock' });
+  assert.deepEqual(record.snapshot[0].delta, { variants: { [small]: -3 } });
+  assert.equal(record.snapshot[0].delta.variants[medium], undefined);
+});
+
+test('adjust_stock fails a product whose stock was sold in the meantime', async (t) => {
+  stubRecords(t);
+  const product = tee({ quantity_in_stock: 5 });
+  stubProducts(t, [product]);
+  t.mock.method(Product, 'findOneAndUpdate', () => query(null));
+
+  const result = await runBulkOperation({ operation: 'adjust_stock', params: { amount: -5 }, ids: [String(product._id)] });
+
+  assert.deepEqual(result.results.map(entry => [entry.status, entry.message]), [['failed', 'Stock would drop below 0']]);
+  assert.equal(result.failed_count, 1);
+});
+
+test('undoing adjust_stock takes the delta back instead of restoring old levels', async (t) => {
+  stubRecords(t);
+  const product = tee({ quantity_in_stock: 2, stock_status: 'in_stock' });
+  stubProducts(t, [product]);
+  const updates = [];
+  t.mock.method(Product, 'findOneAndUpdate', (filter, update) => {
+    updates.push({ filter, update });
+    return query(tee({ _id: product._id, quantity_in_stock: 7, stock_status: 'in_stock' }));
+  });
+  t.mock.method(Product, 'updateOne', async () => ({}));
+
+  const operation = await runBulkOperation({ operation: 'adjust_stock', params: { amount: 10 }, ids: [String(product._id)] });
+  const undone = await undoBulkOperation(operation._id);
+
+  assert.deepEqual(updates[0].update, { $inc: { quantity_in_stock: 10 } });
+  assert.deepEqual(updates[1].update, { $inc: { quantity_in_stock: -10 } });
+  assert.deepEqual(updates[1].filter.quantity_in_stock, { $gte: 10 });
+  assert.equal(undone.undo_results[0].status, 'restored');
+});
+
+test('undoing adjust_stock is a conflict when the added stock has been sold', async (t) => {
+  stubRecords(t);
+  const product = tee({ quantity_in_stock: 2 });
+  stubProducts(t, [product]);
+  let calls = 0;
+  t.mock.method(Product, 'findOneAndUpdate', () => {
+    calls += 1;
+    return query(calls === 1 ? tee({ _id: product._id, quantity_in_stock: 12 }) : null);
+  });
+  t.mock.method(Product, 'updateOne', async () => ({}));
+
+  const operation = await runBulkOperation({ operation: 'adjust_stock', params: { amount: 10 }, ids: [String(product._id)] });
+  const undone = await undoBulkOperation(operation._id, { force: true });
+
+  assert.equal(undone.undo_results[0].status, 'conflict');
+});
@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query } = require('./helpers');
+const Product = require('../models/Product');
+const ProductImport = require('../models/ProductImport');
+const { ImportError, parseImportFile, importProduct, processQueuedImports } = require('../utils/productImport');
+
+const CSV = [
+  'sku,name,price,tags,variant_sku,variant_attributes,variant_quantity,colour',
+  'TEE,Tee,20,summer|cotton,TEE-S,Size:S,5,blue',
+  'TEE,Tee,20,,TEE-M,Size:M,3,blue',
+  'CAP,Cap,12,,,,,'
+].join('\n');
+
+test('parseImportFile groups CSV rows by SKU and collects their variants', () => {
+  const { inputs, totalRows, messages } = parseImportFile(CSV, 'csv');
+
+  assert.equal(totalRows, 3);
+  assert.deepEqual(messages, ['Ignored unknown columns: colour']);
+  assert.deepEqual(inputs.map(input => [input.key, input.rows]), [['sku:TEE', [2, 3]], ['sku:CAP', [4]]]);
+  assert.deepEqual(inputs[0].variants.map(variant => variant.sku), ['TEE-S', 'TEE-M']);
+  assert.equal(inputs[1].variants, undefined);
+});
+
+test('parseImportFile flags conflicting rows and rejects files it cannot match on', () => {
+  const { inputs } = parseImportFile('sku,price\nTEE,20\nTEE,25\n,5', 'csv');
+  assert.match(inputs[0].messages[0], /price "25" differs from "20"/);
+  assert.deepEqual(inputs[1].messages, ['sku or slug is required']);
+
+  assert.throws(() => parseImportFile('name,price\nTee,20', 'csv'), ImportError);
+  assert.throws(() => parseImportFile('{"products": []}', 'json'), ImportError);
+});
+
+test('parseImportFile reports products repeated in a JSON file', () => {
+  const { inputs } = parseImportFile([{ sku: 'TEE', name: 'Tee' }, { sku: 'TEE', name: 'Other' }], 'json');
+  assert.deepEqual(inputs[1].messages, ['Same sku as product 1']);
+});
+
+const stubCatalog = (t, existing = null) => {
+  t.mock.method(Product, 'findOne', () => query(existing));
+  t.mock.method(Product, 'exists', () => query(null));
+  return t.mock.method(Product.prototype, 'save', async function() { return this; });
+};
+
+test('a dry run validates products without saving them', async (t) => {
+  const save = stubCatalog(t);
+  const [tee, cap] = parseImportFile(CSV, 'csv').inputs;
+
+  const created = await importProduct(tee, { dryRun: true, cache: {} });
+  assert.equal(created.action, 'create');
+  assert.deepEqual(created.messages, []);
+
+  const invalid = await importProduct({ ...cap, fields: { ...cap.fields, price: '-3' } }, { dryRun: true, cache: {} });
+  assert.equal(invalid.action, 'error');
+  assert.deepEqual(invalid.messages, ['price must be a number of 0 or more']);
+
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('a dry run reports an update for a product that already exists', async (t) => {
+  stubCatalog(t, new Product({ name: 'Tee', slug: 'tee', sku: 'TEE', price: 18 }));
+  const [tee] = parseImportFile('sku,price\nTEE,20', 'csv').inputs;
+
+  const result = await importProduct(tee, { dryRun: true, cache: {} });
+
+  assert.equal(result.action, 'update');
+});
+
+test('queued imports are worked through in chunks within the time budget', async (t) => {
+  const inputs = parseImportFile(
+    ['sku,name,price', ...Array.from({ length: 5 }, (value, index) => `SKU-${index},Item ${index},10`)].join('\n'),
+    'csv'
+  ).inputs;
+  const job = new ProductImport({ format: 'csv', dry_run: true, background: true, total_products: 5, inputs });
+  t.mock.method(job, 'save', async () => job);
+
+  // Every product takes 8 simulated seconds
+  let clock = 0;
+  t.mock.method(Date, 'now', () => clock);
+  stubCatalog(t);
+  t.mock.method(Product, 'findOne', () => {
+    clock += 8000;
+    return query(null);
+  });
+
+  t.mock.method(ProductImport, 'updateMany', async () => ({}));
+  t.mock.method(ProductImport, 'findOneAndUpdate', () => query(() => (job.status === 'completed' ? null : job)));
+  const release = t.mock.method(ProductImport, 'updateOne', async () => ({}));
+  t.mock.method(ProductImport, 'countDocuments', () => query(() => (job.status === 'completed' ? 0 : 1)));
+
+  const first = await processQueuedImports({ timeBudgetMs: 20000 });
+  assert.deepEqual(first, { products: 3, finished: 0, remaining: 1 });
+  assert.equal(job.status, 'processing');
+  assert.equal(job.processed, 3);
+  assert.deepEqual(release.mock.calls[0].arguments[1], { $unset: { lease_until: 1 } });
+
+  const second = await processQueuedImports({ timeBudgetMs: 20000 });
+  assert.deepEqual(second, { products: 2, finished: 1, remaining: 0 });
+  assert.equal(job.status, 'completed');
+  assert.equal(job.created_count, 5);
+  assert.deepEqual(job.results.map(result => result.key), inputs.map(input => input.key));
+  assert.equal(job.inputs, undefined);
+});
@@ -0,0 +1,125 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const Order = require('../models/Order');
+const ReturnRequest = require('../models/ReturnRequest');
+const {
+  canTransitionReturn,
+  buildReturnItems,
+  getReturnValue,
+  refreshOrderReturnState
+} = require('../utils/returns');
+
+// A delivered order with 2 shirts and 1 hat
+const deliveredOrder = () => new Order({
+  orderNumber: 'ORD-1',
+  status: 'Delivered',
+  customer: { name: 'Ada', email: 'ada@example.com', phone: '1', address: { street: 'x', city: 'y', state: 'z', zipCode: '1' } },
+  items: [
+    { product: objectId(), productName: 'Shirt', price: 20, quantity: 2 },
+    { product: objectId(), productName: 'Hat', price: 10, quantity: 1 }
+  ],
+  totalAmount: 50
+});
+
+const rmaFor = (order, status, lines, extra = {}) => ({
+  _id: objectId(),
+  order: order._id,
+  status,
+  items: lines.map(([index, quantity, receivedQuantity = 0]) => ({
+    orderItemId: order.items[index]._id,
+    unitPrice: order.items[index].price,
+    quantity,
+    receivedQuantity
+  })),
+  ...extra
+});
+
+test('an RMA moves Requested -> Approved -> Received -> Refunded, and may skip Received', () => {
+  assert.equal(canTransitionReturn('Requested', 'Approved'), true);
+  assert.equal(canTransitionReturn('Approved', 'Refunded'), true);
+  assert.equal(canTransitionReturn('Received', 'Refunded'), true);
+  assert.equal(canTransitionReturn('Requested', 'Refunded'), false);
+  assert.equal(canTransitionReturn('Refunded', 'Approved'), false);
+  assert.equal(canTransitionReturn('Rejected', 'Approved'), false);
+});
+
+test('buildReturnItems caps each line at what is still returnable', () => {
+  const order = deliveredOrder();
+  const [shirt, hat] = order.items;
+  const remaining = new Map([[shirt._id.toString(), 1], [hat._id.toString(), 1]]);
+
+  const { items, errors } = buildReturnItems(order, [
+    { orderItemId: shirt._id, quantity: 2 },
+    { orderItemId: hat._id, quantity: 1, reason: 'Too small' },
+    { orderItemId: objectId(), quantity: 1 },
+    { orderItemId: hat._id, quantity: 0 }
+  ], remaining);
+
+  assert.deepEqual(errors.map(error => error.index), [0, 2, 3]);
+  assert.match(errors[0].message, /Only 1 of Shirt/);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].productName, 'Hat');
+  assert.equal(items[0].unitPrice, 10);
+  assert.equal(items[0].reason, 'Too small');
+  assert.equal(remaining.get(hat._id.toString()), 0);
+});
+
+test('getReturnValue counts only received units once goods are back', () => {
+  const order = deliveredOrder();
+  assert.equal(getReturnValue(rmaFor(order, 'Approved', [[0, 2], [1, 1]])), 50);
+  assert.equal(getReturnValue(rmaFor(order, 'Received', [[0, 2, 1], [1, 1, 1]])), 30);
+});
+
+const refresh = async (t, order, rmas) => {
+  t.mock.method(ReturnRequest, 'find', () => query(rmas));
+  return refreshOrderReturnState(order, { actor: { type: 'admin' } });
+};
+
+test('refreshOrderReturnState tracks requested and partially returned orders', async (t) => {
+  const order = deliveredOrder();
+
+  await refresh(t, order, [rmaFor(order, 'Requested', [[0, 1]])]);
+  assert.equal(order.returnStatus, 'requested');
+
+  await refresh(t, order, [rmaFor(order, 'Received', [[0, 2, 2]], { receivedAt: new Date() })]);
+  assert.equal(order.returnStatus, 'partially_returned');
+  assert.equal(order.status, 'Delivered');
+});
+
+test('refreshOrderReturnState moves a fully received order to Returned', async (t) => {
+  const order = deliveredOrder();
+
+  await refresh(t, order, [rmaFor(order, 'Received', [[0, 2, 2], [1, 1, 1]], { receivedAt: new Date() })]);
+
+  assert.equal(order.returnStatus, 'returned');
+  assert.equal(order.status, 'Returned');
+  assert.equal(order.statusHistory.at(-1).note, 'All items returned');
+});
+
+test('refreshOrderReturnState counts lines refunded straight from Approved', async (t) => {
+  const order = deliveredOrder();
+
+  await refresh(t, order, [rmaFor(order, 'Refunded', [[0, 2], [1, 1]])]);
+
+  assert.equal(order.returnStatus, 'returned');
+  assert.equal(order.status, 'Returned');
+});
+
+test('refreshOrderReturnState counts only what came back on a received then refunded RMA', async (t) => {
+  const order = deliveredOrder();
+
+  await refresh(t, order, [rmaFor(order, 'Refunded', [[0, 2, 1], [1, 1, 0]], { receivedAt: new Date() })]);
+
+  assert.equal(order.returnStatus, 'partially_returned');
+  assert.equal(order.status, 'Delivered');
+});
+
+test('refreshOrderReturnState goes back to none when nothing is open', async (t) => {
+  const order = deliveredOrder();
+  order.returnStatus = 'requested';
+
+  await refresh(t, order, []);
+
+  assert.equal(order.returnStatus, 'none');
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const ShippingZone = require('../models/ShippingZone');
+const Product = require('../models/Product');
+const { matchesZone, priceShippingMethod, quoteShipping, selectShippingMethod } = require('../utils/shipping');
+
+const standard = (overrides = {}) => ({
+  code: 'standard',
+  name: 'Standard',
+  rate_type: 'flat',
+  base_rate: 5,
+  tiers: [],
+  class_surcharges: [],
+  free_shipping_threshold: null,
+  min_days: 3,
+  max_days: 5,
+  is_active: true,
+  ...overrides
+});
+
+const metrics = (overrides = {}) => ({ subtotal: 50, weight: 1, volume: 0, classes: {}, ...overrides });
+
+test('matchesZone checks country, state and zip prefix, defaulting to the United States', () => {
+  const zone = { countries: ['United States'], states: ['CA'], zip_prefixes: ['940'] };
+
+  assert.equal(matchesZone(zone, { state: 'ca', zipCode: '94016' }), true);
+  assert.equal(matchesZone(zone, { state: 'NY', zipCode: '94016' }), false);
+  assert.equal(matchesZone(zone, { state: 'CA', zipCode: '90210' }), false);
+  assert.equal(matchesZone({ countries: ['Canada'] }, {}), false);
+  assert.equal(matchesZone({}, { country: 'Anywhere' }), true);
+});
+
+test('priceShippingMethod adds the weight tier and per-class surcharges', () => {
+  const method = standard({
+    rate_type: 'weight',
+    tiers: [{ min: 0, max: 2, rate: 3 }, { min: 2, max: null, rate: 8 }],
+    class_surcharges: [{ shipping_class: 'Bulky', amount: 4 }]
+  });
+
+  const light = priceShippingMethod(method, metrics({ weight: 1.5 }));
+  assert.equal(light.cost, 8);
+
+  const heavy = priceShippingMethod(method, metrics({ weight: 5, classes: { bulky: 2 } }));
+  assert.equal(heavy.cost, 21);
+  assert.equal(heavy.breakdown.classSurcharge, 8);
+});
+
+test('priceShippingMethod bills volumetric weight when it is higher', () => {
+  const method = standard({
+    rate_type: 'weight',
+    volumetric_divisor: 5000,
+    tiers: [{ min: 0, max: 2, rate: 3 }, { min: 2, max: null, rate: 8 }]
+  });
+
+  const bulky = priceShippingMethod(method, metrics({ weight: 1, volume: 20000 }));
+  assert.equal(bulky.breakdown.billableWeight, 4);
+  assert.equal(bulky.cost, 13);
+});
+
+test('priceShippingMethod is free above the threshold and unavailable without a tier', () => {
+  assert.equal(priceShippingMethod(standard({ free_shipping_threshold: 40 }), metrics()).cost, 0);
+  assert.equal(priceShippingMethod(standard({ rate_type: 'weight', tiers: [{ min: 0, max: 1, rate: 3 }] }), metrics({ weight: 3 })), null);
+});
+
+const stubZones = (t, zones, products = []) => {
+  t.mock.method(ShippingZone, 'find', () => query(zones));
+  t.mock.method(Product, 'find', () => query(products));
+};
+
+test('quoteShipping uses the most specific matching zone and sorts methods by cost', async (t) => {
+  const productId = objectId();
+  stubZones(t, [
+    { _id: objectId(), name: 'US', countries: ['United States'], methods: [standard({ base_rate: 10 })] },
+    {
+      _id: objectId(),
+      name: 'California',
+      countries: ['United States'],
+      states: ['CA'],
+      methods: [
+        standard({ code: 'express', name: 'Express', base_rate: 15 }),
+        standard({ base_rate: 6 }),
+        standard({ code: 'old', base_rate: 1, is_active: false })
+      ]
+    }
+  ], [{ _id: productId, weight: 0.5 }]);
+
+  const quote = await quoteShipping({
+    items: [{ product: productId, quantity: 2 }],
+    subtotal: 30,
+    address: { state: 'CA' }
+  });
+
+  assert.equal(quote.zone.name, 'California');
+  assert.equal(quote.weight, 1);
+  assert.deepEqual(quote.methods.map(method => [method.code, method.cost]), [['standard', 6], ['express', 15]]);
+});
+
+test('selectShippingMethod refuses methods that are not on offer', async (t) => {
+  stubZones(t, [{ _id: objectId(), name: 'US', countries: ['United States'], methods: [standard()] }]);
+  const order = { items: [], subtotal: 30, address: {} };
+
+  assert.equal((await selectShippingMethod('Standard', order)).method.cost, 5);
+  assert.match((await selectShippingMethod('teleport', order)).error, /not available/);
+  assert.equal((await selectShippingMethod(null, order)).error, 'Please choose a shipping method');
+  assert.equal((await selectShippingMethod('standard', { ...order, address: { country: 'Canada' } })).error, 'We do not ship to this address');
+});
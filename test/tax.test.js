@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, objectId } = require('./helpers');
+const TaxRule = require('../models/TaxRule');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const ExchangeRate = require('../models/ExchangeRate');
+const ShippingZone = require('../models/ShippingZone');
+const { matchesJurisdiction, getRuleRate, calculateTax } = require('../utils/tax');
+const { buildOrder } = require('../utils/checkout');
+
+const rule = (overrides = {}) => ({
+  _id: objectId(),
+  name: 'Sales tax',
+  country: 'United States',
+  state: null,
+  rate: 10,
+  category_rates: [],
+  prices_include_tax: false,
+  tax_shipping: false,
+  is_active: true,
+  ...overrides
+});
+
+const line = (lineTotal, product = objectId()) => ({ product, productName: 'Item', lineTotal });
+
+const stubRules = (t, rules, products = []) => {
+  t.mock.method(TaxRule, 'find', () => query(rules));
+  t.mock.method(Product, 'find', () => query(products));
+  t.mock.method(Category, 'find', () => query([]));
+};
+
+test('matchesJurisdiction matches the country, and the state when the rule names one', () => {
+  assert.equal(matchesJurisdiction(rule(), { state: 'CA' }), true);
+  assert.equal(matchesJurisdiction(rule({ state: 'CA' }), { state: 'ca' }), true);
+  assert.equal(matchesJurisdiction(rule({ state: 'CA' }), { state: 'NY' }), false);
+  assert.equal(matchesJurisdiction(rule(), { country: 'Canada' }), false);
+});
+
+test('getRuleRate takes the lowest matching category override', () => {
+  const clothing = objectId();
+  const children = objectId();
+  const withOverrides = rule({ category_rates: [{ category: clothing, rate: 5 }, { category: children, rate: 0 }] });
+
+  assert.equal(getRuleRate(withOverrides, [String(clothing)]), 5);
+  assert.equal(getRuleRate(withOverrides, [String(clothing), String(children)]), 0);
+  assert.equal(getRuleRate(withOverrides, []), 10);
+});
+
+test('calculateTax stacks country and state rules and spreads the discount by line value', async (t) => {
+  stubRules(t, [rule(), rule({ name: 'State tax', state: 'CA', rate: 5 })]);
+
+  const result = await calculateTax({ items: [line(60), line(40)], discount: 10, address: { state: 'CA' } });
+
+  assert.deepEqual(result.lines.map(entry => entry.taxableAmount), [54, 36]);
+  assert.deepEqual(result.lines.map(entry => entry.tax), [8.1, 5.4]);
+  assert.equal(result.tax, 13.5);
+  assert.equal(result.taxIncluded, 0);
+  assert.deepEqual(result.rates.map(rate => [rate.name, rate.taxableAmount, rate.amount]), [
+    ['Sales tax', 90, 9],
+    ['State tax', 90, 4.5]
+  ]);
+});
+
+test('calculateTax extracts inclusive tax instead of adding it, and taxes shipping when asked', async (t) => {
+  stubRules(t, [rule({ rate: 20, prices_include_tax: true, tax_shipping: true })]);
+
+  const result = await calculateTax({ items: [line(120)], shippingCost: 12, address: {} });
+
+  assert.equal(result.tax, 0);
+  assert.equal(result.taxIncluded, 22);
+  assert.equal(result.shipping.tax, 2);
+});
+
+test('calculateTax charges nothing where no rule applies', async (t) => {
+  stubRules(t, [rule({ country: 'Canada' })]);
+
+  const result = await calculateTax({ items: [line(100)], address: {} });
+
+  assert.deepEqual(result, { tax: 0, taxIncluded: 0, lines: [], shipping: null, rates: [] });
+});
+
+test('buildOrder never takes shipping or tax from the request', async (t) => {
+  const product = { _id: objectId(), name: 'Shirt', price: 25, is_active: true, variants: [] };
+  t.mock.method(ExchangeRate, 'find', () => query([]));
+  t.mock.method(Product, 'find', () => query([product]));
+  t.mock.method(ShippingZone, 'exists', () => query(null));
+  t.mock.method(TaxRule, 'exists', () => query(null));
+
+  const { order } = await buildOrder({
+    customer: { name: 'Ada', email: 'ada@example.com', phone: '555' },
+    shippingAddress: { street: '1 Main St', city: 'Springfield', state: 'CA', zipCode: '90001' },
+    items: [{ product: product._id, quantity: 2 }],
+    shippingCost: -40,
+    tax: -10,
+    paymentMethod: 'cod'
+  });
+
+  assert.equal(order.shippingCost, 0);
+  assert.equal(order.tax, 0);
+  assert.equal(order.totalAmount, 50);
+});
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const { escapeRegex, toList } = require('./productSearch');
+
+// Fields of a brand embedded in product responses
+const BRAND_SUMMARY_FIELDS = 'name slug logo';
+
+// Match a brand by _id, slug or (case-insensitive) name
+const identifierFilter = (value) => {
+  const conditions = [
+    { slug: String(value).toLowerCase() },
+    { name: new RegExp(`^${escapeRegex(value)}$`, 'i') }
+  ];
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    conditions.unshift({ _id: value });
+  }
+  return { $or: conditions };
+};
+
+// Find one brand by id, slug or name
+const findBrand = (value, { activeOnly = false } = {}) => {
+  const filter = identifierFilter(value);
+  if (activeOnly) filter.is_active = true;
+  return Brand.findOne(filter);
+};
+
+// Brand ids to filter products by, from ?brand= (slugs) and ?brand_id= (ids).
+// Returns null when neither is given; unknown brands match no products.
+const resolveBrandFilterIds = async (query) => {
+  const values = [...toList(query.brand), ...toList(query.brand_id)];
+  if (values.length === 0) return null;
+
+  const brands = await Brand.find({ $or: values.map(value => identifierFilter(value)) })
+    .select('_id')
+    .lean();
+  return brands.map(brand => brand._id);
+};
+
+// Turn the brand sent with a product (id, slug or name) into brand_id/brand_name.
+// Returns { fields } or { error } when the brand does not exist.
+const resolveProductBrand = async (value) => {
+  if (value === null || value === '' || value === 'null') {
+    return { fields: { brand_id: null, brand_name: null } };
+  }
+
+  const brand = await findBrand(value).select('name').lean();
+  if (!brand) {
+    return { error: `Unknown brand: ${value}` };
+  }
+  return { fields: { brand_id: brand._id, brand_name: brand.name } };
+};
+
+// Add a `brand` summary next to brand_id on one or more lean products
+const attachBrands = async (products) => {
+  const list = Array.isArray(products) ? products : [products];
+  const ids = list.map(product => product && product.brand_id).filter(Boolean);
+
+  const brands = ids.length > 0
+    ? await Brand.find({ _id: { $in: ids } }).select(BRAND_SUMMARY_FIELDS).lean()
+    : [];
+  const brandMap = new Map(brands.map(brand => [brand._id.toString(), brand]));
+
+  const withBrands = list.map(product => product && ({
+    ...product,
+    brand: product.brand_id ? brandMap.get(product.brand_id.toString()) || null : null
+  }));
+
+  return Array.isArray(products) ? withBrands : withBrands[0];
+};
+
+module.exports = {
+  BRAND_SUMMARY_FIELDS,
+  findBrand,
+  resolveBrandFilterIds,
+  resolveProductBrand,
+  attachBrands
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { priceOrderItems } = require('./orderPricing');
+const { getAvailableStock } = require('./inventory');
+const { getBaseCurrency } = require('./currency');
+
+// Header the storefront sends the guest cart token in
+const CART_TOKEN_HEADER = 'x-cart-token';
+
+const generateCartToken = () => crypto.randomBytes(24).toString('hex');
+
+const getCartToken = (req) => req.headers[CART_TOKEN_HEADER] || req.body?.cartToken || null;
+
+// The active cart of a logged-in customer, or of a guest by token
+const findActiveCart = ({ customerId, token }, session) => {
+  if (customerId) {
+    return Cart.findOne({ customerId, status: 'active' }).session(session || null);
+  }
+  if (token) {
+    return Cart.findOne({ token, status: 'active', customerId: null }).session(session || null);
+  }
+  return null;
+};
+
+// Start a new cart. When a concurrent request already created the customer's active cart,
+// the unique index rejects this one and that cart is returned instead.
+const createCart = async ({ customerId = null } = {}) => {
+  try {
+    return await Cart.create({ token: generateCartToken(), customerId });
+  } catch (error) {
+    if (customerId && error.code === 11000) {
+      const existing = await findActiveCart({ customerId });
+      if (existing) return existing;
+    }
+    throw error;
+  }
+};
+
+// Lines are the same when they point at the same product and variant choice
+const getLineKey = (item) => [
+  item.product.toString(),
+  item.variant_id ? item.variant_id.toString() : '',
+  item.variant_id ? '' : item.selectedSize || '',
+  item.variant_id ? '' : item.selectedColor || ''
+].join(':');
+
+// Add an item to the cart, topping up the quantity when the line is already there
+const addCartLine = (cart, item) => {
+  const existing = cart.items.find(line => getLineKey(line) === getLineKey(item));
+  if (existing) {
+    existing.quantity += item.quantity;
+    return existing;
+  }
+  cart.items.push({
+    product: item.product,
+    variant_id: item.variant_id || null,
+    selectedSize: item.selectedSize,
+    selectedColor: item.selectedColor,
+    quantity: item.quantity
+  });
+  return cart.items[cart.items.length - 1];
+};
+
+// Cart lines in the shape priceOrderItems and buildOrder expect
+const toOrderItems = (items) => items.map(item => ({
+  product: item.product,
+  variant_id: item.variant_id || undefined,
+  selectedSize: item.selectedSize,
+  selectedColor: item.selectedColor,
+  quantity: item.quantity
+}));
+
+// Move a guest cart into the customer's cart. With no customer cart yet the guest cart
+// simply becomes theirs; otherwise quantities are added up and the guest cart is closed.
+// Returns the customer's cart, or null when there was no guest cart to merge.
+const mergeGuestCart = async (token, customerId) => {
+  if (!token || !customerId) return null;
+
+  let result = null;
+  await mongoose.connection.transaction(async (session) => {
+    const guestCart = await findActiveCart({ token }, session);
+    if (!guestCart) return;
+
+    const customerCart = await findActiveCart({ customerId }, session);
+    if (!customerCart) {
+      guestCart.customerId = customerId;
+      await guestCart.save({ session });
+      result = guestCart;
+      return;
+    }
+
+    guestCart.items.forEach(item => addCartLine(customerCart, item));
+    guestCart.status = 'merged';
+    guestCart.merged_into = customerCart._id;
+    await customerCart.save({ session });
+    await guestCart.save({ session });
+    result = customerCart;
+  });
+
+  return result;
+};
+
+// Cart with live prices (in the given currency context, if any) and stock checks from the
+// Product collection. Every line lists its issues; the cart can be checked out when no line has any.
+const buildCartView = async (cart, { currency = null } = {}) => {
+  const cartItems = cart ? cart.items : [];
+  const priced = await priceOrderItems(toOrderItems(cartItems), { currency });
+
+  const products = await Product.find({ _id: { $in: cartItems.map(item => item.product) } })
+    .select('name slug images quantity_in_stock stock_status variants')
+    .lean();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const errors = new Map(priced.errors.map(error => [error.index, error.message]));
+
+  // priceOrderItems skips invalid lines, so priced items line up with the valid cart lines
+  let pricedIndex = 0;
+  const items = cartItems.map((item, index) => {
+    const product = productMap.get(item.product.toString());
+    const line = {
+      _id: item._id,
+      product: item.product,
+      variant_id: item.variant_id,
+      selectedSize: item.selectedSize,
+      selectedColor: item.selectedColor,
+      quantity: item.quantity,
+      name: product?.name,
+      slug: product?.slug,
+      image: product?.images?.[0] || null,
+      issues: []
+    };
+
+    if (errors.has(index)) {
+      line.issues.push({ code: 'unavailable', message: errors.get(index) });
+      return line;
+    }
+
+    const pricedItem = priced.items[pricedIndex++];
+    const preorder = product.stock_status === 'preorder';
+    const available = Math.max(0, getAvailableStock(product, pricedItem));
+    if (!preorder && available < item.quantity) {
+      line.issues.push({
+        code: available === 0 ? 'out_of_stock' : 'insufficient_stock',
+        available,
+        message: available === 0
+          ? `${product.name} is out of stock`
+          : `Only ${available} of ${product.name} left in stock`
+      });
+    }
+
+    return {
+      ...line,
+      sku: pricedItem.sku,
+      variantAttributes: pricedItem.variantAttributes,
+      price: pricedItem.price,
+      listPrice: pricedItem.listPrice,
+      lineTotal: pricedItem.lineTotal,
+      stock: { available, preorder }
+    };
+  });
+
+  return {
+    _id: cart?._id || null,
+    token: cart?.token || null,
+    customerId: cart?.customerId || null,
+    status: cart?.status || 'active',
+    items,
+    summary: {
+      line_count: items.length,
+      item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal: priced.subtotal,
+      currency: currency ? currency.code : getBaseCurrency(),
+      checkout_ready: items.length > 0 && items.every(item => item.issues.length === 0)
+    },
+    updated_at: cart?.updated_at || null
+  };
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  getCartToken,
+  findActiveCart,
+  createCart,
+  addCartLine,
+  toOrderItems,
+  mergeGuestCart,
+  buildCartView
+};
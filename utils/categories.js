@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { escapeRegex, toList } = require('./productSearch');
+
+// Match a category by _id, slug or (case-insensitive) name
+const identifierFilter = (value) => {
+  const conditions = [
+    { slug: String(value).toLowerCase() },
+    { name: new RegExp(`^${escapeRegex(value)}$`, 'i') }
+  ];
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    conditions.unshift({ _id: value });
+  }
+  return { $or: conditions };
+};
+
+// Find one category by id or slug
+const findCategory = (value, { activeOnly = false } = {}) => {
+  const filter = identifierFilter(value);
+  if (activeOnly) filter.is_active = true;
+  return Category.findOne(filter);
+};
+
+// Ids to filter products by: each requested category plus all of its descendants.
+// Unknown categories contribute nothing, so a filter on them matches no products.
+const resolveCategoryFilterIds = async (value) => {
+  const values = toList(value);
+  if (values.length === 0) return null;
+
+  const matches = await Category.find({ $or: values.map(v => identifierFilter(v)), is_active: true })
+    .select('_id')
+    .lean();
+  const ids = matches.map(category => category._id);
+  if (ids.length === 0) return [];
+
+  const descendants = await Category.find({ ancestors: { $in: ids }, is_active: true })
+    .select('_id')
+    .lean();
+
+  return [...ids, ...descendants.map(category => category._id)];
+};
+
+// Turn category ids, slugs or names sent with a product into Category ids.
+// Returns { ids, unknown } so the caller can reject categories that do not exist.
+const resolveCategoryIds = async (value) => {
+  const values = toList(value);
+  const ids = [];
+  const unknown = [];
+
+  for (const item of values) {
+    const category = await Category.findOne(identifierFilter(item)).select('_id').lean();
+    if (category) {
+      if (!ids.some(id => id.equals(category._id))) ids.push(category._id);
+    } else {
+      unknown.push(item);
+    }
+  }
+
+  return { ids, unknown };
+};
+
+// Nest a flat, sorted list of categories under their parents
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent_id && nodes.get(node.parent_id.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else if (!node.parent_id) {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// After a category moves, rewrite the ancestors of everything below it
+const rebuildDescendantAncestors = async (category, session = null) => {
+  const descendants = await Category.find({ ancestors: category._id })
+    .select('ancestors')
+    .session(session)
+    .lean();
+
+  if (descendants.length === 0) return;
+
+  const operations = descendants.map(descendant => {
+    const position = descendant.ancestors.findIndex(id => id.equals(category._id));
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { ancestors: [...category.ancestors, category._id, ...descendant.ancestors.slice(position + 1)] }
+      }
+    };
+  });
+
+  await Category.bulkWrite(operations, { session });
+};
+
+// Category ids each product sits in, including every ancestor of those categories,
+// as a Map of product id -> array of category id strings
+const getProductCategoryLineage = async (productIds, session = null) => {
+  const products = await Product.find({ _id: { $in: productIds } })
+    .select('categories')
+    .session(session)
+    .lean();
+
+  const categoryIds = [...new Set(products.flatMap(product => (product.categories || []).map(String)))];
+  const categories = await Category.find({ _id: { $in: categoryIds } })
+    .select('ancestors')
+    .session(session)
+    .lean();
+  const lineage = new Map(categories.map(category => [
+    category._id.toString(),
+    [category._id.toString(), ...(category.ancestors || []).map(String)]
+  ]));
+
+  return new Map(products.map(product => [
+    product._id.toString(),
+    [...new Set((product.categories || []).flatMap(id => lineage.get(id.toString()) || [id.toString()]))]
+  ]));
+};
+
+module.exports = {
+  findCategory,
+  resolveCategoryFilterIds,
+  resolveCategoryIds,
+  buildCategoryTree,
+  rebuildDescendantAncestors,
+  getProductCategoryLineage
+};
@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { priceOrderItems, computeOrderTotals, findTotalMismatches } = require('./orderPricing');
+const { reserveStock } = require('./inventory');
+const { recordStatus } = require('./orderStatus');
+const { CouponError, evaluateCoupon, redeemCoupon, toOrderCoupon } = require('./coupons');
+const { isShippingConfigured, selectShippingMethod, toOrderShippingMethod } = require('./shipping');
+const { isTaxConfigured, calculateTax } = require('./tax');
+const { getCurrencyContext, toOrderCurrency } = require('./currency');
+const { orderPlaced } = require('./orderEvents');
+
+// Thrown when checkout input is rejected; status and details go straight into the response
+class CheckoutError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'CheckoutError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Build an unsaved order from checkout input, pricing everything server-side.
+// input: { customer, shippingAddress, items, paymentMethod, orderNotes, couponCode,
+//          shippingMethod, currency, subtotal, totalAmount }
+// Every amount, submitted or computed, is in the order currency (the base currency by default).
+// Shipping and tax are never taken from the input: while no shipping zones or tax rules
+// are configured they are 0.
+// Returns { order, pricing, couponEvaluation, currency }; throws CheckoutError on bad input.
+const buildOrder = async (input, { account = null } = {}) => {
+  const { shippingAddress, items } = input;
+  const customer = {
+    name: input.customer?.name || account?.name,
+    email: input.customer?.email || account?.email,
+    phone: input.customer?.phone || account?.phone,
+  };
+
+  if (!customer.name || !customer.email || !customer.phone) {
+    throw new CheckoutError(400, 'Customer information is required (name, email, phone)');
+  }
+
+  if (!shippingAddress || !shippingAddress.street || !shippingAddress.city ||
+      !shippingAddress.state || !shippingAddress.zipCode) {
+    throw new CheckoutError(400, 'Complete shipping address is required');
+  }
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    throw new CheckoutError(400, 'Order items are required');
+  }
+
+  let currency;
+  try {
+    currency = await getCurrencyContext(input.currency);
+  } catch (error) {
+    if (error.name !== 'CurrencyError') throw error;
+    throw new CheckoutError(400, error.message, { field: 'currency' });
+  }
+
+  // Never trust client prices: look every item up and recompute the totals
+  const pricedItems = await priceOrderItems(items, { currency });
+  if (pricedItems.errors.length > 0) {
+    throw new CheckoutError(400, 'Some order items are invalid', { errors: pricedItems.errors });
+  }
+
+  // The chosen method must be one the shipping zones offer for this address and these items
+  let shipping = null;
+  if (await isShippingConfigured()) {
+    shipping = await selectShippingMethod(input.shippingMethod, {
+      items: pricedItems.items,
+      subtotal: pricedItems.subtotal,
+      address: shippingAddress,
+      currency
+    });
+    if (shipping.error) {
+      throw new CheckoutError(400, shipping.error, { field: 'shippingMethod', shippingMethods: shipping.methods });
+    }
+  }
+  const shippingCost = shipping ? shipping.method.cost : 0;
+
+  let couponEvaluation = null;
+  if (input.couponCode) {
+    couponEvaluation = await evaluateCoupon(input.couponCode, {
+      items: pricedItems.items,
+      subtotal: pricedItems.subtotal,
+      shippingCost,
+      customerId: account?._id,
+      email: customer.email,
+      currency
+    });
+    if (couponEvaluation.error) {
+      throw new CheckoutError(400, couponEvaluation.error, { field: 'couponCode' });
+    }
+  }
+
+  // Tax follows the tax rules for the shipping address, on discounted lines and (when
+  // taxable) the shipping actually charged
+  let taxCalculation = null;
+  if (await isTaxConfigured()) {
+    taxCalculation = await calculateTax({
+      items: pricedItems.items,
+      discount: couponEvaluation?.discount || 0,
+      shippingCost: couponEvaluation?.freeShipping ? 0 : shippingCost,
+      address: shippingAddress
+    });
+  }
+
+  const { totals, breakdown } = computeOrderTotals(pricedItems, {
+    shippingCost,
+    tax: taxCalculation ? taxCalculation.tax : 0,
+    discount: couponEvaluation?.discount,
+    freeShipping: couponEvaluation?.freeShipping
+  });
+
+  if (totals.totalAmount <= 0) {
+    throw new CheckoutError(400, 'Total amount must be greater than 0');
+  }
+
+  // Totals the shopper was shown must match ours, otherwise they confirm the new price first
+  const mismatches = findTotalMismatches(input, totals);
+  if (mismatches.length > 0) {
+    throw new CheckoutError(409, 'Order totals do not match current prices', { mismatches, pricing: breakdown });
+  }
+
+  const order = new Order({
+    customer,
+    customerId: account ? account._id : null,
+    shippingAddress,
+    paymentMethod: input.paymentMethod,
+    orderNotes: input.orderNotes,
+    items: pricedItems.items,
+    ...toOrderCurrency(currency),
+    ...totals,
+    shippingMethod: shipping ? toOrderShippingMethod(shipping) : undefined,
+    taxIncluded: taxCalculation ? taxCalculation.taxIncluded : 0,
+    taxBreakdown: taxCalculation
+      ? { lines: taxCalculation.lines, shipping: taxCalculation.shipping, rates: taxCalculation.rates }
+      : undefined,
+    coupon: couponEvaluation ? toOrderCoupon(couponEvaluation) : undefined,
+    stockReserved: true
+  });
+  recordStatus(order, order.status, {
+    actor: account
+      ? { type: 'customer', id: account._id, name: account.email }
+      : { type: 'guest', name: customer.email },
+    note: 'Order placed'
+  });
+
+  return {
+    order,
+    pricing: {
+      ...breakdown,
+      currency: currency.code,
+      exchangeRate: currency.rate,
+      ...(shipping && { shipping: { zone: shipping.zone, ...shipping.method } }),
+      ...(taxCalculation && { taxIncluded: taxCalculation.taxIncluded, taxBreakdown: taxCalculation }),
+      ...(couponEvaluation && {
+        coupon: {
+          code: couponEvaluation.coupon.code,
+          type: couponEvaluation.coupon.type,
+          eligibleSubtotal: couponEvaluation.eligibleSubtotal,
+          discount: couponEvaluation.discount,
+          freeShipping: couponEvaluation.freeShipping
+        }
+      })
+    },
+    couponEvaluation,
+    currency
+  };
+};
+
+// Save a built order in one transaction: take its stock, count the coupon redemption
+// (re-checking the per-customer limit under the transaction) and insert the order.
+// Webhooks and emails go out once the transaction has committed.
+const placeOrder = async ({ order, couponEvaluation, currency }, { onSession } = {}) => {
+  let soldOut = [];
+  await mongoose.connection.transaction(async (session) => {
+    soldOut = await reserveStock(order.items, session);
+
+    if (couponEvaluation) {
+      const recheck = await evaluateCoupon(order.coupon.code, {
+        items: order.items,
+        subtotal: order.subtotal,
+        shippingCost: order.shippingCost,
+        customerId: order.customerId,
+        email: order.customer.email,
+        currency,
+        session
+      });
+      if (recheck.error) {
+        throw new CouponError(recheck.error);
+      }
+      await redeemCoupon(couponEvaluation.coupon, session);
+    }
+
+    await order.save({ session });
+
+    if (onSession) {
+      await onSession(session);
+    }
+  });
+
+  await orderPlaced(order, { soldOut });
+
+  return order;
+};
+
+// Answer a rejected checkout (bad input, coupon no longer valid, not enough stock).
+// Returns null, sending nothing, for any other error so the route can answer it.
+const sendCheckoutError = (res, error) => {
+  if (error.name === 'CheckoutError') {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  if (error.name === 'CouponError') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      field: 'couponCode'
+    });
+  }
+
+  if (error.name === 'InsufficientStockError') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      errors: error.shortages
+    });
+  }
+
+  return null;
+};
+
+module.exports = {
+  CheckoutError,
+  buildOrder,
+  placeOrder,
+  sendCheckoutError
+};
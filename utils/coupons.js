@@ -0,0 +1,146 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { roundMoney } = require('./orderPricing');
+const { getProductCategoryLineage } = require('./categories');
+const { convertAmount, roundCurrency } = require('./currency');
+
+// Thrown when a coupon cannot be applied, so a transaction in progress is rolled back
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Order lines a restricted coupon applies to: listed products, or products in a listed
+// category or any of its subcategories. Unrestricted coupons apply to every line.
+const getEligibleLines = async (coupon, items, session) => {
+  const productIds = (coupon.applies_to?.products || []).map(String);
+  const categoryIds = (coupon.applies_to?.categories || []).map(String);
+
+  if (productIds.length === 0 && categoryIds.length === 0) {
+    return items;
+  }
+
+  const lineage = await getProductCategoryLineage(items.map(item => item.product), session || null);
+
+  return items.filter(item => {
+    if (productIds.includes(item.product.toString())) return true;
+    return (lineage.get(item.product.toString()) || []).some(id => categoryIds.includes(id));
+  });
+};
+
+// How many orders this customer (by account, or by email for guests) placed with the coupon
+const countCustomerRedemptions = (coupon, { customerId, email }, session) => {
+  const who = [];
+  if (customerId) who.push({ customerId });
+  if (email) who.push({ 'customer.email': email });
+  if (who.length === 0) return 0;
+
+  return Order.countDocuments({
+    'coupon.code': coupon.code,
+    status: { $ne: 'Cancelled' },
+    $or: who
+  }).session(session || null);
+};
+
+// Check a coupon against priced order items and work out the discount. Coupon amounts are
+// in the base currency and are converted when the items are priced in another currency.
+// Returns { coupon, discount, freeShipping, eligibleSubtotal } or { error }.
+const evaluateCoupon = async (code, { items, subtotal, shippingCost = 0, customerId, email, currency, session } = {}) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) }).session(session || null).lean();
+  const now = new Date();
+  const inOrderCurrency = (amount) => (currency ? convertAmount(amount, currency.base, currency) : amount);
+
+  if (!coupon || !coupon.is_active) {
+    return { error: 'Coupon code is not valid' };
+  }
+  if (coupon.starts_at && coupon.starts_at > now) {
+    return { error: 'Coupon is not active yet' };
+  }
+  if (coupon.ends_at && coupon.ends_at < now) {
+    return { error: 'Coupon has expired' };
+  }
+  if (coupon.usage_limit !== null && coupon.times_used >= coupon.usage_limit) {
+    return { error: 'Coupon has reached its usage limit' };
+  }
+  const minSubtotal = inOrderCurrency(coupon.min_subtotal || 0);
+  if (subtotal < minSubtotal) {
+    return { error: `Coupon requires a minimum subtotal of ${minSubtotal}` };
+  }
+  if (coupon.usage_limit_per_customer !== null) {
+    const used = await countCustomerRedemptions(coupon, { customerId, email }, session);
+    if (used >= coupon.usage_limit_per_customer) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  const eligibleLines = await getEligibleLines(coupon, items, session);
+  const eligibleSubtotal = roundMoney(eligibleLines.reduce((sum, item) => sum + item.lineTotal, 0));
+  if (eligibleSubtotal <= 0) {
+    return { error: 'Coupon does not apply to any items in this order' };
+  }
+
+  let discount = 0;
+  let freeShipping = false;
+  if (coupon.type === 'percentage') {
+    discount = eligibleSubtotal * (coupon.value / 100);
+    if (coupon.max_discount !== null) discount = Math.min(discount, inOrderCurrency(coupon.max_discount));
+  } else if (coupon.type === 'fixed') {
+    discount = inOrderCurrency(coupon.value);
+  } else if (coupon.type === 'free_shipping') {
+    freeShipping = true;
+  }
+
+  return {
+    coupon,
+    discount: currency
+      ? roundCurrency(Math.min(discount, eligibleSubtotal), currency)
+      : roundMoney(Math.min(discount, eligibleSubtotal)),
+    freeShipping,
+    shippingDiscount: freeShipping ? roundMoney(shippingCost) : 0,
+    eligibleSubtotal
+  };
+};
+
+// Count one redemption. The guard on times_used makes the global limit hold under
+// concurrency; inside a transaction it also serialises per-customer checks.
+const redeemCoupon = async (coupon, session) => {
+  const redeemed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      is_active: true,
+      $or: [
+        { usage_limit: null },
+        { $expr: { $lt: ['$times_used', '$usage_limit'] } }
+      ]
+    },
+    { $inc: { times_used: 1 } },
+    { new: true, session }
+  );
+
+  if (!redeemed) {
+    throw new CouponError('Coupon has reached its usage limit');
+  }
+  return redeemed;
+};
+
+// Snapshot of the applied coupon stored on the order
+const toOrderCoupon = (evaluation) => ({
+  coupon_id: evaluation.coupon._id,
+  code: evaluation.coupon.code,
+  type: evaluation.coupon.type,
+  value: evaluation.coupon.value,
+  discount: evaluation.discount,
+  freeShipping: evaluation.freeShipping
+});
+
+module.exports = {
+  CouponError,
+  normalizeCode,
+  evaluateCoupon,
+  redeemCoupon,
+  toOrderCoupon
+};
@@ -0,0 +1,162 @@
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Thrown for a currency that is neither the base currency nor in the exchange-rate table
+class CurrencyError extends Error {
+  constructor(currency) {
+    super(`Currency ${currency} is not supported`);
+    this.name = 'CurrencyError';
+    this.currency = currency;
+  }
+}
+
+// Currency product prices, shipping rates and coupon amounts are maintained in
+const getBaseCurrency = () => (process.env.BASE_CURRENCY || 'USD').trim().toUpperCase();
+
+const normalizeCurrency = (code) => String(code || '').trim().toUpperCase();
+
+// Everything needed to show amounts in one currency: its rate against the base currency,
+// its rounding rules and the rates of the other currencies (products may be priced in any).
+// No code means the base currency. Throws CurrencyError for unknown currencies.
+const getCurrencyContext = async (code, session) => {
+  const base = getBaseCurrency();
+  const currency = normalizeCurrency(code) || base;
+
+  const rates = await ExchangeRate.find({ is_active: true }).session(session || null).lean();
+  const rateMap = new Map(rates.map(entry => [entry.currency, entry]));
+  // The base currency converts 1:1 whatever the table says
+  rateMap.set(base, { decimals: 2, rounding_increment: null, rounding_mode: 'nearest', ...rateMap.get(base), currency: base, rate: 1 });
+
+  const target = rateMap.get(currency);
+  if (!target) {
+    throw new CurrencyError(currency);
+  }
+
+  return {
+    code: currency,
+    base,
+    rate: target.rate,
+    symbol: target.symbol,
+    decimals: target.decimals ?? 2,
+    rounding_increment: target.rounding_increment,
+    rounding_mode: target.rounding_mode || 'nearest',
+    rates: rateMap
+  };
+};
+
+// Round an amount by the currency's rules: to its decimals, or to a multiple of its increment
+const roundCurrency = (amount, currency) => {
+  const step = currency.rounding_increment || Math.pow(10, -currency.decimals);
+  const round = currency.rounding_mode === 'up'
+    ? Math.ceil
+    : currency.rounding_mode === 'down' ? Math.floor : Math.round;
+  // Trim float noise first, so 23.000000000000004 steps do not round up to 24
+  const units = round(Math.round((amount / step) * 1e6) / 1e6);
+  const places = Math.max(currency.decimals, (String(step).split('.')[1] || '').length);
+  return Number((units * step).toFixed(places));
+};
+
+// Convert an amount held in one currency (the base currency when not given) into the context currency
+const convertAmount = (amount, from, currency) => {
+  if (amount === null || amount === undefined) return amount;
+
+  const source = normalizeCurrency(from) || currency.base;
+  if (source === currency.code) return amount;
+
+  const sourceRate = currency.rates.get(source)?.rate;
+  if (!sourceRate) {
+    throw new CurrencyError(source);
+  }
+  return roundCurrency((amount / sourceRate) * currency.rate, currency);
+};
+
+// An amount in the context currency expressed in the base currency, unrounded, for
+// comparing against base-currency thresholds and filters
+const toBaseAmount = (amount, currency) => (currency.code === currency.base ? amount : amount / currency.rate);
+
+// Price and sale price of a product or variant in the context currency. An override for the
+// currency in source.prices wins; otherwise the stored prices are converted.
+const getLocalizedPrices = (source, sourceCurrency, currency) => {
+  const override = (source.prices || []).find(entry => normalizeCurrency(entry.currency) === currency.code);
+  if (override) {
+    return { price: override.price, sale_price: override.sale_price };
+  }
+  return {
+    price: convertAmount(source.price, sourceCurrency, currency),
+    sale_price: convertAmount(source.sale_price, sourceCurrency, currency)
+  };
+};
+
+// Whether a variant carries its own price in the context currency, rather than the product's
+const hasOwnPrice = (variant, currency) =>
+  typeof variant.price === 'number' ||
+  (variant.prices || []).some(entry => normalizeCurrency(entry.currency) === currency.code);
+
+// A (lean) product with its prices, and those of its priced variants, in the context currency
+const localizeProduct = (product, currency) => {
+  if (!product) return product;
+
+  return {
+    ...product,
+    ...getLocalizedPrices(product, product.currency, currency),
+    currency: currency.code,
+    variants: (product.variants || []).map(variant => (
+      hasOwnPrice(variant, currency)
+        ? { ...variant, ...getLocalizedPrices(variant, product.currency, currency) }
+        : variant
+    )),
+    pricing_currency: {
+      currency: currency.code,
+      base_currency: currency.base,
+      exchange_rate: currency.rate,
+      original_currency: product.currency || currency.base
+    }
+  };
+};
+
+// Currencies used by product data (its own currency and every price override, including
+// those on variants) that are neither the base currency nor in the exchange-rate table
+const findUnknownCurrencies = async (productData) => {
+  const codes = new Set();
+  if (productData.currency) codes.add(normalizeCurrency(productData.currency));
+  [productData, ...(Array.isArray(productData.variants) ? productData.variants : [])].forEach(source => {
+    (Array.isArray(source.prices) ? source.prices : []).forEach(entry => codes.add(normalizeCurrency(entry.currency)));
+  });
+  codes.delete(getBaseCurrency());
+  if (codes.size === 0) return [];
+
+  const known = await ExchangeRate.find({ currency: { $in: [...codes] }, is_active: true }).select('currency').lean();
+  const knownCodes = known.map(entry => entry.currency);
+  return [...codes].filter(code => !knownCodes.includes(code));
+};
+
+// Snapshot of the currency stored on an order
+const toOrderCurrency = (currency) => ({
+  currency: currency.code,
+  baseCurrency: currency.base,
+  exchangeRate: currency.rate
+});
+
+// Display an amount with its currency symbol, e.g. $1,234.50
+const formatMoney = (amount, currency) => {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount || 0);
+  } catch (error) {
+    return `${(amount || 0).toFixed(2)} ${currency}`;
+  }
+};
+
+module.exports = {
+  CurrencyError,
+  getBaseCurrency,
+  normalizeCurrency,
+  getCurrencyContext,
+  roundCurrency,
+  convertAmount,
+  toBaseAmount,
+  getLocalizedPrices,
+  hasOwnPrice,
+  localizeProduct,
+  findUnknownCurrencies,
+  toOrderCurrency,
+  formatMoney
+};
@@ -0,0 +1,138 @@
+// Built-in email templates. Admins can override any of them (EmailTemplate); deleting the
+// override brings the default back.
+//
+// {{path}} inserts a variable (HTML-escaped in html templates), {{{path}}} inserts it as is.
+// Unknown variables render as empty strings.
+const DEFAULT_TEMPLATES = {
+  order_confirmation: {
+    description: 'Sent to the customer when an order is placed',
+    subject: 'Order {{order.orderNumber}} confirmed',
+    text: [
+      'Hi {{customer.name}},',
+      '',
+      'Thanks for your order! We have received order {{order.orderNumber}} and will let you know when it ships.',
+      '',
+      '{{{items_text}}}',
+      '',
+      'Subtotal: {{order.subtotal}}',
+      'Discount: {{order.discount}}',
+      'Shipping: {{order.shippingCost}}',
+      'Tax: {{order.tax}}',
+      'Total: {{order.totalAmount}}',
+      '',
+      'Shipping to:',
+      '{{shippingAddress.street}}, {{shippingAddress.city}}, {{shippingAddress.state}} {{shippingAddress.zipCode}}, {{shippingAddress.country}}',
+      '',
+      '{{store.name}}'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{customer.name}},</p>',
+      '<p>Thanks for your order! We have received order <strong>{{order.orderNumber}}</strong> and will let you know when it ships.</p>',
+      '{{{items_html}}}',
+      '<p>Subtotal: {{order.subtotal}}<br>Discount: {{order.discount}}<br>Shipping: {{order.shippingCost}}<br>Tax: {{order.tax}}<br><strong>Total: {{order.totalAmount}}</strong></p>',
+      '<p>Shipping to:<br>{{shippingAddress.street}}<br>{{shippingAddress.city}}, {{shippingAddress.state}} {{shippingAddress.zipCode}}<br>{{shippingAddress.country}}</p>',
+      '<p>{{store.name}}</p>'
+    ].join('\n')
+  },
+  order_status_changed: {
+    description: 'Sent to the customer when their order moves to a new status',
+    subject: 'Order {{order.orderNumber}} is now {{order.status}}',
+    text: [
+      'Hi {{customer.name}},',
+      '',
+      'Your order {{order.orderNumber}} is now {{order.status}}.',
+      '{{order.statusNote}}',
+      '',
+      '{{store.name}}'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{customer.name}},</p>',
+      '<p>Your order <strong>{{order.orderNumber}}</strong> is now <strong>{{order.status}}</strong>.</p>',
+      '<p>{{order.statusNote}}</p>',
+      '<p>{{store.name}}</p>'
+    ].join('\n')
+  },
+  order_cancelled: {
+    description: 'Sent to the customer when their order is cancelled',
+    subject: 'Order {{order.orderNumber}} has been cancelled',
+    text: [
+      'Hi {{customer.name}},',
+      '',
+      'Your order {{order.orderNumber}} has been cancelled.',
+      '{{order.statusNote}}',
+      '',
+      'If you paid already, your refund of {{order.totalAmount}} will follow shortly.',
+      '',
+      '{{store.name}}'
+    ].join('\n'),
+    html: [
+      '<p>Hi {{customer.name}},</p>',
+      '<p>Your order <strong>{{order.orderNumber}}</strong> has been cancelled.</p>',
+      '<p>{{order.statusNote}}</p>',
+      '<p>If you paid already, your refund of {{order.totalAmount}} will follow shortly.</p>',
+      '<p>{{store.name}}</p>'
+    ].join('\n')
+  },
+  admin_new_order: {
+    description: 'Sent to ADMIN_NOTIFICATION_EMAILS when an order is placed',
+    subject: 'New order {{order.orderNumber}} ({{order.totalAmount}})',
+    text: [
+      'New order {{order.orderNumber}} from {{customer.name}} <{{customer.email}}>, {{customer.phone}}.',
+      'Payment: {{order.paymentMethod}}',
+      '',
+      '{{{items_text}}}',
+      '',
+      'Total: {{order.totalAmount}}',
+      '{{order.notes}}'
+    ].join('\n'),
+    html: [
+      '<p>New order <strong>{{order.orderNumber}}</strong> from {{customer.name}} &lt;{{customer.email}}&gt;, {{customer.phone}}.</p>',
+      '<p>Payment: {{order.paymentMethod}}</p>',
+      '{{{items_html}}}',
+      '<p><strong>Total: {{order.totalAmount}}</strong></p>',
+      '<p>{{order.notes}}</p>'
+    ].join('\n')
+  }
+};
+
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+// Variables every template can use
+const TEMPLATE_VARIABLES = [
+  'store.name', 'store.url',
+  'customer.name', 'customer.email', 'customer.phone',
+  'order.orderNumber', 'order.status', 'order.previousStatus', 'order.statusNote', 'order.createdAt',
+  'order.subtotal', 'order.discount', 'order.shippingCost', 'order.tax', 'order.totalAmount',
+  'order.currency', 'order.paymentMethod', 'order.shippingMethod', 'order.couponCode', 'order.notes',
+  'shippingAddress.street', 'shippingAddress.city', 'shippingAddress.state',
+  'shippingAddress.zipCode', 'shippingAddress.country',
+  'items_text', 'items_html'
+];
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const lookup = (variables, path) => path.split('.').reduce(
+  (value, key) => (value === null || value === undefined ? undefined : value[key]),
+  variables
+);
+
+// Fill in a template string. html escapes {{ }} values; {{{ }}} is never escaped.
+const renderTemplate = (template, variables, { html = false } = {}) => String(template || '')
+  .replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawPath, path) => {
+    const value = lookup(variables, rawPath || path);
+    if (value === null || value === undefined) return '';
+    return html && !rawPath ? escapeHtml(value) : String(value);
+  });
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KEYS,
+  TEMPLATE_VARIABLES,
+  escapeHtml,
+  renderTemplate
+};
@@ -0,0 +1,164 @@
+const Product = require('../models/Product');
+
+// Thrown inside a transaction when one or more items cannot be reserved,
+// so the whole order is rolled back and every shortage is reported at once
+class InsufficientStockError extends Error {
+  constructor(shortages) {
+    super('Insufficient stock for one or more items');
+    this.name = 'InsufficientStockError';
+    this.shortages = shortages;
+  }
+}
+
+// Array filter condition picking the variant an order item was placed against,
+// or null when the item is for a product without variants
+const getVariantCondition = (item) => {
+  if (item.variant_id) {
+    return { variant_id: item.variant_id };
+  }
+  if (item.sku && item.variantAttributes && item.variantAttributes.length > 0) {
+    return { sku: item.sku };
+  }
+  return null;
+};
+
+// Turn { field: value } into { 'variant.field': value } for arrayFilters
+const toArrayFilter = (condition) => {
+  const [[field, value]] = Object.entries(condition);
+  return { [`variant.${field}`]: value };
+};
+
+// Units left for an order item: the variant's own stock, or the product's
+const getAvailableStock = (product, item) => {
+  const condition = getVariantCondition(item);
+  if (!condition) {
+    return product.quantity_in_stock || 0;
+  }
+  const [[field, value]] = Object.entries(condition);
+  const variant = (product.variants || []).find(v => v[field] && v[field].toString() === value.toString());
+  return variant ? variant.quantity_in_stock || 0 : 0;
+};
+
+// A product is sold out when it (or, for variant products, every variant) has no stock left
+const isSoldOut = (product) => {
+  if (product.variants && product.variants.length > 0) {
+    return product.variants.every(variant => (variant.quantity_in_stock || 0) <= 0);
+  }
+  return (product.quantity_in_stock || 0) <= 0;
+};
+
+// Decrement stock for every order item, from the chosen variant when there is one.
+// Preorder products are not capped by stock on hand.
+// Must run inside a transaction: on shortage it throws after checking every item.
+// Returns the ids of products this sold out.
+const reserveStock = async (items, session) => {
+  const shortages = [];
+  const soldOut = [];
+
+  for (const item of items) {
+    const condition = getVariantCondition(item);
+    const inStock = condition
+      ? { variants: { $elemMatch: { ...condition, quantity_in_stock: { $gte: item.quantity } } } }
+      : { quantity_in_stock: { $gte: item.quantity } };
+    const update = condition
+      ? { $inc: { 'variants.$[variant].quantity_in_stock': -item.quantity } }
+      : { $inc: { quantity_in_stock: -item.quantity } };
+
+    const product = await Product.findOneAndUpdate(
+      {
+        _id: item.product,
+        $or: [
+          { stock_status: 'preorder' },
+          inStock
+        ]
+      },
+      update,
+      {
+        new: true,
+        session,
+        ...(condition && { arrayFilters: [toArrayFilter(condition)] })
+      }
+    ).select('name quantity_in_stock stock_status variants');
+
+    if (!product) {
+      const current = await Product.findById(item.product)
+        .select('name quantity_in_stock variants')
+        .session(session)
+        .lean();
+      const available = Math.max(0, current ? getAvailableStock(current, item) : 0);
+      const label = [current?.name || item.productName, item.sku].filter(Boolean).join(' - ');
+      shortages.push({
+        product: item.product,
+        productName: current?.name || item.productName,
+        variant_id: item.variant_id,
+        sku: item.sku,
+        requested: item.quantity,
+        available,
+        message: `Only ${available} of ${label} left in stock`
+      });
+      continue;
+    }
+
+    if (isSoldOut(product) && product.stock_status === 'in_stock') {
+      await Product.updateOne(
+        { _id: product._id },
+        { stock_status: 'out_of_stock' },
+        { session }
+      );
+      soldOut.push(product._id);
+    }
+  }
+
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+
+  return soldOut;
+};
+
+// Put stock back for every order item and bring sold-out products back in stock
+const releaseStock = async (items, session) => {
+  for (const item of items) {
+    const condition = getVariantCondition(item);
+    const update = condition
+      ? { $inc: { 'variants.$[variant].quantity_in_stock': item.quantity } }
+      : { $inc: { quantity_in_stock: item.quantity } };
+
+    const product = await Product.findOneAndUpdate(
+      { _id: item.product },
+      update,
+      {
+        new: true,
+        session,
+        ...(condition && { arrayFilters: [toArrayFilter(condition)] })
+      }
+    ).select('quantity_in_stock stock_status variants');
+
+    if (product && !isSoldOut(product) && product.stock_status === 'out_of_stock') {
+      await Product.updateOne(
+        { _id: product._id },
+        { stock_status: 'in_stock' },
+        { session }
+      );
+    }
+  }
+};
+
+// Keep an order's stock reservation in line with the status it is moving to: cancelling
+// releases the reserved stock. Cancelled orders can only move on to Refunded, which leaves
+// stock alone, so nothing is ever reserved again here.
+const syncOrderStock = async (order, nextStatus, session) => {
+  if (nextStatus === 'Cancelled' && order.stockReserved) {
+    await releaseStock(order.items, session);
+    order.stockReserved = false;
+  }
+};
+
+module.exports = {
+  InsufficientStockError,
+  getAvailableStock,
+  isSoldOut,
+  reserveStock,
+  releaseStock,
+  syncOrderStock
+};
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+
+const INVOICE_COUNTER = 'invoice';
+
+const getInvoicePrefix = () => process.env.INVOICE_PREFIX || 'INV-';
+
+const formatInvoiceNumber = (seq) => `${getInvoicePrefix()}${String(seq).padStart(6, '0')}`;
+
+// Statuses an order cannot be invoiced in
+const NON_INVOICEABLE_STATUSES = ['Cancelled'];
+
+// Give every order that has no invoice number yet the next one, in the order the ids are
+// given; cancelled orders are skipped. Numbers come from their own counter, separate from
+// order numbers, and are taken in the same transaction that stores them, so the sequence
+// never skips or repeats a number.
+const assignInvoiceNumbers = async (orderIds) => {
+  await mongoose.connection.transaction(async (session) => {
+    const unnumbered = await Order.find({
+      _id: { $in: orderIds },
+      invoiceNumber: null,
+      status: { $nin: NON_INVOICEABLE_STATUSES }
+    })
+      .select('_id')
+      .session(session)
+      .lean();
+    const pending = new Set(unnumbered.map(order => order._id.toString()));
+    const ids = [...new Set(orderIds.map(id => id.toString()))].filter(id => pending.has(id));
+    if (ids.length === 0) return;
+
+    const counter = await Counter.findOneAndUpdate(
+      { _id: INVOICE_COUNTER },
+      { $inc: { seq: ids.length } },
+      { new: true, upsert: true, session }
+    );
+    const first = counter.seq - ids.length + 1;
+    const invoicedAt = new Date();
+
+    for (const [index, id] of ids.entries()) {
+      await Order.updateOne(
+        { _id: id },
+        { invoiceNumber: formatInvoiceNumber(first + index), invoicedAt },
+        { session }
+      );
+    }
+  });
+};
+
+module.exports = {
+  NON_INVOICEABLE_STATUSES,
+  formatInvoiceNumber,
+  assignInvoiceNumbers
+};
@@ -0,0 +1,102 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transports by name. A transport factory returns an object with
+//   send({ from, to, subject, text, html }) -> { messageId, ... }
+// The one used is MAIL_TRANSPORT, or smtp when SMTP_HOST is set. Outside production it
+// falls back to console; in production nothing is sent until a transport is configured.
+const transportFactories = new Map();
+const transports = new Map();
+
+const registerMailTransport = (name, factory) => {
+  transportFactories.set(name, factory);
+  transports.delete(name);
+};
+
+// Real delivery through an SMTP server
+registerMailTransport('smtp', () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    // Keep a slow mail server from holding up the request behind the email
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 15000
+  });
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+});
+
+// Writes each message as an .eml file (MAIL_FILE_DIR, default ./tmp/mail) for local development
+registerMailTransport('file', () => {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  const directory = path.resolve(process.env.MAIL_FILE_DIR || path.join('tmp', 'mail'));
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      const file = path.join(directory, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(file, info.message);
+      return { messageId: info.messageId, file };
+    }
+  };
+});
+
+// Prints each message to the server log. Development only: messages hold customers'
+// names, addresses and orders, which must not end up in production logs.
+registerMailTransport('console', () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The console mail transport is not available in production');
+  }
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      console.log(`📧 Email to ${[].concat(message.to).join(', ')}: ${message.subject}\n${message.text}`);
+      return { messageId: info.messageId };
+    }
+  };
+});
+
+const getDefaultTransportName = () => {
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? '' : 'console';
+};
+
+const getTransportName = () => (process.env.MAIL_TRANSPORT || getDefaultTransportName())
+  .trim()
+  .toLowerCase();
+
+const getMailFrom = () => process.env.MAIL_FROM || `${process.env.STORE_NAME || 'Store'} <no-reply@localhost>`;
+
+// Send one email through the configured transport. Returns { transport, messageId };
+// throws when the transport is unknown or the send fails.
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = getTransportName();
+  if (!name) {
+    throw new Error('No mail transport is configured; set SMTP_HOST or MAIL_TRANSPORT');
+  }
+  if (!transports.has(name)) {
+    const factory = transportFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transports.set(name, factory());
+  }
+
+  const result = await transports.get(name).send({ from: getMailFrom(), to, subject, text, html });
+  return { transport: name, ...result };
+};
+
+module.exports = {
+  registerMailTransport,
+  getTransportName,
+  sendMail
+};
@@ -0,0 +1,262 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const NotificationLog = require('../models/NotificationLog');
+const { DEFAULT_TEMPLATES, escapeHtml, renderTemplate } = require('./emailTemplates');
+const { getTransportName, sendMail } = require('./mailer');
+const { getBaseCurrency, formatMoney } = require('./currency');
+const { getStoreDetails } = require('./store');
+
+// Minutes to wait before each retry of a queued email; it is marked failed once these run out
+const RETRY_DELAYS_MINUTES = [1, 5, 30];
+
+// A queued email being sent is leased for this long, so two workers never send it at once
+const LEASE_MS = 60000;
+
+// Who gets the admin new-order alert; nobody when unset
+const getAdminRecipients = () => (process.env.ADMIN_NOTIFICATION_EMAILS || '')
+  .split(',')
+  .map(email => email.trim())
+  .filter(Boolean);
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// The template to send: the admin's override when there is one, otherwise the default
+const getTemplate = async (key) => {
+  const override = await EmailTemplate.findOne({ key }).lean();
+  if (override) {
+    return { ...override, customized: true };
+  }
+  return { key, ...DEFAULT_TEMPLATES[key], is_active: true, customized: false };
+};
+
+const describeItem = (item) => {
+  const options = [
+    ...(item.variantAttributes || []).map(attribute => attribute.attribute_value),
+    item.selectedSize,
+    item.selectedColor
+  ].filter(Boolean);
+  return options.length > 0 ? `${item.productName} (${options.join(', ')})` : item.productName;
+};
+
+// Variables for rendering a template about an order (see TEMPLATE_VARIABLES)
+const buildOrderVariables = (orderDoc, { previousStatus } = {}) => {
+  const order = toPlain(orderDoc);
+  const currency = order.currency || getBaseCurrency();
+  const money = (amount) => formatMoney(amount, currency);
+  const items = order.items || [];
+  const lastChange = (order.statusHistory || []).filter(entry => entry.status === order.status).pop();
+  const store = getStoreDetails();
+
+  return {
+    store: { name: store.name, url: store.url },
+    customer: order.customer || {},
+    shippingAddress: order.shippingAddress || {},
+    order: {
+      orderNumber: order.orderNumber,
+      status: order.status,
+      previousStatus,
+      statusNote: lastChange?.note || '',
+      createdAt: order.createdAt ? new Date(order.createdAt).toUTCString() : '',
+      subtotal: money(order.subtotal),
+      discount: money(order.discount),
+      shippingCost: money(order.shippingCost),
+      tax: money(order.tax),
+      totalAmount: money(order.totalAmount),
+      currency,
+      paymentMethod: order.paymentMethod,
+      shippingMethod: order.shippingMethod?.name || '',
+      couponCode: order.coupon?.code || '',
+      notes: order.orderNotes || ''
+    },
+    items_text: items
+      .map(item => `- ${item.quantity} x ${describeItem(item)}: ${money(item.lineTotal ?? item.price * item.quantity)}`)
+      .join('\n'),
+    items_html: [
+      '<table cellpadding="4" cellspacing="0" border="0">',
+      ...items.map(item => `<tr><td>${item.quantity} &times; ${escapeHtml(describeItem(item))}</td>` +
+        `<td align="right">${escapeHtml(money(item.lineTotal ?? item.price * item.quantity))}</td></tr>`),
+      '</table>'
+    ].join('\n')
+  };
+};
+
+const renderEmail = (template, variables) => ({
+  subject: renderTemplate(template.subject, variables),
+  text: renderTemplate(template.text, variables),
+  html: template.html ? renderTemplate(template.html, variables, { html: true }) : undefined
+});
+
+// Render and send one template about an order straight away (test sends) and log the
+// outcome against it. Never throws: a mail problem must not fail the request behind it. Returns the log entry,
+// or null when nothing was sent (template switched off or no recipient).
+const sendOrderEmail = async (key, order, { to, previousStatus } = {}) => {
+  const recipients = [].concat(to || order.customer?.email || []).filter(Boolean);
+  const entry = { order: order._id, template: key, to: recipients };
+
+  try {
+    const template = await getTemplate(key);
+    if (!template.is_active || recipients.length === 0) return null;
+
+    const email = renderEmail(template, buildOrderVariables(order, { previousStatus }));
+    entry.subject = email.subject;
+
+    const result = await sendMail({ to: recipients, ...email });
+    Object.assign(entry, { status: 'sent', transport: result.transport, message_id: result.messageId, sent_at: new Date() });
+  } catch (error) {
+    console.error(`Error sending ${key} email:`, error);
+    Object.assign(entry, { status: 'failed', transport: getTransportName(), error: error.message });
+  }
+
+  try {
+    return await NotificationLog.create(entry);
+  } catch (error) {
+    console.error('Error logging notification:', error);
+    return null;
+  }
+};
+
+// Claim a due queued email, send it and record the outcome: sent, scheduled for the next
+// retry, or failed once the retries run out. Returns the updated log entry, or null when
+// it was not due (or another worker has it).
+const deliverNotification = async (logId) => {
+  const log = await NotificationLog.findOneAndUpdate(
+    { _id: logId, status: 'queued', next_attempt_at: { $lte: new Date() } },
+    { next_attempt_at: new Date(Date.now() + LEASE_MS) },
+    { new: true }
+  ).select('+text +html').lean();
+  if (!log) return null;
+
+  let update;
+  try {
+    const result = await sendMail({ to: log.to, subject: log.subject, text: log.text, html: log.html });
+    update = {
+      $set: {
+        status: 'sent',
+        transport: result.transport,
+        message_id: result.messageId,
+        sent_at: new Date(),
+        next_attempt_at: null
+      },
+      $unset: { text: 1, html: 1, error: 1 }
+    };
+  } catch (error) {
+    console.error(`Error sending ${log.template} email:`, error);
+    const retryDelay = RETRY_DELAYS_MINUTES[log.attempt_count];
+    const outcome = { transport: getTransportName(), error: error.message };
+    update = retryDelay !== undefined
+      ? { $set: { ...outcome, next_attempt_at: new Date(Date.now() + retryDelay * 60 * 1000) } }
+      : { $set: { ...outcome, status: 'failed', next_attempt_at: null }, $unset: { text: 1, html: 1 } };
+  }
+  update.$inc = { attempt_count: 1 };
+
+  return NotificationLog.findByIdAndUpdate(log._id, update, { new: true }).lean();
+};
+
+// Render a template about an order and queue it, then try to send it without waiting, so
+// a slow mail server never holds up the request behind the email. Never throws. Returns
+// the log entry, or null when nothing was queued (template switched off or no recipient).
+const queueOrderEmail = async (key, order, { to, previousStatus } = {}) => {
+  const recipients = [].concat(to || order.customer?.email || []).filter(Boolean);
+
+  try {
+    const template = await getTemplate(key);
+    if (!template.is_active || recipients.length === 0) return null;
+
+    const email = renderEmail(template, buildOrderVariables(order, { previousStatus }));
+    const log = await NotificationLog.create({
+      order: order._id,
+      template: key,
+      to: recipients,
+      ...email,
+      status: 'queued',
+      next_attempt_at: new Date()
+    });
+
+    deliverNotification(log._id).catch(error => console.error(`Error sending ${key} email:`, error));
+    return log;
+  } catch (error) {
+    console.error(`Error queueing ${key} email:`, error);
+    return null;
+  }
+};
+
+// Send every queued email that is due. Serverless deployments have no background timer and
+// may be frozen before an email goes out, so a scheduler (e.g. a cron job) should call
+// POST /api/notifications/process every minute or so. Returns how each one ended up.
+const processQueuedNotifications = async ({ limit = 50 } = {}) => {
+  const due = await NotificationLog.find({ status: 'queued', next_attempt_at: { $lte: new Date() } })
+    .sort({ next_attempt_at: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  const summary = { processed: 0, sent: 0, failed: 0, retrying: 0 };
+  for (const { _id } of due) {
+    const log = await deliverNotification(_id);
+    if (!log) continue;
+
+    summary.processed += 1;
+    if (log.status === 'sent') summary.sent += 1;
+    else if (log.status === 'failed') summary.failed += 1;
+    else summary.retrying += 1;
+  }
+
+  return summary;
+};
+
+// Send queued emails in the background on long-running servers
+const startNotificationWorker = (intervalMs = 60000) => {
+  const timer = setInterval(() => {
+    processQueuedNotifications().catch(error => console.error('Error sending queued emails:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Confirmation to the customer and the alert to the shop's admins
+const notifyOrderPlaced = (order) => Promise.all([
+  queueOrderEmail('order_confirmation', order),
+  getAdminRecipients().length > 0
+    ? queueOrderEmail('admin_new_order', order, { to: getAdminRecipients() })
+    : null
+]);
+
+const notifyOrderStatusChanged = (order, previousStatus) => queueOrderEmail(
+  order.status === 'Cancelled' ? 'order_cancelled' : 'order_status_changed',
+  order,
+  { previousStatus }
+);
+
+// Stand-in order for previewing and test-sending templates
+const buildSampleOrder = () => ({
+  orderNumber: 'ORD-SAMPLE-0001',
+  status: 'Shipped',
+  statusHistory: [{ status: 'Shipped', note: 'Tracking number 1Z999AA10123456784' }],
+  createdAt: new Date(),
+  customer: { name: 'Jane Doe', email: 'jane@example.com', phone: '+1 555 0100' },
+  shippingAddress: { street: '1 Main St', city: 'Springfield', state: 'IL', zipCode: '62701', country: 'United States' },
+  items: [
+    { productName: 'Classic Tee', selectedSize: 'M', selectedColor: 'Black', quantity: 2, price: 20, lineTotal: 40 },
+    { productName: 'Denim Jacket', quantity: 1, price: 80, lineTotal: 80 }
+  ],
+  currency: getBaseCurrency(),
+  subtotal: 120,
+  discount: 10,
+  shippingCost: 5,
+  tax: 9.6,
+  totalAmount: 124.6,
+  paymentMethod: 'card',
+  orderNotes: 'Please leave at the door'
+});
+
+module.exports = {
+  getTemplate,
+  buildOrderVariables,
+  renderEmail,
+  sendOrderEmail,
+  queueOrderEmail,
+  processQueuedNotifications,
+  startNotificationWorker,
+  notifyOrderPlaced,
+  notifyOrderStatusChanged,
+  buildSampleOrder
+};
@@ -0,0 +1,242 @@
+const PDFDocument = require('pdfkit');
+const { getBaseCurrency, formatMoney } = require('./currency');
+const { getStoreDetails } = require('./store');
+
+// Printable documents per order
+const DOCUMENT_TYPES = ['invoice', 'packing_slip'];
+
+const PAGE_MARGIN = 50;
+const CELL_PADDING = 4;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const describeVariant = (item) => [
+  ...(item.variantAttributes || []).map(attribute => `${attribute.attribute_name}: ${attribute.attribute_value}`),
+  item.selectedSize && `Size: ${item.selectedSize}`,
+  item.selectedColor && `Color: ${item.selectedColor}`
+].filter(Boolean).join(', ');
+
+const describeItem = (item) => {
+  const variant = describeVariant(item);
+  return variant ? `${item.productName}\n${variant}` : item.productName;
+};
+
+const addressLines = (address = {}) => [
+  address.street,
+  [address.city, [address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+  address.country
+].filter(Boolean);
+
+// Store details on the left, document title and reference numbers on the right
+const drawHeader = (doc, title, references) => {
+  const store = getStoreDetails();
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const rightWidth = 220;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(store.name, PAGE_MARGIN, PAGE_MARGIN, { width: width - rightWidth });
+  doc.font('Helvetica').fontSize(9);
+  [...store.address, store.email, store.phone, store.taxId && `Tax ID: ${store.taxId}`]
+    .filter(Boolean)
+    .forEach(line => doc.text(line, { width: width - rightWidth }));
+  const leftBottom = doc.y;
+
+  const rightX = PAGE_MARGIN + width - rightWidth;
+  doc.font('Helvetica-Bold').fontSize(16).text(title, rightX, PAGE_MARGIN, { width: rightWidth, align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  references.filter(([, value]) => value).forEach(([label, value]) => {
+    doc.text(`${label}: ${value}`, rightX, doc.y, { width: rightWidth, align: 'right' });
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+// Side-by-side blocks, e.g. "Bill to" and "Ship to"
+const drawBlocks = (doc, blocks) => {
+  const top = doc.y;
+  const width = (doc.page.width - PAGE_MARGIN * 2) / blocks.length;
+  let bottom = top;
+
+  blocks.forEach(([heading, lines], index) => {
+    const x = PAGE_MARGIN + index * width;
+    doc.font('Helvetica-Bold').fontSize(10).text(heading, x, top, { width: width - 10 });
+    doc.font('Helvetica').fontSize(9);
+    lines.filter(Boolean).forEach(line => doc.text(line, x, doc.y, { width: width - 10 }));
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = bottom + 20;
+};
+
+const drawRow = (doc, columns, cells, { bold = false } = {}) => {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  const height = Math.max(...columns.map((column, index) => doc.heightOfString(cells[index], {
+    width: column.width - CELL_PADDING * 2
+  }))) + CELL_PADDING * 2;
+
+  // Start a new page (with the column headings again) when the row does not fit
+  if (!bold && doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    drawRow(doc, columns, columns.map(column => column.header), { bold: true });
+    doc.font('Helvetica').fontSize(9);
+  }
+
+  const top = doc.y;
+  let x = PAGE_MARGIN;
+  columns.forEach((column, index) => {
+    doc.text(cells[index], x + CELL_PADDING, top + CELL_PADDING, {
+      width: column.width - CELL_PADDING * 2,
+      align: column.align || 'left'
+    });
+    x += column.width;
+  });
+
+  doc.moveTo(PAGE_MARGIN, top + height).lineTo(x, top + height).lineWidth(bold ? 1 : 0.5).strokeColor('#999999').stroke();
+  doc.x = PAGE_MARGIN;
+  doc.y = top + height;
+};
+
+const drawTable = (doc, columns, rows) => {
+  drawRow(doc, columns, columns.map(column => column.header), { bold: true });
+  rows.forEach(row => drawRow(doc, columns, row));
+  doc.moveDown(1);
+};
+
+// Label/amount pairs aligned to the right edge; the last one in bold
+const drawTotals = (doc, lines) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const labelWidth = 180;
+  const valueWidth = 90;
+  const x = PAGE_MARGIN + width - labelWidth - valueWidth;
+
+  if (doc.y + lines.length * 14 > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+
+  lines.forEach(([label, value], index) => {
+    const top = doc.y;
+    doc.font(index === lines.length - 1 ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, x, top, { width: labelWidth, align: 'right' });
+    doc.text(value, x + labelWidth, top, { width: valueWidth, align: 'right' });
+    doc.y = Math.max(doc.y, top + 14);
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.moveDown(1);
+};
+
+const renderInvoice = (doc, order) => {
+  const currency = order.currency || getBaseCurrency();
+  const money = (amount) => formatMoney(amount, currency);
+
+  drawHeader(doc, 'INVOICE', [
+    ['Invoice', order.invoiceNumber],
+    ['Invoice date', formatDate(order.invoicedAt)],
+    ['Order', order.orderNumber],
+    ['Order date', formatDate(order.createdAt)],
+    ['Payment', [order.paymentMethod, order.paymentStatus].filter(Boolean).join(' / ')]
+  ]);
+
+  drawBlocks(doc, [
+    ['Bill to', [order.customer?.name, order.customer?.email, order.customer?.phone]],
+    ['Ship to', [order.customer?.name, ...addressLines(order.shippingAddress)]]
+  ]);
+
+  drawTable(doc, [
+    { header: 'Item', width: 205 },
+    { header: 'SKU', width: 90 },
+    { header: 'Qty', width: 40, align: 'right' },
+    { header: 'Unit price', width: 75, align: 'right' },
+    { header: 'Total', width: 85, align: 'right' }
+  ], (order.items || []).map(item => [
+    describeItem(item),
+    item.sku || '',
+    String(item.quantity),
+    money(item.price),
+    money(item.lineTotal ?? item.price * item.quantity)
+  ]));
+
+  const totals = [['Subtotal', money(order.subtotal)]];
+  if (order.discount > 0) {
+    totals.push([order.coupon?.code ? `Discount (${order.coupon.code})` : 'Discount', `-${money(order.discount)}`]);
+  }
+  totals.push([order.shippingMethod?.name ? `Shipping (${order.shippingMethod.name})` : 'Shipping', money(order.shippingCost)]);
+
+  const rates = order.taxBreakdown?.rates || [];
+  if (rates.length > 0) {
+    rates.forEach(rate => {
+      totals.push([
+        `${rate.name} (${rate.rate}%)${rate.inclusive ? ' incl.' : ''}`,
+        money(rate.amount)
+      ]);
+    });
+  } else if (order.tax > 0) {
+    totals.push(['Tax', money(order.tax)]);
+  }
+  if (order.refundedAmount > 0) {
+    totals.push(['Refunded', `-${money(order.refundedAmount)}`]);
+  }
+  totals.push([`Total (${currency})`, money(order.totalAmount)]);
+  drawTotals(doc, totals);
+
+  if (order.taxIncluded > 0) {
+    doc.font('Helvetica').fontSize(8).text(`Prices include ${money(order.taxIncluded)} tax.`);
+  }
+};
+
+const renderPackingSlip = (doc, order) => {
+  const items = order.items || [];
+
+  drawHeader(doc, 'PACKING SLIP', [
+    ['Order', order.orderNumber],
+    ['Order date', formatDate(order.createdAt)],
+    ['Shipping', order.shippingMethod?.name]
+  ]);
+
+  drawBlocks(doc, [
+    ['Ship to', [order.customer?.name, ...addressLines(order.shippingAddress), order.customer?.phone]],
+    ['Order notes', [order.orderNotes || 'None']]
+  ]);
+
+  drawTable(doc, [
+    { header: 'Item', width: 255 },
+    { header: 'SKU', width: 110 },
+    { header: 'Qty', width: 50, align: 'right' },
+    { header: 'Packed', width: 80, align: 'center' }
+  ], items.map(item => [describeItem(item), item.sku || '', String(item.quantity), '[   ]']));
+
+  drawTotals(doc, [
+    ['Units', String(items.reduce((sum, item) => sum + item.quantity, 0))]
+  ]);
+};
+
+const RENDERERS = {
+  invoice: renderInvoice,
+  packing_slip: renderPackingSlip
+};
+
+// Stream one PDF with the given document for each order, each starting on a new page
+const streamOrderDocuments = (res, orders, type, filename) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    info: { Title: filename, Author: getStoreDetails().name }
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  doc.pipe(res);
+
+  orders.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    RENDERERS[type](doc, order);
+  });
+
+  doc.end();
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  streamOrderDocuments
+};
@@ -0,0 +1,27 @@
+const { emitEvent, emitOrderStatusChanged, emitProductsOutOfStock } = require('./webhooks');
+const { notifyOrderPlaced, notifyOrderStatusChanged } = require('./notifications');
+
+// Everything that follows a newly placed order: webhooks and emails. Run once the
+// order's transaction has committed; neither ever throws.
+const orderPlaced = async (order, { soldOut = [] } = {}) => {
+  await Promise.all([
+    emitEvent('order.created', { order: order.toObject() }),
+    emitProductsOutOfStock(soldOut),
+    notifyOrderPlaced(order)
+  ]);
+};
+
+// Everything that follows an order moving on from the status it had before
+const orderStatusChanged = async (order, from, actor) => {
+  if (!order || order.status === from) return;
+
+  await Promise.all([
+    emitOrderStatusChanged(order, from, actor),
+    notifyOrderStatusChanged(order, from)
+  ]);
+};
+
+module.exports = {
+  orderPlaced,
+  orderStatusChanged
+};
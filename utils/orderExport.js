@@ -0,0 +1,193 @@
+const ExcelJS = require('exceljs');
+const Order = require('../models/Order');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// 'order' writes one row per order; 'item' one row per order line, repeating the order columns
+const EXPORT_LAYOUTS = ['order', 'item'];
+
+const formatVariant = (item) => [
+  ...(item.variantAttributes || []).map(attribute => `${attribute.attribute_name}: ${attribute.attribute_value}`),
+  item.selectedSize && `Size: ${item.selectedSize}`,
+  item.selectedColor && `Color: ${item.selectedColor}`
+].filter(Boolean).join(', ');
+
+// Columns available in both layouts
+const ORDER_COLUMNS = {
+  orderNumber: { header: 'Order number', value: order => order.orderNumber },
+  invoiceNumber: { header: 'Invoice number', value: order => order.invoiceNumber },
+  createdAt: { header: 'Order date', value: order => order.createdAt, type: 'date' },
+  status: { header: 'Status', value: order => order.status },
+  paymentMethod: { header: 'Payment method', value: order => order.paymentMethod },
+  paymentStatus: { header: 'Payment status', value: order => order.paymentStatus },
+  customerName: { header: 'Customer name', value: order => order.customer?.name },
+  customerEmail: { header: 'Customer email', value: order => order.customer?.email },
+  customerPhone: { header: 'Customer phone', value: order => order.customer?.phone },
+  customerId: { header: 'Customer id', value: order => order.customerId },
+  street: { header: 'Street', value: order => order.shippingAddress?.street },
+  city: { header: 'City', value: order => order.shippingAddress?.city },
+  state: { header: 'State', value: order => order.shippingAddress?.state },
+  zipCode: { header: 'Zip code', value: order => order.shippingAddress?.zipCode },
+  country: { header: 'Country', value: order => order.shippingAddress?.country },
+  itemCount: { header: 'Units', value: order => (order.items || []).reduce((sum, item) => sum + item.quantity, 0), type: 'number' },
+  subtotal: { header: 'Subtotal', value: order => order.subtotal, type: 'number' },
+  discount: { header: 'Discount', value: order => order.discount, type: 'number' },
+  couponCode: { header: 'Coupon', value: order => order.coupon?.code },
+  shippingCost: { header: 'Shipping', value: order => order.shippingCost, type: 'number' },
+  shippingMethod: { header: 'Shipping method', value: order => order.shippingMethod?.name },
+  tax: { header: 'Tax', value: order => order.tax, type: 'number' },
+  taxIncluded: { header: 'Tax included', value: order => order.taxIncluded, type: 'number' },
+  totalAmount: { header: 'Total', value: order => order.totalAmount, type: 'number' },
+  refundedAmount: { header: 'Refunded', value: order => order.refundedAmount, type: 'number' },
+  currency: { header: 'Currency', value: order => order.currency },
+  exchangeRate: { header: 'Exchange rate', value: order => order.exchangeRate, type: 'number' },
+  orderNotes: { header: 'Notes', value: order => order.orderNotes }
+};
+
+// Extra columns for the item layout
+const ITEM_COLUMNS = {
+  productId: { header: 'Product id', value: (order, item) => item.product },
+  productName: { header: 'Product', value: (order, item) => item.productName },
+  sku: { header: 'SKU', value: (order, item) => item.sku },
+  variant: { header: 'Variant', value: (order, item) => formatVariant(item) },
+  quantity: { header: 'Quantity', value: (order, item) => item.quantity, type: 'number' },
+  unitPrice: { header: 'Unit price', value: (order, item) => item.price, type: 'number' },
+  listPrice: { header: 'List price', value: (order, item) => item.listPrice, type: 'number' },
+  lineTotal: { header: 'Line total', value: (order, item) => item.lineTotal ?? item.price * item.quantity, type: 'number' }
+};
+
+const DEFAULT_COLUMNS = {
+  order: [
+    'orderNumber', 'createdAt', 'status', 'paymentMethod', 'paymentStatus', 'customerName',
+    'customerEmail', 'itemCount', 'subtotal', 'discount', 'shippingCost', 'tax', 'totalAmount', 'currency'
+  ],
+  item: [
+    'orderNumber', 'createdAt', 'status', 'customerName', 'productName', 'sku', 'variant',
+    'quantity', 'unitPrice', 'lineTotal', 'currency'
+  ]
+};
+
+const getAvailableColumns = (layout) => (layout === 'item'
+  ? { ...ORDER_COLUMNS, ...ITEM_COLUMNS }
+  : ORDER_COLUMNS);
+
+// Resolve ?columns=a,b into column definitions. Returns { columns } or { error }.
+const resolveColumns = (layout, requested) => {
+  const available = getAvailableColumns(layout);
+  const keys = requested && requested.length > 0 ? requested : DEFAULT_COLUMNS[layout];
+  const unknown = keys.filter(key => !available[key]);
+
+  if (unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(available).join(', ')}` };
+  }
+  return { columns: keys.map(key => ({ key, ...available[key] })) };
+};
+
+// Rows for one order in the chosen layout; ids and other objects become strings
+const toRows = (order, columns, layout) => {
+  const lines = layout === 'item' ? (order.items || []) : [null];
+  return lines.map(item => columns.map(column => {
+    const value = column.value(order, item);
+    if (value === undefined || value === null || value === '') return null;
+    return typeof value === 'object' && !(value instanceof Date) ? String(value) : value;
+  }));
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value === null) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== 'string') return String(value);
+
+  const text = FORMULA_PREFIX.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Wait for the response to drain when its buffer is full, so a slow client slows the
+// database cursor down instead of the rows piling up in memory
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.write(chunk)) return resolve();
+  const cleanup = () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+  };
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new Error('Client closed the connection'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+const writeCsv = async (res, cursor, columns, layout) => {
+  // Byte order mark so Excel reads the file as UTF-8
+  await writeChunk(res, `﻿${columns.map(column => toCsvCell(column.header)).join(',')}\r\n`);
+
+  for await (const order of cursor) {
+    const lines = toRows(order, columns, layout).map(row => row.map(toCsvCell).join(','));
+    if (lines.length > 0) {
+      await writeChunk(res, `${lines.join('\r\n')}\r\n`);
+    }
+  }
+  res.end();
+};
+
+const writeXlsx = async (res, cursor, columns, layout) => {
+  // The streaming writer flushes each committed row, keeping memory flat
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet('Orders');
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+    style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+  }));
+
+  for await (const order of cursor) {
+    toRows(order, columns, layout).forEach(row => {
+      sheet.addRow(row).commit();
+    });
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+// Stream every order matching the filter, oldest first, as CSV or XLSX. Orders are read
+// through a cursor in batches, so exports of any size run in constant memory.
+const streamOrderExport = async (res, { filter, format, layout, columns }) => {
+  const cursor = Order.find(filter)
+    .select('-statusHistory -taxBreakdown -payment')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor({ batchSize: 500 });
+
+  const filename = `orders-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', format === 'csv'
+    ? 'text/csv; charset=utf-8'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'csv') {
+      await writeCsv(res, cursor, columns, layout);
+    } else {
+      await writeXlsx(res, cursor, columns, layout);
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_LAYOUTS,
+  resolveColumns,
+  streamOrderExport
+};
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { getLocalizedPrices, hasOwnPrice } = require('./currency');
+
+// Client totals may differ from ours by floating point noise, nothing more
+const PRICE_TOLERANCE = 0.01;
+
+// Round a money amount to cents
+const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+// Effective unit price: the sale price wins when it is set and actually lower
+const getUnitPrice = (product) => {
+  const hasSale = typeof product.sale_price === 'number' &&
+    product.sale_price > 0 &&
+    product.sale_price < product.price;
+  return hasSale ? product.sale_price : product.price;
+};
+
+// Read an attribute value (case-insensitive name) from an attributes array
+const getAttributeValue = (attributes, name) => {
+  const match = (attributes || []).find(attr =>
+    attr.attribute_name && attr.attribute_name.toLowerCase() === name
+  );
+  return match ? match.attribute_value : undefined;
+};
+
+// Find the variant an order item refers to: by variant_id, then sku, then by
+// the legacy selectedSize/selectedColor pair when exactly one variant matches.
+// Returns { variant } or { error } with a message for the shopper.
+const resolveVariant = (product, item) => {
+  const variants = product.variants || [];
+
+  if (item.variant_id) {
+    const variant = variants.find(v => v.variant_id && v.variant_id.toString() === item.variant_id.toString());
+    return variant ? { variant } : { error: `Variant ${item.variant_id} does not exist for ${product.name}` };
+  }
+
+  if (item.sku) {
+    const variant = variants.find(v => v.sku === item.sku);
+    return variant ? { variant } : { error: `SKU ${item.sku} does not exist for ${product.name}` };
+  }
+
+  if (variants.length === 0) {
+    return { variant: null };
+  }
+
+  if (item.selectedSize || item.selectedColor) {
+    const candidates = variants.filter(v => {
+      const size = getAttributeValue(v.attributes, 'size');
+      const color = getAttributeValue(v.attributes, 'color') || getAttributeValue(v.attributes, 'colour');
+      return (!item.selectedSize || size === item.selectedSize) &&
+        (!item.selectedColor || color === item.selectedColor);
+    });
+    if (candidates.length === 1) {
+      return { variant: candidates[0] };
+    }
+  }
+
+  return { error: `Please choose a variant of ${product.name}` };
+};
+
+// Price every order item against the Product collection, in options.currency (a currency
+// context) when given. Returns { items, lines, subtotal, errors } where items are ready
+// to store on the order and lines describe how each line total was worked out.
+const priceOrderItems = async (requestedItems, options = {}) => {
+  const errors = [];
+  const items = [];
+  const lines = [];
+
+  const productIds = requestedItems
+    .map(item => item.product)
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+  const products = await Product.find({ _id: { $in: productIds } })
+    .session(options.session || null)
+    .lean();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  requestedItems.forEach((item, index) => {
+    const quantity = Number(item.quantity);
+    const product = item.product && productMap.get(item.product.toString());
+
+    if (!product) {
+      errors.push({ index, product: item.product, message: 'Product not found' });
+      return;
+    }
+    if (!product.is_active) {
+      errors.push({ index, product: item.product, message: `${product.name} is no longer available` });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ index, product: item.product, message: 'Quantity must be a whole number of at least 1' });
+      return;
+    }
+
+    const { variant, error } = resolveVariant(product, item);
+    if (error) {
+      errors.push({ index, product: item.product, message: error });
+      return;
+    }
+
+    // Variants carry their own price; fall back to the product's when unset.
+    // With a currency, prices come from its override or are converted into it.
+    const { currency } = options;
+    const ownPrice = variant && (currency ? hasOwnPrice(variant, currency) : typeof variant.price === 'number');
+    const source = ownPrice ? variant : product;
+    const priceSource = currency ? getLocalizedPrices(source, product.currency, currency) : source;
+    const listPrice = roundMoney(priceSource.price);
+    const unitPrice = roundMoney(getUnitPrice(priceSource));
+    const lineTotal = roundMoney(unitPrice * quantity);
+
+    const variantAttributes = variant ? (variant.attributes || []) : [];
+    items.push({
+      product: product._id,
+      productName: product.name,
+      price: unitPrice,
+      listPrice,
+      variant_id: variant ? variant.variant_id : undefined,
+      sku: variant ? variant.sku : product.sku,
+      variantAttributes,
+      selectedSize: item.selectedSize || getAttributeValue(variantAttributes, 'size'),
+      selectedColor: item.selectedColor || getAttributeValue(variantAttributes, 'color') || getAttributeValue(variantAttributes, 'colour'),
+      quantity,
+      lineTotal,
+    });
+
+    const line = {
+      product: product._id,
+      productName: product.name,
+      sku: variant ? variant.sku : product.sku,
+      listPrice,
+      unitPrice,
+      salePriceApplied: unitPrice < listPrice,
+      quantity,
+      lineTotal,
+    };
+    if (item.price !== undefined && Math.abs(roundMoney(item.price) - unitPrice) > PRICE_TOLERANCE) {
+      line.submittedPrice = roundMoney(item.price);
+    }
+    lines.push(line);
+  });
+
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+
+  return { items, lines, subtotal, errors };
+};
+
+// Work out the order totals from priced items plus the order level charges and discount.
+// Returns the totals to store on the order and a breakdown for the response.
+const computeOrderTotals = (pricedItems, charges = {}) => {
+  const subtotal = pricedItems.subtotal;
+  const discount = roundMoney(Math.min(subtotal, Math.max(0, Number(charges.discount) || 0)));
+  const shippingCost = charges.freeShipping
+    ? 0
+    : roundMoney(Math.max(0, Number(charges.shippingCost) || 0));
+  const tax = roundMoney(Math.max(0, Number(charges.tax) || 0));
+  const totalAmount = roundMoney(subtotal - discount + shippingCost + tax);
+
+  return {
+    totals: { subtotal, discount, shippingCost, tax, totalAmount },
+    breakdown: {
+      lines: pricedItems.lines,
+      subtotal,
+      discount,
+      shippingCost,
+      tax,
+      totalAmount,
+      formula: 'subtotal - discount + shippingCost + tax',
+    },
+  };
+};
+
+// Compare client supplied totals with ours and list every field that disagrees
+const findTotalMismatches = (submitted, totals) => {
+  return ['subtotal', 'totalAmount']
+    .filter(field => submitted[field] !== undefined && submitted[field] !== null && submitted[field] !== '')
+    .filter(field => Math.abs(roundMoney(submitted[field]) - totals[field]) > PRICE_TOLERANCE)
+    .map(field => ({ field, submitted: roundMoney(submitted[field]), actual: totals[field] }));
+};
+
+module.exports = {
+  PRICE_TOLERANCE,
+  roundMoney,
+  getUnitPrice,
+  getAttributeValue,
+  resolveVariant,
+  priceOrderItems,
+  computeOrderTotals,
+  findTotalMismatches
+};
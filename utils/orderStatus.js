@@ -0,0 +1,101 @@
+const { syncOrderStock } = require('./inventory');
+
+// Every status an order can be in, in lifecycle order.
+// 'Dispatched' is kept only so orders stored before 'Shipped' existed stay valid.
+const ORDER_STATUSES = [
+  'Pending',
+  'Processing',
+  'Shipped',
+  'Delivered',
+  'Cancelled',
+  'Returned',
+  'Refunded',
+  'Dispatched'
+];
+
+// Statuses an order may move to from each status. Anything not listed is rejected.
+const STATUS_TRANSITIONS = {
+  Pending: ['Processing', 'Shipped', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered', 'Returned'],
+  Dispatched: ['Delivered', 'Returned'],
+  Delivered: ['Returned', 'Refunded'],
+  Returned: ['Refunded'],
+  Cancelled: ['Refunded'],
+  Refunded: []
+};
+
+// Old clients still send 'Dispatched'
+const STATUS_ALIASES = {
+  Dispatched: 'Shipped'
+};
+
+class InvalidStatusTransitionError extends Error {
+  constructor(from, to) {
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    super(allowed.length > 0
+      ? `Cannot change order status from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+      : `Cannot change order status from ${from} to ${to}. ${from} is a final status`);
+    this.name = 'InvalidStatusTransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+// Map user input onto a canonical status, or null when it is not a status at all
+const normalizeStatus = (status) => {
+  const resolved = STATUS_ALIASES[status] || status;
+  return ORDER_STATUSES.includes(resolved) && resolved !== 'Dispatched' ? resolved : null;
+};
+
+const canTransition = (from, to) => (STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Describe who is making a change from the authenticated request
+const getActor = (req, fallbackType = 'system') => {
+  if (req.admin) {
+    return { type: 'admin', id: req.admin.id, name: req.admin.username };
+  }
+  if (req.customer) {
+    return { type: 'customer', id: req.customer.id, name: req.customer.email };
+  }
+  return { type: fallbackType };
+};
+
+// Append an entry to the order's status history
+const recordStatus = (order, status, { from = null, actor = { type: 'system' }, note } = {}) => {
+  order.statusHistory.push({
+    status,
+    from,
+    actor,
+    note,
+    changedAt: new Date()
+  });
+};
+
+// Move an order to a new status: checks the transition table, keeps stock in sync
+// and records the change. Call inside a transaction and save the order afterwards.
+const transitionOrderStatus = async (order, nextStatus, { actor, note, session } = {}) => {
+  const from = order.status;
+
+  if (!canTransition(from, nextStatus)) {
+    throw new InvalidStatusTransitionError(from, nextStatus);
+  }
+
+  await syncOrderStock(order, nextStatus, session);
+  order.status = nextStatus;
+  recordStatus(order, nextStatus, { from, actor, note });
+
+  return order;
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  STATUS_TRANSITIONS,
+  InvalidStatusTransitionError,
+  normalizeStatus,
+  canTransition,
+  getActor,
+  recordStatus,
+  transitionOrderStatus
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// A stand-in payment gateway for local development. Every call succeeds straight away
+// and payments are settled by simulated webhooks signed the same way a real gateway
+// signs them, so the whole flow (intent, webhook, capture, refund) runs without one.
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Signed webhooks older than this are rejected as replays
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Gateway event types and the payment event each one stands for
+const EVENT_TYPES = {
+  'payment_intent.authorized': 'authorized',
+  'payment_intent.succeeded': 'captured',
+  'payment_intent.payment_failed': 'failed',
+  'charge.refunded': 'refunded'
+};
+
+const getWebhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const computeSignature = (payload, timestamp) => crypto
+  .createHmac('sha256', getWebhookSecret())
+  .update(`${timestamp}.${payload}`)
+  .digest('hex');
+
+// Anyone can mark an order paid through the fake gateway, so it only runs when chosen as the
+// provider and explicitly allowed: PAYMENT_PROVIDER=fake and ALLOW_FAKE_PAYMENTS=1
+const isAllowed = () => (process.env.PAYMENT_PROVIDER || '').trim().toLowerCase() === 'fake'
+  && process.env.ALLOW_FAKE_PAYMENTS === '1';
+
+const isEnabled = () => isAllowed() && Boolean(getWebhookSecret());
+
+// Refuse to start with fake payments allowed but no webhook secret to sign them with
+if (isAllowed() && !getWebhookSecret()) {
+  throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET must be set when fake payments are allowed');
+}
+
+const createIntent = async ({ amount, currency, captureMethod }) => {
+  const id = newId('fake_pi');
+  return {
+    id,
+    status: 'pending',
+    amount,
+    currency,
+    captureMethod,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`
+  };
+};
+
+const capture = async (intentId, amount) => ({ status: 'captured', amount });
+
+const refund = async (intentId, amount) => ({ id: newId('fake_re'), status: 'succeeded', amount });
+
+// Check the signature header (t=<unix seconds>,v1=<hex hmac of "t.body">) and turn the
+// payload into a payment event. Returns null when the webhook cannot be trusted.
+const verifyWebhook = (rawBody, headers) => {
+  const header = headers[SIGNATURE_HEADER];
+  if (!rawBody || typeof header !== 'string') return null;
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isFinite(timestamp) || !parts.v1) return null;
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return null;
+
+  const expected = Buffer.from(computeSignature(rawBody.toString('utf8'), timestamp), 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  return {
+    id: payload.id,
+    type: EVENT_TYPES[payload.type] || null,
+    providerType: payload.type,
+    intentId: payload.data?.intent_id,
+    amount: payload.data?.amount,
+    refundId: payload.data?.refund_id,
+    failureReason: payload.data?.failure_reason
+  };
+};
+
+// Build the signed webhook the gateway would send once the shopper completes (or fails)
+// the payment. Returns { rawBody, headers } ready for the webhook handler.
+const simulatePayment = (intent, { outcome = 'succeed', failureReason } = {}) => {
+  let type = 'payment_intent.succeeded';
+  if (outcome === 'fail') {
+    type = 'payment_intent.payment_failed';
+  } else if (intent.captureMethod === 'manual') {
+    type = 'payment_intent.authorized';
+  }
+
+  const payload = JSON.stringify({
+    id: newId('fake_evt'),
+    type,
+    created: Math.floor(Date.now() / 1000),
+    data: {
+      intent_id: intent.id,
+      amount: intent.amount,
+      failure_reason: outcome === 'fail' ? (failureReason || 'Card declined') : undefined
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return {
+    rawBody: Buffer.from(payload),
+    headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${computeSignature(payload, timestamp)}` }
+  };
+};
+
+module.exports = {
+  name: 'fake',
+  isEnabled,
+  createIntent,
+  capture,
+  refund,
+  verifyWebhook,
+  simulatePayment
+};
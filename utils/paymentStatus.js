@@ -0,0 +1,32 @@
+// Every status an order's payment can be in
+const PAYMENT_STATUSES = ['pending', 'authorized', 'captured', 'failed', 'refunded'];
+
+// Statuses a payment may move to from each status. Provider webhooks can arrive out of
+// order, so anything not listed is ignored rather than applied.
+const PAYMENT_TRANSITIONS = {
+  pending: ['authorized', 'captured', 'failed'],
+  authorized: ['captured', 'failed'],
+  // A failed payment can be retried with a new intent
+  failed: ['pending', 'authorized', 'captured'],
+  captured: ['refunded'],
+  refunded: []
+};
+
+const canTransitionPayment = (from, to) => (PAYMENT_TRANSITIONS[from] || []).includes(to);
+
+// Move the order's payment to a new status. Returns whether it changed: a repeated or
+// disallowed status leaves the order alone.
+const setPaymentStatus = (order, status) => {
+  const from = order.paymentStatus || 'pending';
+  if (!canTransitionPayment(from, status)) return false;
+
+  order.paymentStatus = status;
+  return true;
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  PAYMENT_TRANSITIONS,
+  canTransitionPayment,
+  setPaymentStatus
+};
@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { roundMoney } = require('./orderPricing');
+const { setPaymentStatus } = require('./paymentStatus');
+const { emitEvent, toPlain } = require('./webhooks');
+const fakeProvider = require('./paymentProviders/fake');
+
+// Thrown when a payment action is rejected; status and details go straight into the response
+class PaymentError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Payment methods taken through a provider; cash on delivery is settled outside the app
+const PROVIDER_PAYMENT_METHODS = ['card', 'paypal'];
+
+// Registered payment providers by name. A provider implements:
+//   isEnabled() -> whether it may take payments in this environment
+//   createIntent({ amount, currency, reference, captureMethod }) -> { id, status, clientSecret }
+//   capture(intentId, amount) -> { status, amount }
+//   refund(intentId, amount) -> { id, status: 'succeeded' | 'pending' | 'failed', amount }
+//   verifyWebhook(rawBody, headers) -> { id, type, providerType, intentId, amount, refundId,
+//     failureReason }, or null when the signature does not check out. type is one of
+//     authorized, captured, failed or refunded.
+const providers = new Map();
+
+const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+registerPaymentProvider(fakeProvider);
+
+// No default: the fake provider must never be picked just because nothing was configured
+const getProviderName = () => (process.env.PAYMENT_PROVIDER || '').trim().toLowerCase();
+
+// 'automatic' captures as soon as the shopper pays; 'manual' only authorizes and an admin
+// captures later
+const getCaptureMethod = () => (process.env.PAYMENT_CAPTURE_METHOD === 'manual' ? 'manual' : 'automatic');
+
+const getPaymentProvider = (name = getProviderName()) => {
+  if (!name) {
+    throw new PaymentError(503, 'No payment provider is configured');
+  }
+  const provider = providers.get(name);
+  if (!provider || !provider.isEnabled()) {
+    throw new PaymentError(404, `Payment provider ${name} is not available`);
+  }
+  return provider;
+};
+
+// Total of the order's provider refunds in the given states
+const sumRefunds = (payment, statuses) => roundMoney((payment?.refunds || [])
+  .filter(refund => statuses.includes(refund.status))
+  .reduce((sum, refund) => sum + refund.amount, 0));
+
+// How much of the order can still be refunded: for provider payments what was captured less
+// the refunds booked so far, for orders settled outside the app (cash on delivery) the total
+// less the refunds recorded
+const getRefundableAmount = (order) => {
+  if (!PROVIDER_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    return roundMoney(order.totalAmount - (order.refundedAmount || 0));
+  }
+  if (order.paymentStatus !== 'captured') return 0;
+  return roundMoney(order.payment.capturedAmount - sumRefunds(order.payment, ['pending', 'succeeded']));
+};
+
+// order.payment_status_changed, when the payment has moved on from the status it had before
+const emitPaymentStatusChanged = (order, from) => {
+  if (!order || order.paymentStatus === from) return Promise.resolve([]);
+  return emitEvent('order.payment_status_changed', { from, to: order.paymentStatus, order: toPlain(order) });
+};
+
+// What the client needs to complete a payment
+const toPaymentView = (order) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  status: order.paymentStatus,
+  provider: order.payment?.provider,
+  intentId: order.payment?.intentId,
+  clientSecret: order.payment?.clientSecret,
+  amount: order.payment?.amount,
+  currency: order.payment?.currency,
+  captureMethod: order.payment?.captureMethod
+});
+
+// Book a successful refund against the order; the payment counts as refunded once
+// everything captured has been given back
+const settleRefund = (order, refund) => {
+  refund.status = 'succeeded';
+  refund.refundedAt = new Date();
+  order.refundedAmount = roundMoney((order.refundedAmount || 0) + refund.amount);
+
+  if (sumRefunds(order.payment, ['succeeded']) >= order.payment.capturedAmount) {
+    setPaymentStatus(order, 'refunded');
+  }
+};
+
+// Apply a payment event (from a webhook or a direct provider response) to the order.
+// Returns whether anything changed; stale and repeated events are ignored.
+const applyPaymentEvent = (order, event) => {
+  const { payment } = order;
+
+  switch (event.type) {
+    case 'authorized':
+      if (!setPaymentStatus(order, 'authorized')) return false;
+      payment.authorizedAt = new Date();
+      return true;
+
+    case 'captured':
+      if (!setPaymentStatus(order, 'captured')) return false;
+      payment.capturedAmount = roundMoney(event.amount ?? payment.amount);
+      payment.capturedAt = new Date();
+      payment.failureReason = undefined;
+      return true;
+
+    case 'failed':
+      if (!setPaymentStatus(order, 'failed')) return false;
+      payment.failureReason = event.failureReason || 'Payment failed';
+      return true;
+
+    case 'refunded': {
+      if (order.paymentStatus !== 'captured') return false;
+
+      let refund = event.refundId && payment.refunds.find(entry => entry.refundId === event.refundId);
+      if (refund && refund.status === 'succeeded') return false;
+
+      if (!refund) {
+        // Refunded from the provider's own dashboard
+        const remaining = roundMoney(payment.capturedAmount - sumRefunds(payment, ['pending', 'succeeded']));
+        payment.refunds.push({
+          refundId: event.refundId,
+          amount: roundMoney(event.amount ?? remaining),
+          reason: 'Refunded at the payment provider'
+        });
+        refund = payment.refunds[payment.refunds.length - 1];
+      }
+
+      settleRefund(order, refund);
+      return true;
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Start a payment for an order with the configured provider. An open intent for the same
+// amount is handed back rather than starting a second one. The order must be loaded with
+// +payment.clientSecret; it is saved here. Throws PaymentError.
+const createPaymentIntent = async (order) => {
+  if (!PROVIDER_PAYMENT_METHODS.includes(order.paymentMethod)) {
+    throw new PaymentError(400, `Orders paid by ${order.paymentMethod} are not taken through a payment provider`);
+  }
+  if (order.status === 'Cancelled') {
+    throw new PaymentError(409, 'Cancelled orders cannot be paid');
+  }
+  if (!['pending', 'failed'].includes(order.paymentStatus)) {
+    throw new PaymentError(409, `Order payment is already ${order.paymentStatus}`);
+  }
+
+  const provider = getPaymentProvider();
+  const { payment } = order;
+  if (
+    order.paymentStatus === 'pending' &&
+    payment?.intentId &&
+    payment.provider === provider.name &&
+    payment.amount === order.totalAmount &&
+    payment.currency === order.currency
+  ) {
+    return order;
+  }
+
+  const captureMethod = getCaptureMethod();
+  const intent = await provider.createIntent({
+    amount: order.totalAmount,
+    currency: order.currency,
+    reference: order.orderNumber,
+    captureMethod
+  });
+
+  setPaymentStatus(order, 'pending');
+  order.set('payment', {
+    provider: provider.name,
+    intentId: intent.id,
+    clientSecret: intent.clientSecret,
+    amount: order.totalAmount,
+    currency: order.currency,
+    captureMethod,
+    capturedAmount: 0,
+    refunds: [],
+    // Keep the webhook log of earlier attempts
+    events: payment?.events || []
+  });
+  await order.save();
+
+  return order;
+};
+
+// Capture an authorized payment in full (admin). Saves the order. Throws PaymentError.
+const capturePayment = async (order) => {
+  if (order.paymentStatus !== 'authorized') {
+    throw new PaymentError(409, `Only authorized payments can be captured; this payment is ${order.paymentStatus}`);
+  }
+
+  const provider = getPaymentProvider(order.payment.provider);
+  let result;
+  try {
+    result = await provider.capture(order.payment.intentId, order.payment.amount);
+  } catch (error) {
+    throw new PaymentError(502, `Capture failed: ${error.message}`);
+  }
+
+  if (result.status !== 'captured') {
+    throw new PaymentError(502, `Capture failed: provider returned ${result.status}`);
+  }
+
+  const from = order.paymentStatus;
+  applyPaymentEvent(order, { type: 'captured', amount: result.amount });
+  await order.save();
+  await emitPaymentStatusChanged(order, from);
+
+  return order;
+};
+
+// Refund a captured payment through its provider, in full when no amount is given.
+// The refund is booked as pending before the provider is called, so two refunds at once
+// can never give back more than was captured. Returns { order, refund }. Throws PaymentError.
+const refundPayment = async (orderId, { amount, reason, actor } = {}) => {
+  let order = null;
+  let refundEntryId = null;
+  let from = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new PaymentError(404, 'Order not found');
+    }
+    if (order.paymentStatus !== 'captured') {
+      throw new PaymentError(409, `Only captured payments can be refunded; this payment is ${order.paymentStatus}`);
+    }
+
+    const refundable = getRefundableAmount(order);
+    const value = amount === undefined ? refundable : roundMoney(amount);
+    if (!(value > 0) || value > refundable) {
+      throw new PaymentError(400, `Refund amount must be more than 0 and at most ${refundable}`);
+    }
+
+    from = order.paymentStatus;
+    order.payment.refunds.push({ amount: value, reason, actor });
+    refundEntryId = order.payment.refunds[order.payment.refunds.length - 1]._id;
+    await order.save({ session });
+  });
+
+  const provider = getPaymentProvider(order.payment.provider);
+  let result;
+  try {
+    result = await provider.refund(order.payment.intentId, order.payment.refunds.id(refundEntryId).amount);
+  } catch (error) {
+    result = { status: 'failed', error: error.message };
+  }
+
+  await mongoose.connection.transaction(async (session) => {
+    order = await Order.findById(orderId).session(session);
+    const refund = order.payment.refunds.id(refundEntryId);
+
+    refund.refundId = result.id;
+    if (result.status === 'succeeded') {
+      settleRefund(order, refund);
+    } else if (result.status === 'failed') {
+      refund.status = 'failed';
+      refund.failureReason = result.error || 'Refund failed';
+    }
+    // Pending refunds are settled by the provider's refund webhook
+    await order.save({ session });
+  });
+
+  await emitPaymentStatusChanged(order, from);
+
+  const refund = order.payment.refunds.id(refundEntryId);
+  if (refund.status === 'failed') {
+    throw new PaymentError(502, `Refund failed: ${refund.failureReason}`);
+  }
+
+  return { order, refund };
+};
+
+// Verify and apply a provider webhook. Each event is applied once; repeats are reported
+// as duplicates. Returns { event, order, duplicate, applied }; order is null when the
+// intent is not ours. Throws PaymentError for unknown providers and bad signatures.
+const handlePaymentWebhook = async (providerName, rawBody, headers) => {
+  const provider = getPaymentProvider(providerName);
+  const event = provider.verifyWebhook(rawBody, headers);
+  if (!event || !event.id || !event.intentId) {
+    throw new PaymentError(400, 'Invalid webhook signature');
+  }
+
+  let result;
+  let from = null;
+  await mongoose.connection.transaction(async (session) => {
+    result = { event, order: null, duplicate: false, applied: false };
+
+    const order = await Order.findOne({
+      'payment.provider': provider.name,
+      'payment.intentId': event.intentId
+    }).session(session);
+    if (!order) return;
+
+    result.order = order;
+    if (order.payment.events.some(entry => entry.eventId === event.id)) {
+      result.duplicate = true;
+      return;
+    }
+
+    from = order.paymentStatus;
+    result.applied = applyPaymentEvent(order, event);
+    order.payment.events.push({
+      eventId: event.id,
+      type: event.providerType || event.type,
+      applied: result.applied
+    });
+    await order.save({ session });
+  });
+
+  if (result.applied) {
+    await emitPaymentStatusChanged(result.order, from);
+  }
+
+  return result;
+};
+
+module.exports = {
+  PaymentError,
+  PROVIDER_PAYMENT_METHODS,
+  registerPaymentProvider,
+  getPaymentProvider,
+  getRefundableAmount,
+  toPaymentView,
+  applyPaymentEvent,
+  createPaymentIntent,
+  capturePayment,
+  refundPayment,
+  handlePaymentWebhook
+};
@@ -0,0 +1,79 @@
+// What staff can be allowed to do. Routes check one of these with requirePermission.
+const PERMISSIONS = [
+  'products:read',
+  'products:write',
+  'products:delete',
+  'orders:read',
+  'orders:update_status',
+  'orders:delete',
+  'orders:export',
+  'invoices:issue',
+  'customers:read',
+  'reviews:moderate',
+  'returns:manage',
+  'payments:capture',
+  'payments:refund',
+  'marketing:write',
+  'settings:write',
+  'webhooks:manage',
+  'analytics:read',
+  'admins:manage'
+];
+
+// Named roles and the permissions each one grants
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  catalog_manager: [
+    'products:read',
+    'products:write',
+    'products:delete',
+    'reviews:moderate',
+    'marketing:write',
+    'analytics:read'
+  ],
+  fulfillment: [
+    'products:read',
+    'orders:read',
+    'orders:update_status',
+    'orders:export',
+    'invoices:issue',
+    'returns:manage',
+    'payments:capture'
+  ],
+  support: [
+    'products:read',
+    'orders:read',
+    'orders:update_status',
+    'customers:read',
+    'reviews:moderate',
+    'returns:manage',
+    'payments:refund'
+  ],
+  analyst: [
+    'products:read',
+    'orders:read',
+    'orders:export',
+    'customers:read',
+    'analytics:read'
+  ]
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Accounts created before roles existed all have role 'admin' and keep full access
+// until an owner gives them a narrower role
+const LEGACY_ROLES = { admin: 'owner' };
+
+// Permissions of a role; none for a missing or unknown role
+const getPermissions = (role) => ROLE_PERMISSIONS[LEGACY_ROLES[role] || role] || [];
+
+const hasPermission = (role, permission) => getPermissions(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  LEGACY_ROLES,
+  getPermissions,
+  hasPermission
+};
@@ -0,0 +1,536 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductBulkOperation = require('../models/ProductBulkOperation');
+const { buildProductFilter } = require('./productSearch');
+const { resolveCategoryFilterIds, resolveCategoryIds } = require('./categories');
+const { resolveBrandFilterIds } = require('./brands');
+const { isSoldOut } = require('./inventory');
+const { emitEvent, emitProductsOutOfStock } = require('./webhooks');
+
+class BulkOperationError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.status = status;
+  }
+}
+
+// Most products one operation may change; a broader filter has to be narrowed or split
+const MAX_BULK_PRODUCTS = 2000;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const toList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Exactly one of the given params has to be a number
+const requireOneNumber = (params, names) => {
+  const given = names.filter(name => params[name] !== undefined);
+  if (given.length !== 1 || !isNumber(params[given[0]])) {
+    return `Send exactly one of ${names.join(', ')} as a number`;
+  }
+  return null;
+};
+
+const requireBoolean = (params) => (typeof params.value === 'boolean' ? null : 'value must be true or false');
+
+const requireTags = (params) => (toList(params.tags).length > 0 ? null : 'tags must list at least one tag');
+
+const setFlag = (field) => ({
+  fields: [field],
+  validate: requireBoolean,
+  apply: (product, params) => {
+    product[field] = params.value;
+  }
+});
+
+// Operations by name. Each lists the product fields it touches and, in variantFields, the
+// fields it touches on each variant (only these are snapshotted for undo, so stock sold or
+// prices edited elsewhere in the meantime are neither a conflict nor overwritten). Each also
+// checks its params and applies itself to one product document. apply returns an error
+// message to fail that product, or nothing; atomic operations instead return { error } or
+// { delta } and are applied on the database.
+const OPERATIONS = {
+  // { value }
+  set_price: {
+    fields: ['price'],
+    validate: (params) => (isNumber(params.value) && params.value >= 0 ? null : 'value must be a number of 0 or more'),
+    apply: (product, params) => {
+      product.price = roundMoney(params.value);
+    }
+  },
+
+  // { percent } or { amount }, e.g. { percent: 10 } raises prices by 10%. Variants with
+  // their own price are adjusted too.
+  adjust_price: {
+    fields: ['price'],
+    variantFields: ['price'],
+    validate: (params) => requireOneNumber(params, ['percent', 'amount']),
+    apply: (product, params) => {
+      const adjust = (price) => roundMoney(params.percent !== undefined
+        ? price * (1 + params.percent / 100)
+        : price + params.amount);
+
+      const prices = [product.price, ...product.variants.filter(variant => isNumber(variant.price)).map(variant => variant.price)];
+      if (prices.some(price => adjust(price) < 0)) {
+        return 'Price would drop below 0';
+      }
+
+      product.price = adjust(product.price);
+      product.variants.forEach(variant => {
+        if (isNumber(variant.price)) variant.price = adjust(variant.price);
+      });
+    }
+  },
+
+  // { value } for a fixed sale price, or { percent_off } to mark down from the price
+  // (variants with their own price get the same markdown)
+  set_sale_price: {
+    fields: ['sale_price'],
+    variantFields: ['sale_price'],
+    validate: (params) => requireOneNumber(params, ['value', 'percent_off'])
+      || (params.value < 0 ? 'value must be 0 or more' : null)
+      || (params.percent_off <= 0 || params.percent_off >= 100 ? 'percent_off must be between 0 and 100' : null),
+    apply: (product, params) => {
+      if (params.value !== undefined) {
+        product.sale_price = roundMoney(params.value);
+        return;
+      }
+      const markDown = (price) => roundMoney(price * (1 - params.percent_off / 100));
+      product.sale_price = markDown(product.price);
+      product.variants.forEach(variant => {
+        if (isNumber(variant.price)) variant.sale_price = markDown(variant.price);
+      });
+    }
+  },
+
+  clear_sale_price: {
+    fields: ['sale_price'],
+    variantFields: ['sale_price'],
+    validate: () => null,
+    apply: (product) => {
+      product.sale_price = undefined;
+      product.variants.forEach(variant => {
+        variant.sale_price = undefined;
+      });
+    }
+  },
+
+  // { value: true | false }
+  set_featured: setFlag('featured'),
+  set_active: setFlag('is_active'),
+
+  // { tags: [...] }
+  add_tags: {
+    fields: ['tags'],
+    validate: requireTags,
+    apply: (product, params) => {
+      product.tags.addToSet(...toList(params.tags));
+    }
+  },
+  remove_tags: {
+    fields: ['tags'],
+    validate: requireTags,
+    apply: (product, params) => {
+      product.tags.pull(...toList(params.tags));
+    }
+  },
+
+  // { categories: [...] } as ids, slugs or names
+  add_categories: {
+    fields: ['categories'],
+    validate: (params) => (toList(params.categories).length > 0 ? null : 'categories must list at least one category'),
+    apply: (product, params) => {
+      product.categories.addToSet(...params.categoryIds);
+    }
+  },
+  remove_categories: {
+    fields: ['categories'],
+    validate: (params) => (toList(params.categories).length > 0 ? null : 'categories must list at least one category'),
+    apply: (product, params) => {
+      product.categories.pull(...params.categoryIds);
+    }
+  },
+
+  // { amount } to add (or, negative, remove) stock, or { set } for an absolute level.
+  // Products with variants have every variant adjusted. Orders move stock at the same time, so
+  // this one is not applied to the document: apply works out the change per variant (or for the
+  // product) and runBulkOperation adds it on the database with applyStockDelta.
+  adjust_stock: {
+    fields: ['quantity_in_stock'],
+    variantFields: ['quantity_in_stock'],
+    atomic: true,
+    validate: (params) => requireOneNumber(params, ['amount', 'set'])
+      || (!Number.isInteger(params.amount ?? params.set) ? 'Stock must be a whole number' : null)
+      || (params.set < 0 ? 'set must be 0 or more' : null),
+    apply: (product, params) => {
+      const change = (quantity) => (params.set !== undefined ? params.set - (quantity || 0) : params.amount);
+
+      if (product.variants.length === 0) {
+        if ((product.quantity_in_stock || 0) + change(product.quantity_in_stock) < 0) {
+          return { error: 'Stock would drop below 0' };
+        }
+        return { delta: { quantity_in_stock: change(product.quantity_in_stock) } };
+      }
+
+      if (product.variants.some(variant => (variant.quantity_in_stock || 0) + change(variant.quantity_in_stock) < 0)) {
+        return { error: 'Stock would drop below 0' };
+      }
+      return {
+        delta: {
+          variants: Object.fromEntries(product.variants.map(variant => [
+            String(variant.variant_id),
+            change(variant.quantity_in_stock)
+          ]))
+        }
+      };
+    }
+  }
+};
+
+const BULK_OPERATIONS = Object.keys(OPERATIONS);
+
+// Sale prices above the price they discount are a mistake whichever operation made them
+const checkSalePrices = (product) => {
+  if (isNumber(product.sale_price) && product.sale_price > product.price) {
+    return `sale_price ${product.sale_price} would be above price ${product.price}`;
+  }
+  const variant = product.variants.find(entry => isNumber(entry.sale_price) && entry.sale_price > (entry.price ?? product.price));
+  return variant ? `Variant ${variant.sku || variant.variant_id} sale_price would be above its price` : null;
+};
+
+const valueOf = (value) => (value === undefined ? null : value);
+
+// The touched variant fields keyed by variant_id, e.g. { '<variant_id>': { price: 10 } }
+const pickVariantFields = (variants, variantFields) => Object.fromEntries((variants || []).map(variant => [
+  String(variant.variant_id),
+  Object.fromEntries(variantFields.map(field => [field, valueOf(variant[field])]))
+]));
+
+// The touched fields as plain values, missing ones as null, for the snapshot and comparisons
+const pickFields = (product, { fields, variantFields }) => {
+  const plain = product.toObject({ depopulate: true });
+  const picked = Object.fromEntries(fields.map(field => [field, valueOf(plain[field])]));
+  if (variantFields) {
+    picked.variants = pickVariantFields(plain.variants, variantFields);
+  }
+  return picked;
+};
+
+// Put snapshotted values back on a product, touching only the variants and fields recorded
+const restoreFields = (product, values) => {
+  Object.entries(values).forEach(([field, value]) => {
+    if (field === 'variants') return;
+    product[field] = value === null ? undefined : value;
+  });
+  if (values.variants) {
+    product.variants.forEach(variant => {
+      const saved = values.variants[String(variant.variant_id)];
+      if (!saved) return;
+      Object.entries(saved).forEach(([field, value]) => {
+        variant[field] = value === null ? undefined : value;
+      });
+    });
+  }
+};
+
+const sameValues = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The products to change: { ids: [...] }, or { filter: {...} } taking the same parameters as
+// GET /api/products (category, search, tags, brand, stock_status, featured, ...) plus is_active
+const selectProducts = async ({ ids, filter }) => {
+  let query;
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new BulkOperationError(400, 'ids must list at least one product');
+    }
+    const invalid = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw new BulkOperationError(400, `Invalid product ids: ${invalid.join(', ')}`);
+    }
+    query = { _id: { $in: ids } };
+  } else if (filter && typeof filter === 'object') {
+    const categoryIds = filter.category && filter.category !== 'all'
+      ? await resolveCategoryFilterIds(filter.category)
+      : null;
+    const brandIds = await resolveBrandFilterIds(filter);
+    query = buildProductFilter(filter, { categoryIds, brandIds });
+
+    // Unlike the storefront listing, inactive products are included unless filtered out
+    delete query.is_active;
+    if (filter.is_active !== undefined && filter.is_active !== '') {
+      query.is_active = String(filter.is_active) === 'true';
+    }
+  } else {
+    throw new BulkOperationError(400, 'Choose products with ids or filter');
+  }
+
+  const products = await Product.find(query).sort({ _id: 1 }).limit(MAX_BULK_PRODUCTS + 1);
+  if (products.length > MAX_BULK_PRODUCTS) {
+    throw new BulkOperationError(400, `More than ${MAX_BULK_PRODUCTS} products match; narrow the selection`);
+  }
+  return products;
+};
+
+// Save a changed product and tell webhook subscribers, including when it just sold out
+const saveAndNotify = async (product, wasSoldOut) => {
+  await product.save();
+  await notifyUpdated(product, wasSoldOut);
+};
+
+// Drop the zero entries of a stock delta; null when nothing is left to change
+const compactDelta = (delta) => {
+  if (delta.variants) {
+    const variants = Object.fromEntries(Object.entries(delta.variants).filter(([, change]) => change !== 0));
+    return Object.keys(variants).length > 0 ? { variants } : null;
+  }
+  return delta.quantity_in_stock !== 0 ? delta : null;
+};
+
+// Add a stock delta ({ quantity_in_stock } or { variants: { '<variant_id>': change } }) with
+// $inc, so units sold meanwhile are kept, and move stock_status the way reserveStock and
+// releaseStock do. Decrements only go through while enough stock is left; returns the updated
+// product, or null when some of it is not.
+const applyStockDelta = async (productId, delta) => {
+  const filter = { _id: productId };
+  const update = { $inc: {} };
+  let arrayFilters;
+
+  if (delta.variants) {
+    const entries = Object.entries(delta.variants)
+      .map(([variantId, change]) => [new mongoose.Types.ObjectId(variantId), change]);
+    const guards = entries
+      .filter(([, change]) => change < 0)
+      .map(([variantId, change]) => ({
+        variants: { $elemMatch: { variant_id: variantId, quantity_in_stock: { $gte: -change } } }
+      }));
+    if (guards.length > 0) filter.$and = guards;
+
+    arrayFilters = entries.map(([variantId], index) => ({ [`v${index}.variant_id`]: variantId }));
+    entries.forEach(([, change], index) => {
+      update.$inc[`variants.$[v${index}].quantity_in_stock`] = change;
+    });
+  } else {
+    if (delta.quantity_in_stock < 0) filter.quantity_in_stock = { $gte: -delta.quantity_in_stock };
+    update.$inc.quantity_in_stock = delta.quantity_in_stock;
+  }
+
+  const product = await Product.findOneAndUpdate(filter, update, {
+    new: true,
+    ...(arrayFilters && { arrayFilters })
+  });
+  if (!product) return null;
+
+  const soldOut = isSoldOut(product);
+  if (soldOut && product.stock_status === 'in_stock') {
+    product.stock_status = 'out_of_stock';
+    await Product.updateOne({ _id: product._id }, { stock_status: 'out_of_stock' });
+  } else if (!soldOut && product.stock_status === 'out_of_stock') {
+    product.stock_status = 'in_stock';
+    await Product.updateOne({ _id: product._id }, { stock_status: 'in_stock' });
+  }
+  return product;
+};
+
+// The delta that takes a stock delta back
+const invertDelta = (delta) => (delta.variants
+  ? { variants: Object.fromEntries(Object.entries(delta.variants).map(([variantId, change]) => [variantId, -change])) }
+  : { quantity_in_stock: -delta.quantity_in_stock });
+
+// Tell webhook subscribers about a product changed outside saveAndNotify
+const notifyUpdated = async (product, wasSoldOut) => {
+  await emitEvent('product.updated', { product: product.toObject() });
+  if (!wasSoldOut && isSoldOut(product)) {
+    await emitProductsOutOfStock([product._id]);
+  }
+};
+
+const failureMessage = (error) => (error.name === 'ValidationError'
+  ? Object.values(error.errors).map(err => err.message).join(', ')
+  : error.message);
+
+// Apply an operation to the loaded document and save it. Returns the product's result and,
+// when it changed, its before/after snapshot.
+const applyDocumentOperation = async (product, definition, context) => {
+  const before = pickFields(product, definition);
+  const wasSoldOut = isSoldOut(product);
+  const changesPrices = definition.fields.some(field => field === 'price' || field === 'sale_price');
+
+  const error = definition.apply(product, context) || (changesPrices ? checkSalePrices(product) : null);
+  if (error) {
+    return { result: { status: 'failed', message: error } };
+  }
+
+  const after = pickFields(product, definition);
+  if (sameValues(before, after)) {
+    return { result: { status: 'unchanged' } };
+  }
+
+  await saveAndNotify(product, wasSoldOut);
+  return { result: { status: 'updated' }, snapshot: { product: product._id, before, after } };
+};
+
+// Apply a stock operation as a delta on the database. The snapshot records the delta, which
+// undo takes back, rather than levels that orders keep moving.
+const applyStockOperation = async (product, definition, context) => {
+  const wasSoldOut = isSoldOut(product);
+  const { error, delta } = definition.apply(product, context);
+  if (error) {
+    return { result: { status: 'failed', message: error } };
+  }
+
+  const change = compactDelta(delta);
+  if (!change) {
+    return { result: { status: 'unchanged' } };
+  }
+
+  const updated = await applyStockDelta(product._id, change);
+  if (!updated) {
+    return { result: { status: 'failed', message: 'Stock would drop below 0' } };
+  }
+
+  await notifyUpdated(updated, wasSoldOut);
+  return { result: { status: 'updated' }, snapshot: { product: product._id, delta: change } };
+};
+
+// Apply one operation to every selected product and record it with a per-product result and
+// the before/after values needed to undo it. Products fail (or stay unchanged) one by one;
+// the rest still go through. Throws BulkOperationError for a bad request.
+const runBulkOperation = async ({ operation, params = {}, ids, filter, actor }) => {
+  const definition = OPERATIONS[operation];
+  if (!definition) {
+    throw new BulkOperationError(400, `Unknown operation. Must be one of: ${BULK_OPERATIONS.join(', ')}`);
+  }
+
+  const paramError = definition.validate(params);
+  if (paramError) {
+    throw new BulkOperationError(400, paramError);
+  }
+
+  const context = { ...params };
+  if (definition.fields.includes('categories')) {
+    const { ids: categoryIds, unknown } = await resolveCategoryIds(toList(params.categories));
+    if (unknown.length > 0) {
+      throw new BulkOperationError(400, `Unknown categories: ${unknown.join(', ')}`);
+    }
+    context.categoryIds = categoryIds;
+  }
+
+  const products = await selectProducts({ ids, filter });
+  if (products.length === 0) {
+    throw new BulkOperationError(404, 'No products match the selection');
+  }
+
+  // Saved up front and added to product by product, so when the request is cut short
+  // (e.g. by the function time limit) every product already changed can still be undone
+  const record = await ProductBulkOperation.create({
+    operation,
+    params,
+    selection: ids !== undefined ? { ids } : { filter },
+    matched_count: products.length,
+    created_by: actor ? { id: actor.id, name: actor.name } : undefined
+  });
+
+  for (const product of products) {
+    const result = { product: product._id, name: product.name };
+    let snapshot = null;
+
+    try {
+      const outcome = definition.atomic
+        ? await applyStockOperation(product, definition, context)
+        : await applyDocumentOperation(product, definition, context);
+      Object.assign(result, outcome.result);
+      snapshot = outcome.snapshot;
+    } catch (error) {
+      console.error('Error applying bulk product operation:', error);
+      Object.assign(result, { status: 'failed', message: failureMessage(error) });
+    }
+
+    await ProductBulkOperation.updateOne(
+      { _id: record._id },
+      {
+        $push: { results: result, ...(snapshot && { snapshot }) },
+        $inc: { [`${result.status}_count`]: 1 }
+      }
+    );
+  }
+
+  return ProductBulkOperation.findByIdAndUpdate(record._id, { completed_at: new Date() }, { new: true });
+};
+
+// Put back the values an operation replaced. Products edited since then are left alone and
+// reported as conflicts, unless force is set. Stock adjustments are taken back by their delta;
+// force cannot take back more stock than is left.
+const undoBulkOperation = async (id, { force = false, actor } = {}) => {
+  const record = await ProductBulkOperation.findById(id).select('+snapshot');
+  if (!record) {
+    throw new BulkOperationError(404, 'Bulk operation not found');
+  }
+  if (record.undone_at) {
+    throw new BulkOperationError(409, 'Bulk operation has already been undone');
+  }
+
+  const definition = OPERATIONS[record.operation];
+  const results = [];
+  for (const entry of record.snapshot) {
+    const productId = entry.product;
+    const { before, after } = entry;
+    const result = { product: productId };
+
+    try {
+      const product = await Product.findById(productId);
+      if (!product) {
+        results.push({ ...result, status: 'failed', message: 'Product no longer exists' });
+        continue;
+      }
+      result.name = product.name;
+
+      // Stock changes are taken back as a delta, keeping whatever orders did since
+      if (entry.delta) {
+        const updated = await applyStockDelta(productId, invertDelta(entry.delta));
+        if (!updated) {
+          results.push({ ...result, status: 'conflict', message: 'Not enough stock left to take the adjustment back' });
+          continue;
+        }
+        await notifyUpdated(updated, isSoldOut(product));
+        results.push({ ...result, status: 'restored' });
+        continue;
+      }
+
+      const current = pickFields(product, {
+        fields: Object.keys(before).filter(field => field !== 'variants'),
+        variantFields: before.variants ? definition?.variantFields || [] : null
+      });
+      if (!force && !sameValues(current, after)) {
+        results.push({ ...result, status: 'conflict', message: 'Changed since the operation; undo with force to overwrite' });
+        continue;
+      }
+
+      const wasSoldOut = isSoldOut(product);
+      restoreFields(product, before);
+      await saveAndNotify(product, wasSoldOut);
+      results.push({ ...result, status: 'restored' });
+    } catch (error) {
+      console.error('Error undoing bulk product operation:', error);
+      results.push({ ...result, status: 'failed', message: failureMessage(error) });
+    }
+  }
+
+  record.undone_at = new Date();
+  record.undone_by = actor ? { id: actor.id, name: actor.name } : undefined;
+  record.undo_results = results;
+  await record.save();
+  return record;
+};
+
+module.exports = {
+  BulkOperationError,
+  BULK_OPERATIONS,
+  MAX_BULK_PRODUCTS,
+  runBulkOperation,
+  undoBulkOperation
+};
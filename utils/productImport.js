@@ -0,0 +1,619 @@
+const { parse } = require('csv-parse/sync');
+const Product = require('../models/Product');
+const ProductImport = require('../models/ProductImport');
+const { slugify } = require('./slug');
+const { resolveCategoryIds } = require('./categories');
+const { resolveProductBrand } = require('./brands');
+const { findUnknownCurrencies } = require('./currency');
+const { isSoldOut } = require('./inventory');
+const { emitEvent, emitProductsOutOfStock } = require('./webhooks');
+
+// A file that cannot be imported at all, e.g. malformed CSV or no sku/slug column
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Imports with up to this many products run within the request; bigger ones are queued
+const getSyncLimit = () => Number(process.env.PRODUCT_IMPORT_SYNC_LIMIT) || 100;
+
+// Most products one file may hold; queued imports keep their parsed products on the job
+const MAX_IMPORT_PRODUCTS = 5000;
+
+// Save progress on an import every this many products
+const PROGRESS_INTERVAL = 25;
+
+// A queued import being worked on is leased for this long (renewed as it saves progress),
+// so two workers never process it at once and one that died is picked up again
+const LEASE_MS = 60000;
+
+// How long one call to processQueuedImports keeps working, well inside the 30s function limit
+const PROCESS_TIME_BUDGET_MS = 20000;
+
+// An in-request import not heard from for this long was cut off with its request
+const STALE_IMPORT_MS = 10 * 60 * 1000;
+
+// Separator inside CSV cells that hold lists: categories, tags, images, variant_attributes
+const LIST_SEPARATOR = '|';
+
+// Product fields an import may set, by type. Blank cells keep the current value on update.
+const PRODUCT_FIELDS = {
+  sku: 'string',
+  slug: 'string',
+  name: 'string',
+  description: 'string',
+  short_description: 'string',
+  brand: 'string',
+  categories: 'list',
+  tags: 'list',
+  price: 'number',
+  sale_price: 'number',
+  currency: 'string',
+  quantity_in_stock: 'integer',
+  stock_status: 'string',
+  weight: 'number',
+  shipping_class: 'string',
+  images: 'list',
+  meta_title: 'string',
+  meta_description: 'string',
+  meta_keywords: 'list',
+  featured: 'boolean',
+  is_active: 'boolean'
+};
+
+// CSV columns describing one variant per row, and the variant field each one fills
+const VARIANT_COLUMNS = {
+  variant_sku: 'sku',
+  variant_price: 'price',
+  variant_sale_price: 'sale_price',
+  variant_quantity: 'quantity_in_stock',
+  variant_attributes: 'attributes'
+};
+
+const CSV_COLUMNS = [...Object.keys(PRODUCT_FIELDS), ...Object.keys(VARIANT_COLUMNS)];
+
+const STOCK_STATUSES = Product.schema.path('stock_status').enumValues;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Products are matched on SKU first and slug second
+const getKey = (fields) => {
+  if (!isBlank(fields.sku)) return `sku:${String(fields.sku).trim()}`;
+  if (!isBlank(fields.slug)) return `slug:${slugify(fields.slug)}`;
+  return null;
+};
+
+// variants stays undefined unless the input lists some, which leaves a product's variants alone
+const newInput = (key, row) => ({ key, rows: [row], fields: {}, variants: undefined, messages: [] });
+
+// Rows sharing a SKU or slug describe one product: the product fields come from the
+// first of them, and every row with variant columns adds a variant
+const parseCsv = (content) => {
+  let records;
+  try {
+    records = parse(content, {
+      bom: true,
+      columns: header => header.map(column => String(column).trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      info: true
+    });
+  } catch (error) {
+    throw new ImportError(`Could not read CSV: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw new ImportError('The file has no rows');
+  }
+
+  const columns = Object.keys(records[0].record);
+  if (!columns.includes('sku') && !columns.includes('slug')) {
+    throw new ImportError('The file needs a sku or slug column to match products on');
+  }
+  const ignored = columns.filter(column => !CSV_COLUMNS.includes(column));
+
+  const inputs = [];
+  const byKey = new Map();
+
+  records.forEach(({ record, info }) => {
+    const row = info.lines;
+    const key = getKey(record);
+
+    if (!key) {
+      const input = newInput(null, row);
+      input.messages.push('sku or slug is required');
+      inputs.push(input);
+      return;
+    }
+
+    let input = byKey.get(key);
+    if (input) {
+      input.rows.push(row);
+    } else {
+      input = newInput(key, row);
+      byKey.set(key, input);
+      inputs.push(input);
+    }
+
+    Object.keys(PRODUCT_FIELDS).forEach(field => {
+      const value = record[field];
+      if (isBlank(value)) return;
+      if (input.fields[field] === undefined) {
+        input.fields[field] = value;
+      } else if (input.fields[field] !== value) {
+        input.messages.push(`Row ${row}: ${field} "${value}" differs from "${input.fields[field]}" given earlier for this product`);
+      }
+    });
+
+    const variant = {};
+    Object.entries(VARIANT_COLUMNS).forEach(([column, field]) => {
+      if (!isBlank(record[column])) variant[field] = record[column];
+    });
+    if (Object.keys(variant).length > 0) {
+      input.variants = [...(input.variants || []), { ...variant, row }];
+    }
+  });
+
+  return {
+    inputs,
+    totalRows: records.length,
+    messages: ignored.length > 0 ? [`Ignored unknown columns: ${ignored.join(', ')}`] : []
+  };
+};
+
+// A JSON array of products (or { products: [...] }) using the API's field names
+const parseJson = (content) => {
+  let products;
+  try {
+    products = typeof content === 'string' ? JSON.parse(content) : content;
+  } catch (error) {
+    throw new ImportError(`Could not read JSON: ${error.message}`);
+  }
+  if (products && !Array.isArray(products)) products = products.products;
+
+  if (!Array.isArray(products) || products.length === 0) {
+    throw new ImportError('Expected a non-empty array of products');
+  }
+
+  const seen = new Map();
+  const inputs = products.map((product, index) => {
+    const row = index + 1;
+    if (!product || typeof product !== 'object' || Array.isArray(product)) {
+      const input = newInput(null, row);
+      input.messages.push('Expected an object');
+      return input;
+    }
+
+    const fields = { ...product, brand: product.brand !== undefined ? product.brand : product.brand_id };
+    const key = getKey(fields);
+    const input = newInput(key, row);
+
+    Object.keys(PRODUCT_FIELDS).forEach(field => {
+      if (!isBlank(fields[field])) input.fields[field] = fields[field];
+    });
+    if (Array.isArray(product.prices)) input.fields.prices = product.prices;
+    if (product.variants !== undefined) {
+      input.variants = Array.isArray(product.variants)
+        ? product.variants.map(variant => ({ ...variant }))
+        : null;
+    }
+
+    if (!key) {
+      input.messages.push('sku or slug is required');
+    } else if (seen.has(key)) {
+      input.messages.push(`Same ${key.split(':')[0]} as product ${seen.get(key)}`);
+    } else {
+      seen.set(key, row);
+    }
+    return input;
+  });
+
+  return { inputs, totalRows: products.length, messages: [] };
+};
+
+// Read an uploaded file into one input per product. Throws ImportError when the file
+// cannot be used at all; problems with single products are reported per product later.
+const parseImportFile = (content, format) => (format === 'csv' ? parseCsv(String(content)) : parseJson(content));
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(LIST_SEPARATOR))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const BOOLEAN_VALUES = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+// Convert one raw value to its field type. Returns { value } or { error }.
+const coerce = (field, type, raw) => {
+  if (type === 'list') return { value: toList(raw) };
+  if (type === 'string') return { value: String(raw).trim() };
+
+  if (type === 'boolean') {
+    const value = typeof raw === 'boolean' ? raw : BOOLEAN_VALUES[String(raw).trim().toLowerCase()];
+    return value === undefined ? { error: `${field} must be true or false` } : { value };
+  }
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    return { error: `${field} must be a number of 0 or more` };
+  }
+  if (type === 'integer' && !Number.isInteger(value)) {
+    return { error: `${field} must be a whole number` };
+  }
+  return { value };
+};
+
+// Variant attributes as "Size:M|Color:Red", [{ attribute_name, attribute_value }] or { Size: 'M' }
+const parseAttributes = (raw) => {
+  if (Array.isArray(raw)) {
+    return raw.map(attribute => ({
+      attribute_name: String(attribute.attribute_name || '').trim(),
+      attribute_value: String(attribute.attribute_value ?? '').trim()
+    }));
+  }
+  const pairs = typeof raw === 'object'
+    ? Object.entries(raw)
+    : toList(raw).map(pair => {
+      const separator = pair.indexOf(':');
+      return separator === -1 ? [pair, ''] : [pair.slice(0, separator), pair.slice(separator + 1)];
+    });
+  return pairs.map(([name, value]) => ({
+    attribute_name: String(name).trim(),
+    attribute_value: String(value ?? '').trim()
+  }));
+};
+
+const VARIANT_FIELDS = {
+  sku: 'string',
+  price: 'number',
+  sale_price: 'number',
+  quantity_in_stock: 'integer'
+};
+
+const validateVariants = (variants, errors) => {
+  if (variants === null) {
+    errors.push('variants must be an array');
+    return [];
+  }
+
+  const skus = new Set();
+  return variants.map((raw, index) => {
+    const label = raw.row ? `Row ${raw.row}` : `Variant ${index + 1}`;
+    const variant = {};
+
+    Object.entries(VARIANT_FIELDS).forEach(([field, type]) => {
+      if (isBlank(raw[field])) return;
+      const { value, error } = coerce(field, type, raw[field]);
+      if (error) errors.push(`${label}: variant ${error}`);
+      else variant[field] = value;
+    });
+
+    variant.attributes = isBlank(raw.attributes) ? [] : parseAttributes(raw.attributes);
+    if (variant.attributes.some(attribute => !attribute.attribute_name || !attribute.attribute_value)) {
+      errors.push(`${label}: variant attributes need a name and a value, e.g. Size:M`);
+    }
+    if (!variant.sku && variant.attributes.length === 0) {
+      errors.push(`${label}: a variant needs a SKU or attributes`);
+    }
+    if (variant.sku) {
+      if (skus.has(variant.sku)) errors.push(`${label}: variant SKU ${variant.sku} is listed twice`);
+      skus.add(variant.sku);
+    }
+    if (variant.sale_price !== undefined && variant.price !== undefined && variant.sale_price > variant.price) {
+      errors.push(`${label}: variant sale_price must not exceed its price`);
+    }
+    if (Array.isArray(raw.prices)) variant.prices = raw.prices;
+    return variant;
+  });
+};
+
+// Categories and brands repeat across a catalog, so each is looked up once per import
+const createLookupCache = () => {
+  const categories = new Map();
+  const brands = new Map();
+
+  return {
+    category: async (value) => {
+      const cacheKey = String(value).toLowerCase();
+      if (!categories.has(cacheKey)) {
+        const { ids } = await resolveCategoryIds([value]);
+        categories.set(cacheKey, ids[0] || null);
+      }
+      return categories.get(cacheKey);
+    },
+    brand: async (value) => {
+      const cacheKey = String(value).toLowerCase();
+      if (!brands.has(cacheKey)) {
+        brands.set(cacheKey, await resolveProductBrand(value));
+      }
+      return brands.get(cacheKey);
+    }
+  };
+};
+
+// Type-check an input and resolve its categories and brand. Returns { data, variants, errors }
+// where data holds only the fields the input sets.
+const validateInput = async (input, cache) => {
+  const errors = [...input.messages];
+  const data = {};
+
+  Object.entries(PRODUCT_FIELDS).forEach(([field, type]) => {
+    const raw = input.fields[field];
+    if (isBlank(raw) || field === 'brand') return;
+    const { value, error } = coerce(field, type, raw);
+    if (error) errors.push(error);
+    else data[field] = value;
+  });
+
+  if (data.stock_status !== undefined && !STOCK_STATUSES.includes(data.stock_status)) {
+    errors.push(`stock_status must be one of: ${STOCK_STATUSES.join(', ')}`);
+  }
+
+  const badImages = (data.images || []).filter(url => !/^https?:\/\/\S+$/i.test(url));
+  if (badImages.length > 0) {
+    errors.push(`Images must be http(s) URLs: ${badImages.join(', ')}`);
+  }
+
+  if (data.categories) {
+    const ids = [];
+    const unknown = [];
+    for (const value of data.categories) {
+      const id = await cache.category(value);
+      if (!id) unknown.push(value);
+      else if (!ids.some(existing => existing.equals(id))) ids.push(id);
+    }
+    if (unknown.length > 0) errors.push(`Unknown categories: ${unknown.join(', ')}`);
+    data.categories = ids;
+  }
+
+  if (!isBlank(input.fields.brand)) {
+    const { fields, error } = await cache.brand(input.fields.brand);
+    if (error) errors.push(error);
+    else Object.assign(data, fields);
+  }
+
+  const variants = input.variants === undefined ? null : validateVariants(input.variants, errors);
+  if (Array.isArray(input.fields.prices)) data.prices = input.fields.prices;
+
+  const unknownCurrencies = await findUnknownCurrencies({ ...data, variants: variants || [] });
+  if (unknownCurrencies.length > 0) {
+    errors.push(`Unknown currencies: ${unknownCurrencies.join(', ')}`);
+  }
+
+  return { data, variants, errors };
+};
+
+const findExisting = async (data) => {
+  if (data.sku) {
+    const product = await Product.findOne({ sku: data.sku });
+    if (product) return product;
+  }
+  if (data.slug) {
+    const slug = slugify(data.slug);
+    return Product.findOne({ $or: [{ slug }, { previous_slugs: slug }] });
+  }
+  return null;
+};
+
+// Keep the variant_id of variants that already exist (matched by SKU, then attributes),
+// since carts and orders refer to variants by it
+const mergeVariants = (existing, variants) => variants.map(variant => {
+  const attributesKey = JSON.stringify(variant.attributes);
+  const match = existing.find(current => (variant.sku
+    ? current.sku === variant.sku
+    : JSON.stringify(current.attributes.map(({ attribute_name, attribute_value }) => ({ attribute_name, attribute_value }))) === attributesKey));
+  return match ? { ...variant, variant_id: match.variant_id } : variant;
+});
+
+// Create or update one product from its input. With dryRun nothing is written, but the
+// product is still validated against the schema. Returns the product's report entry.
+const importProduct = async (input, { dryRun, cache }) => {
+  const result = { rows: input.rows, key: input.key, messages: [] };
+  if (!input.key) {
+    return { ...result, action: 'error', messages: input.messages };
+  }
+
+  try {
+    const { data, variants, errors } = await validateInput(input, cache);
+    const product = await findExisting(data);
+
+    if (!product) {
+      if (isBlank(data.name)) errors.push('name is required for a new product');
+      if (isBlank(input.fields.price)) errors.push('price is required for a new product');
+    }
+    const price = data.price !== undefined ? data.price : product?.price;
+    if (data.sale_price !== undefined && price !== undefined && data.sale_price > price) {
+      errors.push('sale_price must not exceed price');
+    }
+    if (errors.length > 0) {
+      return { ...result, action: 'error', messages: errors };
+    }
+
+    const wasSoldOut = product ? isSoldOut(product) : false;
+    const target = product || new Product();
+    const { slug, ...fields } = data;
+
+    if (product && slug !== undefined && slugify(slug) !== product.slug) {
+      target.previous_slugs.addToSet(product.slug);
+      target.slug = slug;
+    } else if (!product) {
+      target.slug = slug;
+    }
+    target.set(fields);
+    if (variants) {
+      target.variants = mergeVariants(product ? product.variants : [], variants);
+    }
+
+    result.action = product ? 'update' : 'create';
+
+    if (dryRun) {
+      await target.validate();
+      return { ...result, product: product?._id };
+    }
+
+    await target.save();
+    result.product = target._id;
+    await emitEvent(product ? 'product.updated' : 'product.created', { product: target.toObject() });
+    if (!wasSoldOut && isSoldOut(target)) {
+      await emitProductsOutOfStock([target._id]);
+    }
+    return result;
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return { ...result, action: 'error', messages: Object.values(error.errors).map(err => err.message) };
+    }
+    console.error('Error importing product:', error);
+    return { ...result, action: 'error', messages: [error.message] };
+  }
+};
+
+const COUNTERS = { create: 'created_count', update: 'updated_count', error: 'error_count' };
+
+// Work through the inputs from job.processed on, recording each product's outcome and the
+// running totals, until they run out or the deadline passes. A job that runs out is marked
+// completed (or failed) and its queued inputs are dropped; otherwise it stays processing.
+const runImport = async (job, inputs, { deadline = Infinity } = {}) => {
+  const cache = createLookupCache();
+
+  try {
+    if (job.status === 'queued' || !job.started_at) {
+      job.status = 'processing';
+      job.started_at = new Date();
+      await job.save();
+    }
+
+    while (job.processed < inputs.length && Date.now() < deadline) {
+      const result = await importProduct(inputs[job.processed], { dryRun: job.dry_run, cache });
+      job.results.push(result);
+      job[COUNTERS[result.action]] += 1;
+      job.processed += 1;
+
+      if (job.processed % PROGRESS_INTERVAL === 0) {
+        if (job.background) job.lease_until = new Date(Date.now() + LEASE_MS);
+        await job.save();
+      }
+    }
+
+    if (job.processed < inputs.length) {
+      await job.save();
+      return job;
+    }
+    job.status = 'completed';
+  } catch (error) {
+    console.error('Error running product import:', error);
+    job.status = 'failed';
+    job.error = error.message;
+  }
+
+  job.finished_at = new Date();
+  job.inputs = undefined;
+  job.lease_until = undefined;
+  await job.save();
+  return job;
+};
+
+// Record an import. Small ones run before returning; bigger ones are queued with their
+// parsed products and worked through in chunks by processQueuedImports, to be followed
+// through the job's progress. Returns { job, background }.
+const startImport = async ({ content, format, filename, dryRun, actor }) => {
+  const { inputs, totalRows, messages } = parseImportFile(content, format);
+  if (inputs.length > MAX_IMPORT_PRODUCTS) {
+    throw new ImportError(`A file may hold at most ${MAX_IMPORT_PRODUCTS} products; split it into smaller files`);
+  }
+
+  const background = inputs.length > getSyncLimit();
+  const job = await ProductImport.create({
+    format,
+    filename,
+    dry_run: dryRun,
+    background,
+    total_rows: totalRows,
+    total_products: inputs.length,
+    created_by: actor ? { id: actor.id, name: actor.name } : undefined,
+    messages,
+    ...(background && { inputs })
+  });
+
+  if (!background) {
+    return { job: await runImport(job, inputs), background };
+  }
+  return { job, background };
+};
+
+// Imports that run within a request die with it; mark the ones cut short so they are not
+// shown as running forever. Only imports idle for olderThanMs count, since other instances
+// may still be running theirs. Queued imports are left alone, they resume where they stopped.
+// Imports match on SKU/slug, so running one again is safe.
+const failInterruptedImports = async ({ olderThanMs = STALE_IMPORT_MS } = {}) => {
+  try {
+    await ProductImport.updateMany(
+      {
+        status: { $in: ['queued', 'processing'] },
+        background: { $ne: true },
+        updated_at: { $lte: new Date(Date.now() - olderThanMs) }
+      },
+      { status: 'failed', error: 'Interrupted before it finished; run the import again', finished_at: new Date() }
+    );
+  } catch (error) {
+    console.error('Error failing interrupted product imports:', error);
+  }
+};
+
+// Work through queued imports, oldest first, for up to timeBudgetMs. Serverless deployments
+// have no background worker, so a scheduler (e.g. a cron job) should call
+// POST /api/product-imports/process every minute or so. Returns what was done.
+const processQueuedImports = async ({ timeBudgetMs = PROCESS_TIME_BUDGET_MS } = {}) => {
+  const deadline = Date.now() + timeBudgetMs;
+  const summary = { products: 0, finished: 0, remaining: 0 };
+
+  await failInterruptedImports();
+
+  while (Date.now() < deadline) {
+    const now = new Date();
+    const job = await ProductImport.findOneAndUpdate(
+      {
+        background: true,
+        status: { $in: ['queued', 'processing'] },
+        $or: [{ lease_until: null }, { lease_until: { $lte: now } }]
+      },
+      { lease_until: new Date(now.getTime() + LEASE_MS) },
+      { new: true, sort: { created_at: 1 } }
+    ).select('+inputs');
+    if (!job) break;
+
+    const before = job.processed;
+    await runImport(job, job.inputs || [], { deadline });
+    summary.products += job.processed - before;
+
+    if (job.status === 'processing') {
+      // Out of time: hand the rest to the next call straight away
+      await ProductImport.updateOne({ _id: job._id }, { $unset: { lease_until: 1 } });
+      break;
+    }
+    summary.finished += 1;
+  }
+
+  summary.remaining = await ProductImport.countDocuments({ background: true, status: { $in: ['queued', 'processing'] } });
+  return summary;
+};
+
+// Work through queued imports in the background on long-running servers
+const startImportWorker = (intervalMs = 15000) => {
+  const timer = setInterval(() => {
+    processQueuedImports().catch(error => console.error('Error processing product imports:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  ImportError,
+  CSV_COLUMNS,
+  LIST_SEPARATOR,
+  parseImportFile,
+  importProduct,
+  startImport,
+  failInterruptedImports,
+  processQueuedImports,
+  startImportWorker
+};
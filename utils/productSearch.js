@@ -0,0 +1,243 @@
+const { convertAmount, toBaseAmount } = require('./currency');
+
+// Upper bounds of the price ranges shown as facets, in the base currency; anything above the last is "500+"
+const PRICE_BUCKETS = [0, 25, 50, 100, 200, 500];
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Accept both ?tags=a,b and ?tags=a&tags=b
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Case-insensitive exact match for any of the given values
+const exactMatchAny = (values) => values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i'));
+
+// Products whose own attributes, or any variant's attributes, carry one of the values.
+// Each attribute is matched independently, so size and colour may come from different variants.
+const buildAttributeConditions = (attr) => {
+  if (!attr || typeof attr !== 'object') return [];
+
+  return Object.entries(attr)
+    .map(([name, value]) => [name, toList(value)])
+    .filter(([name, values]) => name && values.length > 0)
+    .map(([name, values]) => {
+      const match = {
+        $elemMatch: {
+          attribute_name: new RegExp(`^${escapeRegex(name)}$`, 'i'),
+          attribute_value: { $in: exactMatchAny(values) }
+        }
+      };
+      return { $or: [{ attributes: match }, { 'variants.attributes': match }] };
+    });
+};
+
+// Build the $match filter for the public product listing from the query string.
+// categoryIds are the requested categories plus their descendants, and brandIds the
+// brands from ?brand=/?brand_id=, both resolved by the caller. With a currency context,
+// minPrice/maxPrice are in that currency and compared in the base currency.
+const buildProductFilter = (query, { categoryIds = null, brandIds = null, currency = null } = {}) => {
+  const filter = { is_active: true }; // Only show active products
+  const and = [];
+
+  if (categoryIds) {
+    filter.categories = { $in: categoryIds };
+  }
+
+  if (query.search && query.search.trim()) {
+    filter.$text = { $search: query.search.trim() };
+  }
+
+  if (query.minPrice || query.maxPrice) {
+    filter.price = {};
+    const toBase = (value) => (currency ? toBaseAmount(parseFloat(value), currency) : parseFloat(value));
+    if (query.minPrice) filter.price.$gte = toBase(query.minPrice);
+    if (query.maxPrice) filter.price.$lte = toBase(query.maxPrice);
+  }
+
+  const tags = toList(query.tags);
+  if (tags.length > 0) {
+    filter.tags = { $in: tags };
+  }
+
+  if (brandIds) {
+    filter.brand_id = { $in: brandIds };
+  }
+
+  const stockStatuses = toList(query.stock_status);
+  if (stockStatuses.length > 0) {
+    filter.stock_status = { $in: stockStatuses };
+  }
+
+  if (query.featured !== undefined && query.featured !== '') {
+    filter.featured = query.featured === 'true';
+  }
+
+  if (query.on_sale === 'true') {
+    filter.$expr = {
+      $and: [
+        { $gt: ['$sale_price', 0] },
+        { $lt: ['$sale_price', '$price'] }
+      ]
+    };
+  }
+
+  and.push(...buildAttributeConditions(query.attr));
+  if (and.length > 0) {
+    filter.$and = and;
+  }
+
+  return filter;
+};
+
+// Sort orders accepted by ?sort= on the product listing
+const SORT_OPTIONS = {
+  relevance: { score: -1, created_at: -1 },
+  'price-low': { price: 1 },
+  'price-high': { price: -1 },
+  name: { name: 1 },
+  rating: { rating_average: -1, rating_count: -1 },
+  newest: { created_at: -1 }
+};
+
+// Relevance only makes sense for a text search; fall back to newest otherwise
+const getSortStage = (sort, hasSearch) => {
+  if (hasSearch && (!sort || sort === 'relevance')) {
+    return SORT_OPTIONS.relevance;
+  }
+  return SORT_OPTIONS[sort] && sort !== 'relevance' ? SORT_OPTIONS[sort] : SORT_OPTIONS.newest;
+};
+
+// $facet sub-pipelines counting the matched products by category, tag, brand, price and stock
+const buildFacetStages = () => ({
+  categories: [
+    { $unwind: '$categories' },
+    { $group: { _id: '$categories', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 50 },
+    { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+    { $unwind: '$category' },
+    { $project: { count: 1, name: '$category.name', slug: '$category.slug' } }
+  ],
+  tags: [
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 50 }
+  ],
+  brands: [
+    { $match: { brand_id: { $ne: null } } },
+    { $group: { _id: '$brand_id', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 50 },
+    { $lookup: { from: 'brands', localField: '_id', foreignField: '_id', as: 'brand' } },
+    { $unwind: '$brand' },
+    { $project: { count: 1, name: '$brand.name', slug: '$brand.slug' } }
+  ],
+  priceRanges: [
+    {
+      $bucket: {
+        groupBy: '$price',
+        boundaries: PRICE_BUCKETS,
+        default: 'over',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ],
+  stockStatus: [
+    { $group: { _id: '$stock_status', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ],
+  onSale: [
+    { $match: { $expr: { $and: [{ $gt: ['$sale_price', 0] }, { $lt: ['$sale_price', '$price'] }] } } },
+    { $count: 'count' }
+  ],
+  featured: [
+    { $match: { featured: true } },
+    { $count: 'count' }
+  ],
+  // Product level and variant level attributes, counted once per product
+  attributes: [
+    {
+      $project: {
+        attributes: {
+          $setUnion: [
+            {
+              $map: {
+                input: { $ifNull: ['$attributes', []] },
+                as: 'a',
+                in: { name: { $toLower: '$$a.attribute_name' }, value: '$$a.attribute_value' }
+              }
+            },
+            {
+              $reduce: {
+                input: { $ifNull: ['$variants', []] },
+                initialValue: [],
+                in: {
+                  $concatArrays: ['$$value', {
+                    $map: {
+                      input: { $ifNull: ['$$this.attributes', []] },
+                      as: 'a',
+                      in: { name: { $toLower: '$$a.attribute_name' }, value: '$$a.attribute_value' }
+                    }
+                  }]
+                }
+              }
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$attributes' },
+    { $match: { 'attributes.name': { $nin: [null, ''] }, 'attributes.value': { $nin: [null, ''] } } },
+    { $group: { _id: '$attributes', count: { $sum: 1 } } },
+    { $sort: { '_id.value': 1 } },
+    { $group: { _id: '$_id.name', values: { $push: { value: '$_id.value', count: '$count' } } } },
+    { $sort: { _id: 1 } }
+  ]
+});
+
+// Label a $bucket result with its min/max so clients can feed it back as minPrice/maxPrice,
+// converted into the requested currency when there is one
+const formatPriceRange = ({ _id, count }, currency) => {
+  const convert = (amount) => (currency ? convertAmount(amount, currency.base, currency) : amount);
+  if (_id === 'over') {
+    const min = convert(PRICE_BUCKETS[PRICE_BUCKETS.length - 1]);
+    return { label: `${min}+`, min, max: null, count };
+  }
+  const min = convert(_id);
+  const max = convert(PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1]);
+  return { label: `${min}-${max}`, min, max, count };
+};
+
+// Turn raw $facet output into { value, count } lists
+const formatFacets = (raw, { currency = null } = {}) => {
+  const toCounts = (entries = []) => entries.map(({ _id, count }) => ({ value: _id, count }));
+  return {
+    categories: (raw.categories || []).map(({ _id, name, slug, count }) => ({ value: _id, name, slug, count })),
+    tags: toCounts(raw.tags),
+    brands: (raw.brands || []).map(({ _id, name, slug, count }) => ({ value: _id, name, slug, count })),
+    priceRanges: (raw.priceRanges || []).map(range => formatPriceRange(range, currency)),
+    stockStatus: toCounts(raw.stockStatus),
+    onSale: raw.onSale?.[0]?.count || 0,
+    featured: raw.featured?.[0]?.count || 0,
+    // Feed back as attr[name]=value
+    attributes: (raw.attributes || []).map(({ _id, values }) => ({ name: _id, values }))
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  SORT_OPTIONS,
+  escapeRegex,
+  toList,
+  buildAttributeConditions,
+  buildProductFilter,
+  getSortStage,
+  buildFacetStages,
+  formatFacets
+};
@@ -0,0 +1,205 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const { releaseStock } = require('./inventory');
+const { roundMoney } = require('./orderPricing');
+const { canTransition, transitionOrderStatus } = require('./orderStatus');
+
+// Thrown when a return action is rejected; status and details go straight into the response.
+// Thrown rather than answered inside transactions, whose callbacks may run more than once.
+class ReturnError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'ReturnError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// Orders can only be returned once they have reached the customer
+const RETURNABLE_ORDER_STATUSES = ['Delivered', 'Returned'];
+
+// RMAs that still hold a claim on order item quantities
+const OPEN_RETURN_STATUSES = ['Requested', 'Approved'];
+
+// Statuses an RMA may move to from each status
+const RETURN_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Received', 'Refunded'],
+  Received: ['Refunded'],
+  Rejected: [],
+  Refunded: []
+};
+
+const canTransitionReturn = (from, to) => (RETURN_TRANSITIONS[from] || []).includes(to);
+
+// How many units of each order line can still be returned, keyed by order item _id.
+// Quantities on rejected RMAs are given back.
+const getReturnableQuantities = async (order, session) => {
+  const existing = await ReturnRequest.find({
+    order: order._id,
+    status: { $ne: 'Rejected' }
+  })
+    .session(session || null)
+    .lean();
+
+  const remaining = new Map(order.items.map(item => [item._id.toString(), item.quantity]));
+  existing.forEach(rma => {
+    rma.items.forEach(item => {
+      const key = item.orderItemId.toString();
+      if (remaining.has(key)) {
+        remaining.set(key, remaining.get(key) - item.quantity);
+      }
+    });
+  });
+
+  return remaining;
+};
+
+// Validate the requested lines against the order and snapshot them for the RMA.
+// Returns { items, errors }.
+const buildReturnItems = (order, requestedItems, remaining) => {
+  const items = [];
+  const errors = [];
+
+  (requestedItems || []).forEach((requested, index) => {
+    const orderItem = order.items.id(requested.orderItemId);
+    const quantity = Number(requested.quantity);
+
+    if (!orderItem) {
+      errors.push({ index, message: 'Order item not found on this order' });
+      return;
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({ index, message: 'Quantity must be a whole number of at least 1' });
+      return;
+    }
+
+    const available = remaining.get(orderItem._id.toString()) || 0;
+    if (quantity > available) {
+      errors.push({
+        index,
+        message: `Only ${available} of ${orderItem.productName} can still be returned`
+      });
+      return;
+    }
+    remaining.set(orderItem._id.toString(), available - quantity);
+
+    items.push({
+      orderItemId: orderItem._id,
+      product: orderItem.product,
+      productName: orderItem.productName,
+      variant_id: orderItem.variant_id,
+      sku: orderItem.sku,
+      variantAttributes: orderItem.variantAttributes,
+      unitPrice: orderItem.price,
+      quantity,
+      reason: requested.reason
+    });
+  });
+
+  return { items, errors };
+};
+
+// Value of the goods on an RMA, the default refund when none is given.
+// Once goods are received only what actually came back counts.
+const getReturnValue = (rma) => {
+  const received = rma.status === 'Received';
+  return roundMoney(rma.items.reduce(
+    (sum, item) => sum + item.unitPrice * (received ? item.receivedQuantity : item.quantity),
+    0
+  ));
+};
+
+// Record goods coming back. received maps RMA item _id to { receivedQuantity, restock };
+// lines that are not listed are taken as fully received and not restocked.
+const receiveReturnItems = async (rma, received, session) => {
+  const restockItems = [];
+
+  rma.items.forEach(item => {
+    const entry = received[item._id.toString()] || {};
+    const receivedQuantity = entry.receivedQuantity !== undefined
+      ? Math.min(Math.max(0, parseInt(entry.receivedQuantity) || 0), item.quantity)
+      : item.quantity;
+
+    item.receivedQuantity = receivedQuantity;
+    if (entry.restock && receivedQuantity > 0) {
+      item.restocked = true;
+      restockItems.push({
+        product: item.product,
+        variant_id: item.variant_id,
+        sku: item.sku,
+        variantAttributes: item.variantAttributes,
+        quantity: receivedQuantity
+      });
+    }
+  });
+
+  if (restockItems.length > 0) {
+    await releaseStock(restockItems, session);
+  }
+};
+
+// Units an RMA settles per line: what came back once goods are received, or the whole line
+// when it was refunded straight from Approved without the goods coming back
+const getSettledQuantity = (rma, item) => {
+  if (rma.status === 'Received' || (rma.status === 'Refunded' && rma.receivedAt)) {
+    return item.receivedQuantity;
+  }
+  return rma.status === 'Refunded' ? item.quantity : 0;
+};
+
+// Recompute Order.returnStatus from its RMAs and move a fully returned order to 'Returned'
+const refreshOrderReturnState = async (order, { actor, session } = {}) => {
+  const rmas = await ReturnRequest.find({
+    order: order._id,
+    status: { $ne: 'Rejected' }
+  })
+    .session(session || null)
+    .lean();
+
+  const settledByItem = new Map();
+  rmas.forEach(rma => {
+    rma.items.forEach(item => {
+      const key = item.orderItemId.toString();
+      settledByItem.set(key, (settledByItem.get(key) || 0) + getSettledQuantity(rma, item));
+    });
+  });
+
+  const orderedUnits = order.items.reduce((sum, item) => sum + item.quantity, 0);
+  const settledUnits = order.items.reduce(
+    (sum, item) => sum + Math.min(item.quantity, settledByItem.get(item._id.toString()) || 0),
+    0
+  );
+
+  if (settledUnits > 0 && settledUnits >= orderedUnits) {
+    order.returnStatus = 'returned';
+  } else if (settledUnits > 0) {
+    order.returnStatus = 'partially_returned';
+  } else if (rmas.some(rma => OPEN_RETURN_STATUSES.includes(rma.status))) {
+    order.returnStatus = 'requested';
+  } else {
+    order.returnStatus = 'none';
+  }
+
+  if (order.returnStatus === 'returned' && canTransition(order.status, 'Returned')) {
+    await transitionOrderStatus(order, 'Returned', {
+      actor,
+      note: 'All items returned',
+      session
+    });
+  }
+
+  return order;
+};
+
+module.exports = {
+  ReturnError,
+  RETURNABLE_ORDER_STATUSES,
+  OPEN_RETURN_STATUSES,
+  RETURN_TRANSITIONS,
+  canTransitionReturn,
+  getReturnableQuantities,
+  buildReturnItems,
+  getReturnValue,
+  receiveReturnItems,
+  refreshOrderReturnState
+};
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+
+const REVIEW_SORTS = {
+  newest: { 'review.created_at': -1 },
+  oldest: { 'review.created_at': 1 },
+  'rating-high': { 'review.rating': -1, 'review.created_at': -1 },
+  'rating-low': { 'review.rating': 1, 'review.created_at': -1 }
+};
+
+// Recompute rating_average/rating_count from approved reviews in a single atomic update
+const recalculateRating = async (productId) => {
+  await Product.updateOne({ _id: productId }, [
+    {
+      $set: {
+        rating_count: {
+          $size: {
+            $filter: { input: { $ifNull: ['$reviews', []] }, as: 'r', cond: { $eq: ['$$r.status', 'approved'] } }
+          }
+        },
+        rating_average: {
+          $round: [{
+            $ifNull: [{
+              $avg: {
+                $map: {
+                  input: {
+                    $filter: { input: { $ifNull: ['$reviews', []] }, as: 'r', cond: { $eq: ['$$r.status', 'approved'] } }
+                  },
+                  as: 'r',
+                  in: '$$r.rating'
+                }
+              }
+            }, 0]
+          }, 1]
+        }
+      }
+    }
+  ]);
+};
+
+// Whether the customer has a delivered order containing the product
+const hasPurchased = async (customerId, productId) => {
+  const order = await Order.exists({
+    customerId,
+    'items.product': productId,
+    status: { $in: ['Delivered', 'Returned', 'Refunded'] }
+  });
+  return !!order;
+};
+
+// A review as the storefront shows it: without the moderator's note or the reviewer's account id
+const toPublicReview = ({ moderation_note, user_id, ...review }) => review;
+
+// Drop reviews that have not been approved from a product before it goes out publicly
+const withApprovedReviews = (product) => {
+  if (!product || !Array.isArray(product.reviews)) return product;
+  return {
+    ...product,
+    reviews: product.reviews
+      .filter(review => review.status === 'approved')
+      .map(toPublicReview)
+  };
+};
+
+// Page through a product's reviews with the given status (approved for the storefront)
+const listProductReviews = async (productId, { status = 'approved', page = 1, limit = 10, sort = 'newest' } = {}) => {
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [result] = await Product.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(productId) } },
+    { $unwind: '$reviews' },
+    { $match: { 'reviews.status': status } },
+    { $project: { _id: 0, review: '$reviews' } },
+    {
+      $facet: {
+        reviews: [
+          { $sort: REVIEW_SORTS[sort] || REVIEW_SORTS.newest },
+          { $skip: skip },
+          { $limit: parseInt(limit) }
+        ],
+        total: [{ $count: 'count' }],
+        breakdown: [{ $group: { _id: '$review.rating', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  const totalPages = Math.ceil(total / parseInt(limit));
+  const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  result.breakdown.forEach(({ _id, count }) => {
+    if (breakdown[_id] !== undefined) breakdown[_id] = count;
+  });
+
+  return {
+    reviews: result.reviews.map(({ review }) => toPublicReview(review)),
+    ratingBreakdown: breakdown,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages,
+      total,
+      hasNext: parseInt(page) < totalPages,
+      hasPrev: parseInt(page) > 1,
+    }
+  };
+};
+
+module.exports = {
+  recalculateRating,
+  hasPurchased,
+  withApprovedReviews,
+  listProductReviews
+};
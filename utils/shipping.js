@@ -0,0 +1,173 @@
+const ShippingZone = require('../models/ShippingZone');
+const Product = require('../models/Product');
+const { roundMoney } = require('./orderPricing');
+const { convertAmount, toBaseAmount } = require('./currency');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+const normalizeZip = (value) => String(value || '').replace(/\s+/g, '').toUpperCase();
+
+// Orders default to the United States when no country is given
+const DEFAULT_COUNTRY = 'United States';
+
+// An address matches a zone when it matches every list the zone sets
+const matchesZone = (zone, address = {}) => {
+  const country = normalize(address.country || DEFAULT_COUNTRY);
+  const state = normalize(address.state);
+  const zip = normalizeZip(address.zipCode);
+
+  if (zone.countries?.length && !zone.countries.some(value => normalize(value) === country)) return false;
+  if (zone.states?.length && !zone.states.some(value => normalize(value) === state)) return false;
+  if (zone.zip_prefixes?.length && !zone.zip_prefixes.some(prefix => zip.startsWith(normalizeZip(prefix)))) return false;
+  return true;
+};
+
+// Zip prefixes are narrower than states, which are narrower than countries
+const getSpecificity = (zone) =>
+  (zone.zip_prefixes?.length ? 4 : 0) + (zone.states?.length ? 2 : 0) + (zone.countries?.length ? 1 : 0);
+
+// The zone an address ships under, or null when no zone covers it
+const findShippingZone = async (address, session) => {
+  const zones = await ShippingZone.find({ is_active: true }).session(session || null).lean();
+  return zones
+    .filter(zone => matchesZone(zone, address))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) || getSpecificity(b) - getSpecificity(a))[0] || null;
+};
+
+// Stores without any zones charge no shipping; the cost is never taken from the request
+const isShippingConfigured = async () => Boolean(await ShippingZone.exists({ is_active: true }));
+
+// Total weight (kg), volume (cm³) and units per shipping class of priced order items
+const getShipmentMetrics = async (items, session) => {
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .select('weight dimensions shipping_class')
+    .session(session || null)
+    .lean();
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+  return items.reduce((metrics, item) => {
+    const product = productMap.get(item.product.toString()) || {};
+    const { length, width, height } = product.dimensions || {};
+
+    metrics.weight += (product.weight || 0) * item.quantity;
+    if (length && width && height) {
+      metrics.volume += length * width * height * item.quantity;
+    }
+    if (product.shipping_class) {
+      const shippingClass = normalize(product.shipping_class);
+      metrics.classes[shippingClass] = (metrics.classes[shippingClass] || 0) + item.quantity;
+    }
+    return metrics;
+  }, { weight: 0, volume: 0, classes: {} });
+};
+
+const findTier = (tiers, value) =>
+  (tiers || []).find(tier => value >= (tier.min || 0) && (tier.max === null || tier.max === undefined || value < tier.max));
+
+// Price one method for a shipment. Returns null when the method cannot carry it,
+// e.g. no weight tier covers the parcel.
+const priceShippingMethod = (method, { subtotal, weight, volume, classes }) => {
+  const billableWeight = method.volumetric_divisor
+    ? Math.max(weight, volume / method.volumetric_divisor)
+    : weight;
+
+  let tierRate = 0;
+  if (method.rate_type === 'weight' || method.rate_type === 'order_value') {
+    const tier = findTier(method.tiers, method.rate_type === 'weight' ? billableWeight : subtotal);
+    if (!tier) return null;
+    tierRate = tier.rate;
+  }
+
+  const classSurcharge = (method.class_surcharges || []).reduce(
+    (sum, surcharge) => sum + surcharge.amount * (classes[normalize(surcharge.shipping_class)] || 0),
+    0
+  );
+
+  const freeShipping = method.free_shipping_threshold !== null &&
+    method.free_shipping_threshold !== undefined &&
+    subtotal >= method.free_shipping_threshold;
+
+  return {
+    code: method.code,
+    name: method.name,
+    description: method.description,
+    cost: freeShipping ? 0 : roundMoney((method.base_rate || 0) + tierRate + classSurcharge),
+    freeShippingApplied: freeShipping,
+    estimatedDays: { min: method.min_days, max: method.max_days },
+    breakdown: {
+      rateType: method.rate_type,
+      baseRate: roundMoney(method.base_rate),
+      tierRate: roundMoney(tierRate),
+      classSurcharge: roundMoney(classSurcharge),
+      billableWeight: Math.round(billableWeight * 1000) / 1000,
+      freeShippingThreshold: method.free_shipping_threshold
+    }
+  };
+};
+
+// Methods available for priced order items shipped to an address, cheapest first.
+// Rates are kept in the base currency; with a currency context the subtotal is compared
+// in base currency and the costs are converted.
+const quoteShipping = async ({ items, subtotal, address }, { session, currency } = {}) => {
+  const zone = await findShippingZone(address, session);
+  if (!zone) {
+    return { zone: null, methods: [] };
+  }
+
+  const metrics = await getShipmentMetrics(items, session);
+  const baseSubtotal = currency ? toBaseAmount(subtotal, currency) : subtotal;
+  const methods = zone.methods
+    .filter(method => method.is_active)
+    .map(method => priceShippingMethod(method, { ...metrics, subtotal: baseSubtotal }))
+    .filter(Boolean)
+    .map(method => (currency
+      ? { ...method, cost: convertAmount(method.cost, currency.base, currency), currency: currency.code }
+      : method))
+    .sort((a, b) => a.cost - b.cost);
+
+  return {
+    zone: { _id: zone._id, name: zone.name },
+    weight: Math.round(metrics.weight * 1000) / 1000,
+    methods
+  };
+};
+
+// Check the method chosen at checkout against a fresh quote.
+// Returns { method, zone } or { error, methods } listing what could have been chosen.
+const selectShippingMethod = async (code, { items, subtotal, address, currency }) => {
+  const quote = await quoteShipping({ items, subtotal, address }, { currency });
+
+  if (!quote.zone || quote.methods.length === 0) {
+    return { error: 'We do not ship to this address', methods: [] };
+  }
+  if (!code) {
+    return { error: 'Please choose a shipping method', methods: quote.methods };
+  }
+
+  const method = quote.methods.find(option => option.code === normalize(code));
+  if (!method) {
+    return { error: `Shipping method ${code} is not available for this order`, methods: quote.methods };
+  }
+  return { method, zone: quote.zone };
+};
+
+// Snapshot of the chosen method stored on the order
+const toOrderShippingMethod = ({ method, zone }) => ({
+  code: method.code,
+  name: method.name,
+  zoneId: zone._id,
+  zoneName: zone.name,
+  minDays: method.estimatedDays.min,
+  maxDays: method.estimatedDays.max
+});
+
+module.exports = {
+  DEFAULT_COUNTRY,
+  matchesZone,
+  findShippingZone,
+  isShippingConfigured,
+  getShipmentMetrics,
+  priceShippingMethod,
+  quoteShipping,
+  selectShippingMethod,
+  toOrderShippingMethod
+};
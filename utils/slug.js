@@ -0,0 +1,33 @@
+// Turn a name into a URL slug: "Men's Linen Shirt (Blue)" -> "mens-linen-shirt-blue"
+const slugify = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/g, '');
+};
+
+// Find a free slug for the model, appending -2, -3, ... when the base is taken.
+// excludeId lets a document keep its own slug when it is saved again.
+const generateUniqueSlug = async (Model, text, excludeId = null, session = null) => {
+  const base = slugify(text) || 'item';
+  const filter = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  let candidate = base;
+  let suffix = 2;
+  while (await Model.exists({ ...filter, slug: candidate }).session(session)) {
+    candidate = `${base}-${suffix}`;
+    suffix += 1;
+  }
+
+  return candidate;
+};
+
+module.exports = {
+  slugify,
+  generateUniqueSlug
+};
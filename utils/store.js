@@ -0,0 +1,12 @@
+// The shop's own details, shown on emails and printed documents
+const getStoreDetails = () => ({
+  name: process.env.STORE_NAME || 'Our Store',
+  // STORE_ADDRESS lines are separated by '|', e.g. "1 Main St|Springfield, IL 62701"
+  address: (process.env.STORE_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+  email: process.env.STORE_EMAIL || '',
+  phone: process.env.STORE_PHONE || '',
+  taxId: process.env.STORE_TAX_ID || '',
+  url: process.env.CLIENT_URL || ''
+});
+
+module.exports = { getStoreDetails };
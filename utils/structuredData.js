@@ -0,0 +1,64 @@
+const { getUnitPrice } = require('./orderPricing');
+
+// Storefront base URL used for canonical links, JSON-LD and the sitemap
+const getStoreUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const getProductUrl = (product) => `${getStoreUrl()}/products/${product.slug}`;
+
+const SCHEMA_AVAILABILITY = {
+  in_stock: 'https://schema.org/InStock',
+  out_of_stock: 'https://schema.org/OutOfStock',
+  preorder: 'https://schema.org/PreOrder'
+};
+
+// schema.org Product JSON-LD for a (lean) product document
+const buildProductJsonLd = (product) => {
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: product.name,
+    description: product.meta_description || product.short_description || product.description,
+    sku: product.sku,
+    image: product.images || [],
+    url: getProductUrl(product),
+    offers: {
+      '@type': 'Offer',
+      url: getProductUrl(product),
+      price: getUnitPrice(product),
+      priceCurrency: product.currency || 'USD',
+      availability: SCHEMA_AVAILABILITY[product.stock_status] || SCHEMA_AVAILABILITY.in_stock,
+      itemCondition: 'https://schema.org/NewCondition'
+    }
+  };
+
+  const brandName = product.brand?.name || product.brand_name;
+  if (brandName) {
+    jsonLd.brand = { '@type': 'Brand', name: brandName };
+  }
+
+  if (product.rating_count > 0) {
+    jsonLd.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: product.rating_average,
+      reviewCount: product.rating_count
+    };
+  }
+
+  return jsonLd;
+};
+
+// Title, description and canonical URL for the product page <head>
+const buildProductSeo = (product) => ({
+  title: product.meta_title || product.name,
+  description: product.meta_description || product.short_description || '',
+  keywords: product.meta_keywords || [],
+  canonical_url: getProductUrl(product),
+  structured_data: buildProductJsonLd(product)
+});
+
+module.exports = {
+  getStoreUrl,
+  getProductUrl,
+  buildProductJsonLd,
+  buildProductSeo
+};
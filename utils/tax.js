@@ -0,0 +1,127 @@
+const TaxRule = require('../models/TaxRule');
+const { roundMoney } = require('./orderPricing');
+const { getProductCategoryLineage } = require('./categories');
+const { DEFAULT_COUNTRY } = require('./shipping');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// A rule applies in its country, and only in its state when it names one
+const matchesJurisdiction = (rule, address = {}) =>
+  normalize(rule.country) === normalize(address.country || DEFAULT_COUNTRY) &&
+  (!rule.state || normalize(rule.state) === normalize(address.state));
+
+// Every active rule for an address; country and state rules stack
+const findTaxRules = async (address, session) => {
+  const rules = await TaxRule.find({ is_active: true }).sort({ state: 1, name: 1 }).session(session || null).lean();
+  return rules.filter(rule => matchesJurisdiction(rule, address));
+};
+
+// Stores without any tax rules charge no tax; the amount is never taken from the request
+const isTaxConfigured = async () => Boolean(await TaxRule.exists({ is_active: true }));
+
+// Rate a rule charges on a product: a category override when the product sits in that
+// category (or below it), the lowest one winning when several match; otherwise the rule's rate
+const getRuleRate = (rule, categoryIds) => {
+  const overrides = (rule.category_rates || [])
+    .filter(entry => categoryIds.includes(entry.category.toString()))
+    .map(entry => entry.rate);
+  return overrides.length > 0 ? Math.min(...overrides) : rule.rate;
+};
+
+// Tax on an amount; inclusive amounts already contain it, so it is extracted instead
+const getTaxAmount = (amount, rate, inclusive) => roundMoney(
+  inclusive ? amount - amount / (1 + rate / 100) : amount * rate / 100
+);
+
+// Work out the tax on priced order items (and shipping) for an address.
+// The order discount is spread over the lines by value so each line is taxed on what is paid.
+// Returns { tax, taxIncluded, lines, shipping, rates }: tax is added to the order total,
+// taxIncluded is already part of inclusive prices.
+const calculateTax = async ({ items, discount = 0, shippingCost = 0, address }, { session } = {}) => {
+  const rules = await findTaxRules(address, session);
+  if (rules.length === 0) {
+    return { tax: 0, taxIncluded: 0, lines: [], shipping: null, rates: [] };
+  }
+
+  const lineage = await getProductCategoryLineage(items.map(item => item.product), session || null);
+  const subtotal = items.reduce((sum, item) => sum + item.lineTotal, 0);
+  const rates = new Map();
+
+  const applyRules = (applicableRules, taxableAmount, getRate) => applicableRules
+    .map(rule => {
+      const rate = getRate(rule);
+      const amount = getTaxAmount(taxableAmount, rate, rule.prices_include_tax);
+
+      const key = `${rule._id}:${rate}`;
+      const total = rates.get(key) || {
+        taxRuleId: rule._id,
+        name: rule.name,
+        country: rule.country,
+        state: rule.state,
+        rate,
+        inclusive: rule.prices_include_tax,
+        taxableAmount: 0,
+        amount: 0
+      };
+      total.taxableAmount = roundMoney(total.taxableAmount + taxableAmount);
+      total.amount = roundMoney(total.amount + amount);
+      rates.set(key, total);
+
+      return { taxRuleId: rule._id, name: rule.name, rate, inclusive: rule.prices_include_tax, amount };
+    });
+
+  let remainingDiscount = roundMoney(discount);
+  const lines = items.map((item, index) => {
+    const discountShare = index === items.length - 1 || subtotal <= 0
+      ? remainingDiscount
+      : roundMoney(discount * item.lineTotal / subtotal);
+    remainingDiscount = roundMoney(remainingDiscount - discountShare);
+
+    const taxableAmount = roundMoney(Math.max(0, item.lineTotal - discountShare));
+    const categoryIds = lineage.get(item.product.toString()) || [];
+    const taxes = applyRules(rules, taxableAmount, rule => getRuleRate(rule, categoryIds));
+
+    return {
+      product: item.product,
+      productName: item.productName,
+      sku: item.sku,
+      variant_id: item.variant_id,
+      taxableAmount,
+      taxes,
+      tax: roundMoney(taxes.reduce((sum, entry) => sum + entry.amount, 0))
+    };
+  });
+
+  let shipping = null;
+  const shippingRules = rules.filter(rule => rule.tax_shipping);
+  if (shippingRules.length > 0 && shippingCost > 0) {
+    const taxableAmount = roundMoney(shippingCost);
+    const taxes = applyRules(shippingRules, taxableAmount, rule => rule.rate);
+    shipping = {
+      taxableAmount,
+      taxes,
+      tax: roundMoney(taxes.reduce((sum, entry) => sum + entry.amount, 0))
+    };
+  }
+
+  const allTaxes = [...lines.flatMap(line => line.taxes), ...(shipping ? shipping.taxes : [])];
+  const sumTaxes = (inclusive) => roundMoney(allTaxes
+    .filter(entry => entry.inclusive === inclusive)
+    .reduce((sum, entry) => sum + entry.amount, 0));
+
+  return {
+    tax: sumTaxes(false),
+    taxIncluded: sumTaxes(true),
+    lines,
+    shipping,
+    rates: [...rates.values()]
+  };
+};
+
+module.exports = {
+  matchesJurisdiction,
+  findTaxRules,
+  isTaxConfigured,
+  getRuleRate,
+  calculateTax
+};
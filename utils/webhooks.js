@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Product = require('../models/Product');
+
+// Minutes to wait before each retry; a delivery is marked failed once these run out
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// A delivery being sent is leased for this long, so two workers never send it at once
+const LEASE_MS = 60000;
+
+const RESPONSE_BODY_LIMIT = 1000;
+
+// Loopback, private, link-local (cloud metadata at 169.254.169.254), carrier-grade NAT and
+// other addresses that are not on the public internet. Webhooks carry full order payloads,
+// so they must never be pointed at the server's own network.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const PRIVATE_HOSTNAMES = /(^|\.)(localhost|local|internal|localdomain)$/i;
+
+const isPrivateAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+// Why a URL may not receive webhooks, or null when it may: it has to be http(s) and its host
+// has to resolve to public addresses only. ALLOW_PRIVATE_WEBHOOK_URLS=1 lifts the address
+// check for local development.
+const checkEndpointUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'URL is not valid';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'URL must start with http:// or https://';
+  }
+  if (process.env.ALLOW_PRIVATE_WEBHOOK_URLS === '1') return null;
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (PRIVATE_HOSTNAMES.test(host)) {
+    return `Webhooks cannot be sent to ${host}`;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    return `Webhooks cannot be sent to private or loopback addresses (${host})`;
+  }
+  return null;
+};
+
+// t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the endpoint secret>.
+// Receivers recompute it over the raw body and reject old timestamps.
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// POST the payload to the endpoint once. Returns the attempt record; never throws.
+const sendDelivery = async (delivery, endpoint, { manual = false } = {}) => {
+  const attempt = { attempted_at: new Date(), manual };
+  const started = Date.now();
+
+  if (!endpoint) {
+    attempt.error = 'Endpoint no longer exists';
+    return attempt;
+  }
+
+  // Checked again on every send: the host may have been pointed elsewhere since it was saved
+  const urlError = await checkEndpointUrl(endpoint.url);
+  if (urlError) {
+    attempt.error = urlError;
+    attempt.duration_ms = Date.now() - started;
+    return attempt;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  try {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Ecommerce-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Signature': signPayload(endpoint.secret, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    attempt.response_status = response.status;
+    attempt.response_body = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+    if (!response.ok) {
+      attempt.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : error.cause?.message || error.message;
+  }
+
+  attempt.duration_ms = Date.now() - started;
+  return attempt;
+};
+
+// Claim a due delivery, send it and record the outcome: delivered, scheduled for the
+// next retry, or failed once the retries run out. Returns the updated delivery, or
+// null when it was not due (or another worker has it).
+const processDelivery = async (deliveryId) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', next_attempt_at: { $lte: new Date() } },
+    { next_attempt_at: new Date(Date.now() + LEASE_MS) },
+    { new: true }
+  ).lean();
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret').lean();
+  const attempt = await sendDelivery(delivery, endpoint);
+
+  const retryDelay = RETRY_DELAYS_MINUTES[delivery.attempt_count];
+  let outcome;
+  if (!attempt.error) {
+    outcome = { status: 'succeeded', delivered_at: attempt.attempted_at, next_attempt_at: null };
+  } else if (endpoint && retryDelay !== undefined) {
+    outcome = { next_attempt_at: new Date(Date.now() + retryDelay * 60 * 1000) };
+  } else {
+    outcome = { status: 'failed', next_attempt_at: null };
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $set: outcome, $push: { attempts: attempt }, $inc: { attempt_count: 1 } },
+    { new: true }
+  ).lean();
+};
+
+// Send a delivery again right now, whatever its status (admin "redeliver"). A successful
+// redelivery marks it delivered; a failed one leaves its status and retry schedule alone.
+const redeliver = async (deliveryId) => {
+  const delivery = await WebhookDelivery.findById(deliveryId).lean();
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret').lean();
+  const attempt = await sendDelivery(delivery, endpoint, { manual: true });
+
+  const update = { $push: { attempts: attempt } };
+  if (!attempt.error) {
+    update.$set = { status: 'succeeded', delivered_at: attempt.attempted_at, next_attempt_at: null };
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true }).lean();
+};
+
+// Send every delivery whose retry is due. Returns how each one ended up.
+const processDueDeliveries = async ({ limit = 50 } = {}) => {
+  const due = await WebhookDelivery.find({ status: 'pending', next_attempt_at: { $lte: new Date() } })
+    .sort({ next_attempt_at: 1 })
+    .limit(limit)
+    .select('_id')
+    .lean();
+
+  const summary = { processed: 0, succeeded: 0, failed: 0, retrying: 0 };
+  for (const { _id } of due) {
+    const delivery = await processDelivery(_id);
+    if (!delivery) continue;
+
+    summary.processed += 1;
+    if (delivery.status === 'succeeded') summary.succeeded += 1;
+    else if (delivery.status === 'failed') summary.failed += 1;
+    else summary.retrying += 1;
+  }
+
+  return summary;
+};
+
+// Retry due deliveries in the background on long-running servers. Serverless deployments
+// call POST /api/webhooks/deliveries/process from a scheduler instead.
+const startWebhookRetries = (intervalMs = 60000) => {
+  const timer = setInterval(() => {
+    processDueDeliveries().catch(error => console.error('Error retrying webhooks:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+// Queue an event for every active endpoint subscribed to it and try each delivery straight
+// away. Problems are logged, never thrown: a webhook must not fail the request behind the event.
+const emitEvent = async (event, data) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ is_active: true, events: { $in: [event, '*'] } })
+      .select('_id')
+      .lean();
+    if (endpoints.length === 0) return [];
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    // Stored exactly as it will be sent
+    const payload = JSON.parse(JSON.stringify({
+      id: eventId,
+      event,
+      created_at: new Date().toISOString(),
+      data
+    }));
+
+    const deliveries = await WebhookDelivery.insertMany(endpoints.map(endpoint => ({
+      endpoint: endpoint._id,
+      event,
+      event_id: eventId,
+      payload
+    })));
+
+    deliveries.forEach(delivery => {
+      processDelivery(delivery._id).catch(error => console.error(`Error delivering ${event} webhook:`, error));
+    });
+
+    return deliveries;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhook:`, error);
+    return [];
+  }
+};
+
+const toPlain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+// order.status_changed, when the order has moved on from the status it had before
+const emitOrderStatusChanged = (order, from, actor) => {
+  if (!order || order.status === from) return Promise.resolve([]);
+  return emitEvent('order.status_changed', { from, to: order.status, actor, order: toPlain(order) });
+};
+
+// product.out_of_stock for each of the products that have just sold out
+const emitProductsOutOfStock = async (productIds) => {
+  if (!productIds || productIds.length === 0) return;
+
+  try {
+    const products = await Product.find({ _id: { $in: productIds } }).lean();
+    for (const product of products) {
+      await emitEvent('product.out_of_stock', { product });
+    }
+  } catch (error) {
+    console.error('Error queueing product.out_of_stock webhooks:', error);
+  }
+};
+
+module.exports = {
+  RETRY_DELAYS_MINUTES,
+  checkEndpointUrl,
+  signPayload,
+  processDelivery,
+  redeliver,
+  processDueDeliveries,
+  startWebhookRetries,
+  emitEvent,
+  emitOrderStatusChanged,
+  emitProductsOutOfStock,
+  toPlain
+};